@@ -1,21 +1,54 @@
-import React, { useEffect, useRef, useState } from "react";
+import React, { useEffect, useImperativeHandle, useMemo, useRef, useState } from "react";
 import "./index.css";
 
 // === 1. SHARED UTILITIES & SETUP ===
 
 const DB_NAME = "re-toolkit-db";
-const DB_VERSION = 1;
+const DB_VERSION = 3;
+// v1 kept the whole workspace as one blob; v2 migrates it into the stores below
 const STORE_NAME = "data_store";
 const DATA_KEY = "app_data";
+const CLASS_STORE = "classes";
+const METHOD_STORE = "methods";
+const LINE_STORE = "lines";
+const WORKSPACE_STORES = [CLASS_STORE, METHOD_STORE, LINE_STORE];
+const TRASH_STORE = "trash";
+// Rebuilt by recomputeAllSnapshots on load instead of being stored
+const DERIVED_METHOD_FIELDS = ["snapshots", "entryState", "diagnostics", "provenance", "flow", "heaps", "finalHeap", "heapHistory", "inputErrors", "classState", "finalState"];
 
 // --- IndexedDB Functions ---
 function openDB() {
   return new Promise((resolve, reject) => {
     const request = indexedDB.open(DB_NAME, DB_VERSION);
-    request.onupgradeneeded = () => {
+    request.onupgradeneeded = (event) => {
       const db = request.result;
-      if (!db.objectStoreNames.contains(STORE_NAME)) {
-        db.createObjectStore(STORE_NAME);
+      const transaction = request.transaction;
+      if (!db.objectStoreNames.contains(CLASS_STORE)) {
+        db.createObjectStore(CLASS_STORE, { keyPath: "id" }).createIndex("realName", "realName");
+      }
+      if (!db.objectStoreNames.contains(METHOD_STORE)) {
+        db.createObjectStore(METHOD_STORE, { keyPath: "id" }).createIndex("classId", "classId");
+      }
+      if (!db.objectStoreNames.contains(LINE_STORE)) {
+        // Line ids are only unique within their method
+        db.createObjectStore(LINE_STORE, { keyPath: ["methodId", "id"] }).createIndex("methodId", "methodId");
+      }
+      if (!db.objectStoreNames.contains(TRASH_STORE)) {
+        db.createObjectStore(TRASH_STORE, { keyPath: "id" });
+      }
+      if (event.oldVersion < 2 && db.objectStoreNames.contains(STORE_NAME)) {
+        const legacy = transaction.objectStore(STORE_NAME).get(DATA_KEY);
+        legacy.onsuccess = () => {
+          const classes = (Array.isArray(legacy.result) ? legacy.result : []).map((cls) => ({
+            ...cls,
+            methods: (cls.methods || []).map(migrateLegacyScripts),
+          }));
+          const records = workspaceToRecords(classes);
+          records.classes.forEach((r) => transaction.objectStore(CLASS_STORE).put(r));
+          records.methods.forEach((r) => transaction.objectStore(METHOD_STORE).put(r));
+          records.lines.forEach((r) => transaction.objectStore(LINE_STORE).put(r));
+          db.deleteObjectStore(STORE_NAME);
+        };
       }
     };
     request.onsuccess = () => resolve(request.result);
@@ -23,14 +56,105 @@ function openDB() {
   });
 }
 
+function withoutDerivedFields(method) {
+  const copy = { ...method };
+  DERIVED_METHOD_FIELDS.forEach((field) => delete copy[field]);
+  return copy;
+}
+
+function workspaceToRecords(classes) {
+  const records = { classes: [], methods: [], lines: [] };
+  classes.forEach((cls, position) => {
+    const { methods = [], ...classRecord } = cls;
+    records.classes.push({ ...classRecord, position });
+    methods.forEach((method, methodPosition) => {
+      const { lines = [], ...methodRecord } = withoutDerivedFields(method);
+      records.methods.push({ ...methodRecord, classId: cls.id, position: methodPosition });
+      lines.forEach((line) => records.lines.push({ ...line, methodId: method.id }));
+    });
+  });
+  return records;
+}
+
+function recordsToWorkspace(records) {
+  const byPosition = (a, b) => a.position - b.position;
+  const linesByMethod = {};
+  for (const { methodId, ...line } of records.lines) (linesByMethod[methodId] = linesByMethod[methodId] || []).push(line);
+  const methodsByClass = {};
+  for (const method of records.methods) (methodsByClass[method.classId] = methodsByClass[method.classId] || []).push(method);
+
+  return [...records.classes].sort(byPosition).map(({ position, ...cls }) => recomputeClassMethods({
+    ...cls,
+    methods: (methodsByClass[cls.id] || []).sort(byPosition).map(({ classId, position: methodPosition, ...rest }) => (
+      { ...rest, lines: sortLines(linesByMethod[rest.id]) }
+    )),
+  }));
+}
+
+// What was last read from or written to each store, keyed "<store>:<key>", so a
+// save only touches records that changed and deletes the ones that went away
+let persistedRecords = new Map();
+
+function recordEntries(records) {
+  const entries = new Map();
+  const add = (store, key, record) => entries.set(`${store}:${JSON.stringify(key)}`, { store, key, record, json: JSON.stringify(record) });
+  records.classes.forEach((r) => add(CLASS_STORE, r.id, r));
+  records.methods.forEach((r) => add(METHOD_STORE, r.id, r));
+  records.lines.forEach((r) => add(LINE_STORE, [r.methodId, r.id], r));
+  return entries;
+}
+
 async function getDBData() {
   try {
+    const db = await openDB();
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(WORKSPACE_STORES, "readonly");
+      const records = {};
+      [["classes", CLASS_STORE], ["methods", METHOD_STORE], ["lines", LINE_STORE]].forEach(([name, store]) => {
+        const request = transaction.objectStore(store).getAll();
+        request.onsuccess = () => { records[name] = request.result; };
+      });
+      transaction.oncomplete = () => {
+        persistedRecords = recordEntries(records);
+        resolve(recordsToWorkspace(records));
+      };
+      transaction.onerror = () => reject(transaction.error);
+    });
+  } catch (e) {
+    console.error("DB Error", e);
+    return [];
+  }
+}
+
+async function setDBData(classes) {
+  try {
+    const next = recordEntries(workspaceToRecords(classes));
+    const changed = [...next.entries()].filter(([k, entry]) => persistedRecords.get(k)?.json !== entry.json);
+    const removed = [...persistedRecords.entries()].filter(([k]) => !next.has(k));
+    if (changed.length === 0 && removed.length === 0) return;
+
     const db = await openDB();
     return new Promise((resolve, reject) => {
-      const transaction = db.transaction(STORE_NAME, "readonly");
-      const store = transaction.objectStore(STORE_NAME);
-      const request = store.get(DATA_KEY);
-      request.onsuccess = () => resolve(request.result);
+      const transaction = db.transaction(WORKSPACE_STORES, "readwrite");
+      changed.forEach(([, { store, record }]) => transaction.objectStore(store).put(record));
+      removed.forEach(([, { store, key }]) => transaction.objectStore(store).delete(key));
+      transaction.oncomplete = () => {
+        persistedRecords = next;
+        resolve();
+      };
+      transaction.onerror = () => reject(transaction.error);
+    });
+  } catch (e) {
+    console.error("DB Write Error", e);
+  }
+}
+
+async function getDBTrash() {
+  try {
+    const db = await openDB();
+    return await new Promise((resolve, reject) => {
+      const request = db.transaction(TRASH_STORE, "readonly").objectStore(TRASH_STORE).getAll();
+      request.onsuccess = () => resolve(request.result.sort((a, b) => b.deletedAt - a.deletedAt));
       request.onerror = () => reject(request.error);
     });
   } catch (e) {
@@ -39,15 +163,17 @@ async function getDBData() {
   }
 }
 
-async function setDBData(data) {
+// The trash only changes on delete, restore and purge, so it is rewritten whole
+async function setDBTrash(entries) {
   try {
     const db = await openDB();
     return new Promise((resolve, reject) => {
-      const transaction = db.transaction(STORE_NAME, "readwrite");
-      const store = transaction.objectStore(STORE_NAME);
-      const request = store.put(data, DATA_KEY);
-      request.onsuccess = () => resolve();
-      request.onerror = () => reject(request.error);
+      const transaction = db.transaction(TRASH_STORE, "readwrite");
+      const store = transaction.objectStore(TRASH_STORE);
+      store.clear();
+      entries.forEach((entry) => store.put(entry));
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
     });
   } catch (e) {
     console.error("DB Write Error", e);
@@ -57,6 +183,16 @@ async function setDBData(data) {
 // --- General Helpers ---
 const uid = () => Math.random().toString(36).slice(2, 9);
 
+function downloadFile(filename, text, type = "application/json") {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
 function shallowCopyState(s) {
   try {
     if (typeof structuredClone === "function") return structuredClone(s);
@@ -65,6 +201,13 @@ function shallowCopyState(s) {
 }
 
 // === 2. DATA STRUCTURE FACTORIES ===
+function blankRegisters(params, locals) {
+  const regs = {};
+  for (let i = 0; i < params; i++) regs[`p${i}`] = null;
+  for (let i = 0; i < locals; i++) regs[`v${i}`] = null;
+  return regs;
+}
+
 function createNewMethod(name = "new_method") {
   const method = {
     id: `meth_${uid()}`,
@@ -76,8 +219,7 @@ function createNewMethod(name = "new_method") {
     lines: [],
     lastSavedAt: Date.now(),
   };
-  for (let i = 0; i < method.params; i++) method.liveState[`p${i}`] = null;
-  for (let i = 0; i < method.locals; i++) method.liveState[`v${i}`] = null;
+  method.liveState = blankRegisters(method.params, method.locals);
   for (let i = 0; i < 8; i++)
     method.lines.push({ id: uid(), index: i + 1, notes: "", script: "" });
   recomputeAllSnapshots(method);
@@ -91,125 +233,3724 @@ function createNewClass({ realName, obfuscatedName, friendlyName }) {
     obfuscatedName,
     friendlyName,
     createdAt: Date.now(),
+    fields: [],
+    chainMethods: false,
     methods: [],
   };
 }
 
-// --- Notebook-specific Logic ---
-function parseValueToken(tok) {
-  const t = tok?.trim?.();
-  if (t === undefined) return null;
-  if (t === "null") return null;
-  if (t === "true") return true;
-  if (t === "false") return false;
-  if (/^\d+$/.test(t)) return Number(t);
-  if ((t.startsWith('"') && t.endsWith('"')) || (t.startsWith("'") && t.endsWith("'")))
-    return t.slice(1, -1);
-  return t;
+// --- Line Operations ---
+// Each helper accepts lines in any order and returns them in display order,
+// renumbered 1..n so `index` always matches the position.
+function sortLines(lines) {
+  return [...(lines || [])].sort((a, b) => Number(a.index) - Number(b.index));
+}
+
+function renumberLines(lines) {
+  return lines.map((l, i) => (l.index === i + 1 ? l : { ...l, index: i + 1 }));
+}
+
+function createBlankLine() {
+  return { id: uid(), index: 0, notes: "", script: "" };
+}
+
+function insertLines(lines, anchorId, where, newLines) {
+  const sorted = sortLines(lines);
+  const pos = sorted.findIndex((l) => l.id === anchorId);
+  const at = pos === -1 ? sorted.length : where === "above" ? pos : pos + 1;
+  sorted.splice(at, 0, ...newLines);
+  return renumberLines(sorted);
+}
+
+function deleteLines(lines, ids) {
+  return renumberLines(sortLines(lines).filter((l) => !ids.includes(l.id)));
+}
+
+// Copies go after the last duplicated line; labels and observed values stay with the originals
+function duplicateLines(lines, ids) {
+  const sorted = sortLines(lines);
+  const copies = sorted.filter((l) => ids.includes(l.id)).map(({ labels, observed, ...rest }) => ({ ...rest, id: uid() }));
+  const lastPos = sorted.map((l) => ids.includes(l.id)).lastIndexOf(true);
+  if (lastPos === -1) return renumberLines(sorted);
+  sorted.splice(lastPos + 1, 0, ...copies);
+  return renumberLines(sorted);
+}
+
+function moveLines(lines, ids, delta) {
+  const sorted = sortLines(lines);
+  const order = sorted.map((_, i) => (delta < 0 ? i : sorted.length - 1 - i));
+  for (const i of order) {
+    const j = i + delta;
+    if (!ids.includes(sorted[i].id) || j < 0 || j >= sorted.length || ids.includes(sorted[j].id)) continue;
+    [sorted[i], sorted[j]] = [sorted[j], sorted[i]];
+  }
+  return renumberLines(sorted);
+}
+
+// Drops the moved lines next to the target: after it when moving down, before it when moving up
+function moveLinesTo(lines, ids, targetId) {
+  const sorted = sortLines(lines);
+  if (ids.includes(targetId)) return renumberLines(sorted);
+  const moving = sorted.filter((l) => ids.includes(l.id));
+  const rest = sorted.filter((l) => !ids.includes(l.id));
+  const movingDown = sorted.findIndex((l) => l.id === targetId) > sorted.findIndex((l) => ids.includes(l.id));
+  const at = rest.findIndex((l) => l.id === targetId);
+  if (at === -1) return renumberLines(sorted);
+  rest.splice(movingDown ? at + 1 : at, 0, ...moving);
+  return renumberLines(rest);
+}
+
+// --- Class & Method Operations ---
+function moveItem(list, id, delta) {
+  const from = list.findIndex((item) => item.id === id);
+  const to = from + delta;
+  if (from === -1 || to < 0 || to >= list.length) return list;
+  const next = [...list];
+  next.splice(to, 0, ...next.splice(from, 1));
+  return next;
+}
+
+function duplicateMethod(method) {
+  const copy = shallowCopyState(method);
+  return { ...copy, id: `meth_${uid()}`, name: `${method.name}_copy`, lastSavedAt: Date.now() };
+}
+
+function duplicateClass(cls) {
+  return {
+    ...cls,
+    id: `cls_${uid()}`,
+    friendlyName: `${cls.friendlyName} copy`,
+    createdAt: Date.now(),
+    methods: cls.methods.map((m) => ({ ...duplicateMethod(m), name: m.name })),
+  };
+}
+
+// In a chained class the methods after a removed or inserted one start from
+// different fields, so they are recomputed from that position
+function removeMethodFromClass(classes, classId, methodId) {
+  return classes.map((c) => {
+    const idx = c.methods.findIndex((m) => m.id === methodId);
+    if (c.id !== classId || idx === -1) return c;
+    const rest = { ...c, methods: c.methods.filter((m) => m.id !== methodId) };
+    return c.chainMethods ? recomputeClassMethods(rest, idx) : rest;
+  });
+}
+
+function duplicateMethodInClass(classes, classId, methodId) {
+  return classes.map((c) => {
+    const idx = c.methods.findIndex((m) => m.id === methodId);
+    if (c.id !== classId || idx === -1) return c;
+    const next = { ...c, methods: [...c.methods.slice(0, idx + 1), duplicateMethod(c.methods[idx]), ...c.methods.slice(idx + 1)] };
+    return c.chainMethods ? recomputeClassMethods(next, idx + 1) : next;
+  });
+}
+
+// The method goes last in the target class and is recomputed against its
+// fields; in a chained source class the methods after it are recomputed too
+function moveMethodToClass(classes, methodId, targetClassId) {
+  const source = classes.find((c) => c.methods.some((m) => m.id === methodId));
+  const target = classes.find((c) => c.id === targetClassId);
+  if (!source || !target || source === target) return classes;
+  const pos = source.methods.findIndex((m) => m.id === methodId);
+  return classes.map((c) => {
+    if (c === source) {
+      const rest = { ...c, methods: c.methods.filter((m) => m.id !== methodId) };
+      return c.chainMethods ? recomputeClassMethods(rest, pos) : rest;
+    }
+    if (c === target) return recomputeClassMethods({ ...c, methods: [...c.methods, source.methods[pos]] }, c.methods.length);
+    return c;
+  });
+}
+
+// Trash entries keep what is needed to put the item back: a removed method
+// remembers its class, fields included, so it can be restored even if that
+// class is gone too. Restored methods are recomputed against their class.
+function createTrashEntry(kind, item, cls) {
+  return {
+    id: `trash_${uid()}`,
+    kind,
+    deletedAt: Date.now(),
+    item: kind === "class" ? { ...item, methods: item.methods.map(withoutDerivedFields) } : withoutDerivedFields(item),
+    owner: {
+      id: cls.id, realName: cls.realName, obfuscatedName: cls.obfuscatedName, friendlyName: cls.friendlyName,
+      fields: cls.fields || [], chainMethods: Boolean(cls.chainMethods),
+    },
+  };
+}
+
+function restoreTrashEntry(classes, entry) {
+  if (entry.kind === "class") {
+    const { item } = entry;
+    const id = classes.some((c) => c.id === item.id) ? `cls_${uid()}` : item.id;
+    return [...classes, recomputeClassMethods({ ...item, id })];
+  }
+  const owner = classes.find((c) => c.id === entry.owner.id) || classes.find((c) => c.realName === entry.owner.realName);
+  const method = classes.some((c) => c.methods.some((m) => m.id === entry.item.id)) ? { ...entry.item, id: `meth_${uid()}` } : entry.item;
+  if (owner) {
+    return classes.map((c) => (c === owner ? recomputeClassMethods({ ...c, methods: [...c.methods, method] }, c.methods.length) : c));
+  }
+  const { fields = [], chainMethods = false, ...names } = entry.owner;
+  return [...classes, recomputeClassMethods({ ...names, fields, chainMethods, createdAt: Date.now(), methods: [method] })];
 }
 
+// --- Notebook-specific Logic ---
 function isReg(s) {
   return /^(v|p)\d+$/.test(String(s || "").trim());
 }
 
-function recomputeAllSnapshots(method) {
-  const initialLiveState = shallowCopyState(method.liveState || {});
-  // Ensure regs exist
-  for (let i = 0; i < (method.params || 0); i++) if (!(`p${i}` in initialLiveState)) initialLiveState[`p${i}`] = null;
-  for (let i = 0; i < (method.locals || 0); i++) if (!(`v${i}` in initialLiveState)) initialLiveState[`v${i}`] = null;
+function splitStatements(script) {
+  const statements = [];
+  for (const rawLine of String(script || "").split("\n")) {
+    let current = "";
+    let quote = null;
+    for (let i = 0; i < rawLine.length; i++) {
+      const c = rawLine[i];
+      if (quote) {
+        current += c;
+        if (c === "\\") current += rawLine[++i] ?? "";
+        else if (c === quote) quote = null;
+        continue;
+      }
+      if (c === '"' || c === "'") quote = c;
+      // A `;` closing a type descriptor such as Ljava/lang/String; is not a separator
+      if (c === ";" && !/(^|[\s,{(])\[*L[\w/$]+$/.test(current)) {
+        statements.push(current);
+        current = "";
+        continue;
+      }
+      current += c;
+    }
+    statements.push(current);
+  }
+  return statements.map((s) => s.trim()).filter(Boolean);
+}
+
+// Worst first; the first kind present on a line colours its gutter marker
+const DIAGNOSTIC_KINDS = {
+  error: { mark: "!", color: "#a66", label: "errors" },
+  unparsed: { mark: "!", color: "#a66", label: "unparsed" },
+  range: { mark: "!", color: "#a66", label: "out of range" },
+  type: { mark: "!", color: "#a66", label: "type mismatches" },
+  observed: { mark: "!", color: "#a66", label: "differ from trace" },
+  unset: { mark: "~", color: "#a86", label: "unset reads" },
+  unmodelled: { mark: "?", color: "#555", label: "unmodelled" },
+};
 
-  let currentRegs = shallowCopyState(initialLiveState);
-  const newSnapshots = {};
+// Declared registers are v0..v(locals-1) and p0..p(params-1); v(locals+n) is
+// another name for pn, which the notebook tracks under the p name only
+function registerRangeProblem(reg, method) {
+  const n = Number(reg.slice(1));
+  const locals = method.locals || 0;
+  const params = method.params || 0;
+  if (reg[0] === "p" ? n < params : n < locals) return null;
+  if (reg[0] === "v" && n < locals + params) return `${reg} is p${n - locals} in this method; use p${n - locals}`;
+  const declared = [locals && `v0..v${locals - 1}`, params && `p0..p${params - 1}`].filter(Boolean).join(", ") || "none";
+  return `${reg} is outside the declared registers (${declared})`;
+}
 
-  const sortedLines = [...(method.lines || [])].sort((a, b) => Number(a.index) - Number(b.index));
+// --- Input Scenarios ---
+// A scenario names a set of inputs, each the source of an expression
+// (p1 = "rooted") evaluated into the entry state before the first line runs.
+// Only the active scenario's run is kept on the method.
+function createScenario(name, inputs = {}) {
+  return { id: `scn_${uid()}`, name, inputs };
+}
+
+// Literal source that evaluates back to the value
+function valueToExpression(val) {
+  if (!val) return null;
+  const n = Number(val.value);
+  switch (val.type) {
+    case "int":
+    case "boolean":
+      return String(val.value);
+    case "long":
+      return `${val.value}L`;
+    case "float":
+      if (Number.isNaN(n)) return "0f/0f";
+      return Number.isFinite(n) ? `${formatFloat(n)}f` : `${n < 0 ? "-" : ""}1f/0f`;
+    case "double":
+      if (Number.isNaN(n)) return "0.0/0.0";
+      return Number.isFinite(n) ? formatDouble(n) : `${n < 0 ? "-" : ""}1.0/0.0`;
+    case "char":
+      if (n === 39 || n === 92) return `'\\${String.fromCharCode(n)}'`;
+      return n >= 32 && n < 127 ? `'${String.fromCharCode(n)}'` : `'\\u${n.toString(16).padStart(4, "0")}'`;
+    case "String":
+      return JSON.stringify(val.value);
+    case "null":
+      return "null";
+    default:
+      return null;
+  }
+}
+
+// Methods saved before scenarios started from whatever liveState held, so
+// their p registers become the inputs of a default scenario
+function ensureScenarios(method) {
+  if (!Array.isArray(method.scenarios) || method.scenarios.length === 0) {
+    const inputs = {};
+    for (const [reg, raw] of Object.entries(method.liveState || {})) {
+      const source = /^p\d+$/.test(reg) ? valueToExpression(toTypedValue(raw)) : null;
+      if (source !== null) inputs[reg] = source;
+    }
+    method.scenarios = [createScenario("default", inputs)];
+  }
+  if (!method.scenarios.some((s) => s.id === method.activeScenarioId)) method.activeScenarioId = method.scenarios[0].id;
+}
+
+function activeScenario(method) {
+  return (method.scenarios || []).find((s) => s.id === method.activeScenarioId) || null;
+}
+
+// Inputs for registers the method no longer declares are kept but not applied.
+// Arrays and objects in inputs are allocated in the run's heap.
+function scenarioEntryState(method, scenario, env) {
+  const regs = blankRegisters(method.params || 0, method.locals || 0);
+  const errors = [];
+  for (const [reg, source] of Object.entries(scenario?.inputs || {})) {
+    if (!(reg in regs) || !String(source).trim()) continue;
+    try {
+      writeReg(regs, reg, evaluateExpression(String(source), regs, env));
+    } catch (e) {
+      errors.push(`${reg}: ${e.message}`);
+    }
+  }
+  // Instance methods get the class's instance as this unless an input says otherwise
+  const thisRef = env?.heap.thisRef;
+  if (thisRef && Array.isArray(method.modifiers) && !method.modifiers.includes("static") && regs.p0 === null) {
+    regs.p0 = { type: "object", className: env.heap.objects[thisRef].className, ref: thisRef };
+  }
+  return { regs, errors };
+}
+
+// Lines whose snapshots differ between two runs, with the registers that
+// differ; a line only one run reaches differs in every register it holds.
+// References compare by what they point at, since each run allocates its own.
+function compareScenarioRuns(a, b) {
+  const diverging = {};
+  for (const index of new Set([...Object.keys(a.snapshots), ...Object.keys(b.snapshots)])) {
+    const snapA = a.snapshots[index] || {};
+    const snapB = b.snapshots[index] || {};
+    const value = (run, snap, r) => JSON.stringify(derefValue(snap[r] ?? null, run.heaps?.[index]));
+    const regs = [...new Set([...Object.keys(snapA), ...Object.keys(snapB)])]
+      .filter((r) => value(a, snapA, r) !== value(b, snapB, r));
+    if (regs.length) diverging[index] = regs;
+  }
+  return diverging;
+}
+
+// classState is what the method's class starts it with (see createClassState);
+// without one the method keeps the state of its last recompute. Runs start
+// from the scenario's inputs and never from finalState, so recomputing a
+// method any number of times gives the same snapshots.
+function recomputeAllSnapshots(method, classState = method.classState) {
+  ensureScenarios(method);
+  if (classState) method.classState = classState;
+  const run = runScenario(method, activeScenario(method));
+  method.entryState = run.entryState;
+  method.snapshots = run.snapshots;
+  method.diagnostics = run.diagnostics;
+  method.provenance = run.provenance;
+  method.flow = run.flow;
+  method.heaps = run.heaps;
+  method.finalHeap = run.finalHeap;
+  method.heapHistory = run.heapHistory;
+  method.inputErrors = run.inputErrors;
+  method.finalState = run.finalState;
+}
 
+function runScenario(method, scenario) {
+  const sortedLines = [...(method.lines || [])].sort((a, b) => Number(a.index) - Number(b.index));
+  const payloads = {};
   for (const line of sortedLines) {
-    const script = String(line.script || "").trim();
-    if (script.length) {
-      const statements = script.split(/[;\n]+/).map((s) => s.trim()).filter(Boolean);
-      for (const stmt of statements) {
-        const match = stmt.match(/^((?:v|p)\d+)\s*=\s*(.+)$/);
-        if (match) {
-          const reg = match[1].trim();
-          const rhs = match[2].trim();
-          currentRegs[reg] = parseValueToken(rhs);
+    if (/^\.array-data\b/.test(String(line.smali || "").trim())) (line.labels || []).forEach((label) => { payloads[label] = line.smali; });
+  }
+  const { classState } = method;
+  const env = createRunEnv(payloads, classState ? cloneHeap(classState.heap) : createHeap());
+  env.heap.log = [];
+  env.fields = classState?.fields;
+  env.isStatic = (method.modifiers || []).includes("static");
+  const { regs: initialState, errors: scenarioErrors } = scenarioEntryState(method, scenario, env);
+  const inputErrors = [...(classState?.errors || []).map((e) => `field ${e}`), ...scenarioErrors];
+  let currentRegs = shallowCopyState(initialState);
+  const entryState = shallowCopyState(currentRegs);
+  const newSnapshots = {};
+  const heaps = {};
+  const heapMarks = {};
+  const heapHistory = {};
+  const diagnostics = {};
+  const provenance = {};
+  const flow = { path: [], jumps: {}, changed: {} };
+  const track = (reg, kind, entry) => {
+    if (!provenance[reg]) provenance[reg] = { writes: [], reads: [], mentions: [] };
+    const list = provenance[reg][kind];
+    // A line run again by a loop keeps one entry holding its latest write
+    const existing = kind === "writes" ? list.find((w) => w.line === entry.line) : list.includes(entry);
+    if (!existing) list.push(entry);
+    else if (kind === "writes") existing.value = entry.value;
+  };
+  const reportAt = (index, kind, message) => {
+    const list = diagnostics[index] || (diagnostics[index] = []);
+    if (!list.some((d) => d.kind === kind && d.message === message)) list.push({ kind, message });
+  };
+
+  const labels = lineLabels(sortedLines, reportAt);
+  const prepared = sortedLines.map((line) => prepareLine(line, method, env.fields));
+
+  let pos = 0;
+  while (pos < sortedLines.length) {
+    const line = sortedLines[pos];
+    const index = Number(line.index);
+    if (flow.path.length >= BRANCH_STEP_LIMIT) {
+      reportAt(index, "error", `stopped after ${BRANCH_STEP_LIMIT} steps; the path never leaves this loop`);
+      break;
+    }
+    flow.path.push(index);
+    const { smali, statements } = prepared[pos];
+    // Register values are never changed in place, so shallow copies are enough
+    const before = { ...currentRegs };
+    env.writes = [];
+    const reads = new Set();
+    const writes = new Set();
+    // A taken branch or a return ends the line; the rest of its statements do not run
+    let jumpLabel = null;
+    let halted = false;
+    const report = (kind, message) => reportAt(index, kind, message);
+    const use = ({ regUse, rangeProblems }) => {
+      regUse.reads.forEach((r) => reads.add(r));
+      regUse.writes.forEach((r) => writes.add(r));
+      rangeProblems.forEach((problem) => report("range", problem));
+    };
+    const run = (stmt) => {
+      try {
+        const target = evaluateBranch(stmt, currentRegs);
+        if (target !== null) {
+          jumpLabel = target || null;
+        } else if (!executeInstruction(stmt, currentRegs, env)) {
+          report("unmodelled", `unmodelled: ${stmt.split(/\s+/)[0]}`);
+        } else if (PATH_END_RE.test(stmt)) {
+          halted = true;
+        }
+      } catch (e) {
+        report(e.diagnostic || "error", e.message);
+      }
+    };
+
+    if (smali) {
+      use(smali);
+      run(smali.stmt);
+    }
+
+    for (const statement of statements) {
+      if (jumpLabel || halted) break;
+      const { kind, stmt } = statement;
+      if (kind === "stray") {
+        const { name, reg, from, to } = statement.alias;
+        report("range", `"${name}" names ${reg} only on lines ${from}${to == null ? "+" : `-${to}`}`);
+      } else if (kind === "assignment") {
+        use(statement);
+        const { target } = statement;
+        try {
+          if (statement.parseError) throw statement.parseError;
+          const value = toStoredValue(evalNode(statement.ast, currentRegs, env));
+          if (isReg(target)) writeReg(currentRegs, target, value);
+          else writeClassField(env, target, value);
+        } catch (e) {
+          report(e.diagnostic || "error", `${target}: ${e.message}`);
         }
+      } else if (kind === "instruction") {
+        use(statement);
+        run(stmt);
+      } else {
+        report("unparsed", `not an assignment or instruction: ${stmt}`);
       }
     }
-    newSnapshots[Number(line.index)] = shallowCopyState(currentRegs);
+    // A line run again by a loop keeps the snapshot of its last run
+    newSnapshots[index] = { ...currentRegs };
+    heapMarks[index] = env.heap.log.length;
+
+    // A register also changes when the object it points at is written
+    const touchedRefs = new Set(env.writes.map((w) => w.ref));
+    for (const { ref, key, value } of env.writes) {
+      const history = heapHistory[ref] || (heapHistory[ref] = []);
+      const existing = history.find((h) => h.line === index && h.key === key);
+      if (existing) existing.value = value;
+      else history.push({ line: index, key, value });
+    }
+    const changed = [];
+    for (const r of new Set([...Object.keys(currentRegs), ...writes])) {
+      const differs = before[r] !== currentRegs[r] && JSON.stringify(before[r] ?? null) !== JSON.stringify(currentRegs[r] ?? null);
+      if (differs || touchedRefs.has(currentRegs[r]?.ref)) changed.push(r);
+      if (differs || writes.has(r)) track(r, "writes", { line: index, value: newSnapshots[index][r] ?? null });
+    }
+    flow.changed[index] = changed;
+    reads.forEach((r) => track(r, "reads", index));
+
+    let next = pos + 1;
+    if (jumpLabel && !(jumpLabel in labels)) {
+      report("error", `no line is labelled ${jumpLabel}`);
+    } else if (jumpLabel) {
+      next = labels[jumpLabel];
+      const jump = flow.jumps[index] || (flow.jumps[index] = { to: Number(sortedLines[next].index), taken: 0 });
+      jump.taken++;
+    }
+    if (halted) break;
+    pos = next;
+  }
+
+  // Each line's heap is the one its last run left. Rather than copying the
+  // heap on every step, the run's changes are undone back from the end and the
+  // heap is copied once per distinct point; lines in between share a copy.
+  const finalHeap = cloneHeap(env.heap);
+  const { log } = env.heap;
+  let undone = log.length;
+  let heapCopy = finalHeap;
+  for (const [index, mark] of Object.entries(heapMarks).sort((a, b) => b[1] - a[1])) {
+    if (mark < undone) {
+      while (undone > mark) log[--undone]();
+      heapCopy = cloneHeap(env.heap);
+    }
+    heaps[index] = heapCopy;
+  }
+
+  // Observed values are checked against the snapshot of the line's last run
+  for (const line of sortedLines) {
+    const index = Number(line.index);
+    const observed = Object.entries(line.observed || {});
+    if (observed.length && !(index in newSnapshots)) {
+      reportAt(index, "observed", "the trace reached this line but the notebook path does not");
+      continue;
+    }
+    for (const [reg, value] of observed) {
+      const computed = newSnapshots[index][reg] ?? null;
+      if (observedValueMatches(value, derefValue(computed, heaps[index]))) continue;
+      const [seen, got] = [value, computed].map((v) => formatRegisterValue(v, heaps[index])).map((f) => `${f.type} ${f.text}`.trim());
+      reportAt(index, "observed", `${reg} observed ${seen}, computed ${got}`);
+    }
+  }
+
+  // Notes are read on every line, whether or not the path reaches it
+  for (const line of sortedLines) {
+    const index = Number(line.index);
+    const { byName: aliasRegs } = aliasesAt(method.aliases, index);
+    new Set(resolveAliases(String(line.notes || ""), aliasRegs).match(/\b(?:v|p)\d+\b/g)).forEach((r) => track(r, "mentions", index));
+  }
+  for (const history of Object.values(provenance)) {
+    history.writes.sort((a, b) => a.line - b.line);
+    history.reads.sort((a, b) => a - b);
   }
 
-  method.snapshots = newSnapshots;
-  method.liveState = shallowCopyState(currentRegs);
+  return {
+    entryState, snapshots: newSnapshots, diagnostics, provenance, flow, heaps, heapHistory, inputErrors,
+    finalState: shallowCopyState(currentRegs), finalHeap,
+  };
 }
 
-// === 3. UI COMPONENTS ===
-function Button({ children, onClick, disabled = false, variant = 'primary', className = '' }) {
-  const baseStyle = {
-    padding: "6px 12px",
-    borderRadius: "0",
-    fontWeight: 400,
-    fontSize: "12px",
-    cursor: disabled ? "not-allowed" : "pointer",
-    opacity: disabled ? 0.4 : 1,
-    transition: "none",
-    border: "1px solid #333",
-    display: 'inline-flex',
-    alignItems: 'center',
-    justifyContent: 'center',
-    fontFamily: 'var(--font-mono)',
-    textTransform: 'lowercase'
+// --- Control Flow ---
+// Lines run in index order until a goto or a taken if-* jumps to a labelled
+// line. Labels come from imported smali or from `:name` statements in a script.
+const BRANCH_STEP_LIMIT = 10000;
+const LABEL_RE = /^:[\w$-]+$/;
+const PATH_END_RE = /^(return|throw)\b/;
+const IF_TESTS = {
+  eq: (c) => c === 0,
+  ne: (c) => c !== 0,
+  lt: (c) => c < 0,
+  ge: (c) => c >= 0,
+  gt: (c) => c > 0,
+  le: (c) => c <= 0,
+};
+
+// Script lines starting with // or # are comments
+function scriptStatements(script) {
+  return splitStatements(String(script || "").split("\n").filter((l) => !/^\s*(\/\/|#)/.test(l)).join("\n"));
+}
+
+// What a line runs, worked out once per run rather than on every step a loop
+// takes: aliases resolved, statements classified and assignments parsed.
+// Parse errors are kept and reported when the statement runs.
+function prepareLine(line, method, fields) {
+  const index = Number(line.index);
+  const { byName: aliasRegs } = aliasesAt(method.aliases, index);
+  const withUse = (statement) => {
+    const regUse = statementRegisterUse(statement.stmt);
+    const rangeProblems = [...new Set([...regUse.reads, ...regUse.writes])]
+      .map((r) => registerRangeProblem(r, method))
+      .filter(Boolean);
+    return { ...statement, regUse, rangeProblems };
   };
+  const smali = line.smali ? withUse({ stmt: String(line.smali).trim() }) : null;
+  const statements = [];
+  for (const rawStmt of scriptStatements(line.script)) {
+    if (LABEL_RE.test(rawStmt)) continue;
+    const stmt = resolveAliases(rawStmt, aliasRegs);
+    const strayAlias = (method.aliases || []).find((a) => resolveAliases(stmt, { [a.name]: a.reg }) !== stmt);
+    if (strayAlias) {
+      statements.push({ kind: "stray", stmt, alias: strayAlias });
+      continue;
+    }
+    const assignment = stmt.match(ASSIGNMENT_RE);
+    if (assignment && (isReg(assignment[1]) || fields?.[assignment[1]])) {
+      const statement = { kind: "assignment", stmt, target: assignment[1].trim() };
+      try {
+        statement.ast = parseExpression(assignment[2].trim());
+      } catch (e) {
+        statement.parseError = e;
+      }
+      statements.push(withUse(statement));
+    } else if (isDalvikInstruction(stmt)) {
+      statements.push(withUse({ kind: "instruction", stmt }));
+    } else {
+      statements.push({ kind: "unparsed", stmt });
+    }
+  }
+  return { smali, statements };
+}
 
-  const variants = {
-    primary: { background: "#1a1a1a", color: "#ccc" },
-    secondary: { background: "#111", color: "#888", border: "1px solid #222" },
-    danger: { background: "#1a1a1a", color: "#888", border: "1px solid #333" }
+// Label -> position in sortedLines; a label used twice keeps its first line
+function lineLabels(sortedLines, reportAt) {
+  const labels = {};
+  sortedLines.forEach((line, pos) => {
+    const own = [...(line.labels || []), ...scriptStatements(line.script).filter((stmt) => LABEL_RE.test(stmt))];
+    for (const label of own) {
+      if (label in labels) reportAt(Number(line.index), "error", `${label} already labels L${sortedLines[labels[label]].index}`);
+      else labels[label] = pos;
+    }
+  });
+  return labels;
+}
+
+function branchLabel(tok) {
+  const label = String(tok || "").trim();
+  if (!LABEL_RE.test(label)) throw new Error(`Expected a label, got "${tok}"`);
+  return label;
+}
+
+// Dalvik compares references by identity; without a heap, equal values stand in
+// for the same object
+const REFERENCE_TYPES = ["String", "object", "array", "null"];
+
+function branchOperand(regs, tok) {
+  const v = readValue(regs, tok);
+  return REFERENCE_TYPES.includes(v.type) ? v : readInt(regs, tok);
+}
+
+// Returns null when the statement is not a branch, the target label when the
+// branch is taken and false when it falls through
+function evaluateBranch(text, regs) {
+  const { op, args } = parseInstruction(text);
+  if (/^goto(\/16|\/32)?$/.test(op)) {
+    expectOperands(op, args, 1);
+    return branchLabel(args[0]);
+  }
+  const m = op.match(/^if-(eq|ne|lt|ge|gt|le)(z)?$/);
+  if (!m) return null;
+  expectOperands(op, args, m[2] ? 2 : 3);
+  const target = branchLabel(args[args.length - 1]);
+  const a = branchOperand(regs, args[0]);
+  const b = m[2] ? (typeof a === "number" ? 0 : typedValue("null", null)) : branchOperand(regs, args[1]);
+  let comparison;
+  if (typeof a === "number" && typeof b === "number") comparison = a === b ? 0 : a < b ? -1 : 1;
+  else if (m[1] === "eq" || m[1] === "ne") comparison = JSON.stringify(a) === JSON.stringify(b) ? 0 : 1;
+  else throw diagnosticError("type", `${op} compares ints, not references`);
+  return IF_TESTS[m[1]](comparison) ? target : false;
+}
+
+// Which registers a script statement or instruction reads and writes, by syntax
+// alone, so provenance is recorded even when the statement fails to run
+// Script assignments write a register or, by name, a field of the class
+const ASSIGNMENT_RE = /^((?:v|p)\d+|[A-Za-z_$][\w$]*)\s*=\s*(.+)$/;
+const DALVIK_NO_DEST_RE = /^(nop|aput|iput|sput|if-|goto|return|invoke-|filled-new-array|fill-array-data|throw|monitor-|check-cast|packed-switch|sparse-switch|\.)/;
+
+function registerOperands(args) {
+  const regs = [];
+  for (const arg of args) {
+    const range = arg.match(/^\{\s*(v|p)(\d+)\s*\.\.\s*(v|p)(\d+)\s*\}$/);
+    if (range && range[1] === range[3]) {
+      for (let i = Number(range[2]); i <= Number(range[4]); i++) regs.push(`${range[1]}${i}`);
+    } else if (isReg(arg) || /^\{.*\}$/.test(arg)) {
+      regs.push(...(arg.match(/\b(?:v|p)\d+\b/g) || []));
+    }
+  }
+  return regs;
+}
+
+function statementRegisterUse(stmt) {
+  const assignment = stmt.match(ASSIGNMENT_RE);
+  if (assignment) {
+    const rhs = assignment[2].replace(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'/g, "");
+    return { reads: rhs.match(/\b(?:v|p)\d+\b/g) || [], writes: isReg(assignment[1]) ? [assignment[1]] : [] };
+  }
+  const { op, args } = parseInstruction(stmt);
+  const regs = registerOperands(args);
+  if (regs.length === 0 || DALVIK_NO_DEST_RE.test(op)) return { reads: regs, writes: [] };
+  const [dest, ...sources] = regs;
+  return { reads: op.endsWith("/2addr") ? regs : sources, writes: [dest] };
+}
+
+// --- Register Aliases ---
+// method.aliases = [{ id, reg, name, from, to }]: within lines from..to (to null
+// means to the end) scripts may write name for reg and the views label reg with it.
+const ALIAS_NAME_RE = /^[A-Za-z_$][\w$]*$/;
+const RESERVED_ALIAS_NAMES = ["true", "false", "null"];
+
+function aliasesAt(aliases, lineIndex) {
+  const byReg = {};
+  const byName = {};
+  for (const a of aliases || []) {
+    if (lineIndex < a.from || (a.to != null && lineIndex > a.to)) continue;
+    byReg[a.reg] = a.name;
+    byName[a.name] = a.reg;
+  }
+  return { byReg, byName };
+}
+
+function validateAlias(alias, method) {
+  if (!ALIAS_NAME_RE.test(alias.name) || isReg(alias.name) || RESERVED_ALIAS_NAMES.includes(alias.name)) {
+    return `"${alias.name}" cannot be used as an alias`;
+  }
+  if (!isReg(alias.reg)) return `"${alias.reg}" is not a register`;
+  const rangeProblem = registerRangeProblem(alias.reg, method);
+  if (rangeProblem) return rangeProblem;
+  if (!Number.isInteger(alias.from) || alias.from < 1) return "the range must start at line 1 or later";
+  if (alias.to != null && (!Number.isInteger(alias.to) || alias.to < alias.from)) return "the range must end at or after its first line";
+  const end = (a) => (a.to == null ? Infinity : a.to);
+  const clash = (method.aliases || []).find((a) => a.id !== alias.id
+    && (a.reg === alias.reg || a.name === alias.name)
+    && a.from <= end(alias) && alias.from <= end(a));
+  if (clash) return `overlaps "${clash.name}" (${clash.reg}, L${clash.from}${clash.to == null ? "+" : `-${clash.to}`})`;
+  return null;
+}
+
+// Replaces alias names with their registers outside string and char literals
+// and member references (->a:I, ->i()V)
+function resolveAliases(text, byName) {
+  const names = Object.keys(byName);
+  if (names.length === 0) return text;
+  const re = new RegExp(`(?<![\\w$/:>])(${names.map((n) => n.replace(/\$/g, "\\$")).join("|")})(?![\\w$])`, "g");
+  return text
+    .split(/("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')/)
+    .map((part, i) => (i % 2 ? part : part.replace(re, (name) => byName[name])))
+    .join("");
+}
+
+// --- Typed Register Values ---
+// A register is null while unset, otherwise { type, value } with type one of
+// int, long, float, double, char, boolean, String, null, object or array.
+// Longs keep their value as a decimal string so state stays JSON-safe, and the
+// upper register of a long/double pair holds { type: "wide-hi", of: <lower> }.
+const WIDE_VALUE_TYPES = ["long", "double"];
+
+function typedValue(type, value) {
+  if (type === "long") return { type, value: String(value) };
+  // NaN and the infinities do not survive JSON, so they are kept as strings
+  if ((type === "float" || type === "double") && !Number.isFinite(value)) return { type, value: String(value) };
+  return { type, value };
+}
+
+// Values written before registers were typed are plain JS values
+function toTypedValue(raw) {
+  if (raw === null || raw === undefined) return null;
+  if (Array.isArray(raw)) return typedValue("array", raw.map(toTypedValue));
+  if (typeof raw === "object") return raw;
+  if (typeof raw === "boolean") return typedValue("boolean", raw);
+  if (typeof raw === "number") {
+    if (Number.isInteger(raw) && raw >= INT_MIN && raw <= INT_MAX) return typedValue("int", raw);
+    if (Number.isSafeInteger(raw)) return typedValue("long", raw);
+    return typedValue("double", raw);
+  }
+  return typedValue("String", String(raw));
+}
+
+// p registers follow directly after the last local
+function nextRegister(regs, r) {
+  const m = String(r).match(/^(v|p)(\d+)$/);
+  const n = Number(m[2]) + 1;
+  if (m[1] === "v" && !(`v${n}` in regs) && "p0" in regs) return "p0";
+  return `${m[1]}${n}`;
+}
+
+function releaseWidePair(regs, r) {
+  const old = regs[r];
+  if (!old) return;
+  if (old.type === "wide-hi") {
+    regs[old.of] = null;
+  } else if (WIDE_VALUE_TYPES.includes(old.type)) {
+    const hi = nextRegister(regs, r);
+    if (regs[hi]?.type === "wide-hi" && regs[hi].of === r) regs[hi] = null;
+  }
+}
+
+// Writing either half of a pair invalidates the other half, like the verifier does
+function writeReg(regs, r, val) {
+  releaseWidePair(regs, r);
+  regs[r] = val;
+  if (val && WIDE_VALUE_TYPES.includes(val.type)) {
+    const hi = nextRegister(regs, r);
+    releaseWidePair(regs, hi);
+    regs[hi] = { type: "wide-hi", of: r };
+  }
+}
+
+const bitsView = new DataView(new ArrayBuffer(8));
+
+function floatToBits(x) {
+  bitsView.setFloat32(0, x);
+  return bitsView.getInt32(0);
+}
+
+function bitsToFloat(i) {
+  bitsView.setInt32(0, i);
+  return bitsView.getFloat32(0);
+}
+
+function doubleToBits(x) {
+  bitsView.setFloat64(0, x);
+  return bitsView.getBigInt64(0);
+}
+
+function bitsToDouble(n) {
+  bitsView.setBigInt64(0, BigInt.asIntN(64, n));
+  return bitsView.getFloat64(0);
+}
+
+// Shortest decimal that reads back as the same float, as Float.toString prints it
+function formatFloat(x) {
+  if (!Number.isFinite(x)) return String(x);
+  for (let p = 1; p < 9; p++) {
+    const s = String(Number(x.toPrecision(p)));
+    if (Math.fround(Number(s)) === x) return Number.isInteger(Number(s)) ? `${s}.0` : s;
+  }
+  return String(x);
+}
+
+function formatDouble(x) {
+  if (!Number.isFinite(x)) return String(x);
+  return Number.isInteger(x) && Math.abs(x) < 1e21 ? x.toFixed(1) : String(x);
+}
+
+// Arrays and objects in the heap are previewed when the heap is given
+function formatRegisterValue(val, heap) {
+  if (val === null || val === undefined) return { type: "", text: "unset", hex: "" };
+  if (val.ref !== undefined) return formatReference(val, heap);
+  const n = Number(val.value);
+  switch (val.type) {
+    case "wide-hi":
+      return { type: "wide", text: `upper half of ${val.of}`, hex: "" };
+    case "int":
+      return { type: "int", text: String(n), hex: `0x${(n >>> 0).toString(16)}` };
+    case "long":
+      return { type: "long", text: val.value, hex: `0x${BigInt.asUintN(64, BigInt(val.value)).toString(16)}` };
+    case "float":
+      return { type: "float", text: formatFloat(n), hex: `0x${(floatToBits(n) >>> 0).toString(16)}` };
+    case "double":
+      return { type: "double", text: formatDouble(n), hex: `0x${BigInt.asUintN(64, doubleToBits(n)).toString(16)}` };
+    case "char":
+      return { type: "char", text: `'${JSON.stringify(String.fromCharCode(n)).slice(1, -1)}' (${n})`, hex: `0x${n.toString(16)}` };
+    case "String":
+      return { type: "String", text: JSON.stringify(val.value), hex: "" };
+    case "array":
+      return { type: "array", text: `[${val.value.map((e) => formatRegisterValue(e).text).join(", ")}]`, hex: "" };
+    case "object":
+      return { type: "object", text: String(val.value ?? val.className), hex: "" };
+    default:
+      return { type: val.type, text: String(val.value), hex: "" };
+  }
+}
+
+function formatReference(val, heap) {
+  const entry = heap?.objects[val.ref];
+  if (!entry || entry.kind !== "array") return { type: shortTypeName(val.className), text: `@${val.ref}`, hex: "" };
+  const preview = entry.items.slice(0, 8).map((e) => formatRegisterValue(e).text).join(", ");
+  return {
+    type: `${shortTypeName(entry.className.slice(1))}[${entry.items.length}]`,
+    text: `@${val.ref} [${preview}${entry.items.length > 8 ? ", ..." : ""}]`,
+    hex: entry.className === "[B" ? entry.items.slice(0, 16).map((e) => (Number(e?.value) & 0xff).toString(16).padStart(2, "0")).join("") : "",
   };
+}
 
-  return (
-    <button
-      onClick={onClick}
-      disabled={disabled}
-      style={{ ...baseStyle, ...variants[variant] }}
-      className={className}
-    >
-      {children}
-    </button>
+// Java source spelling of a type descriptor: [B is byte[], Lcom/x/Foo; is Foo
+function shortTypeName(desc) {
+  const d = String(desc || "");
+  if (d.startsWith("[")) return `${shortTypeName(d.slice(1))}[]`;
+  if (d.startsWith("L")) return simpleClassName(d);
+  return Object.keys(JAVA_PRIMITIVES).find((name) => JAVA_PRIMITIVES[name] === d) || d;
+}
+
+// --- Heap ---
+// new-instance, new-array and array literals allocate in the run's heap and
+// registers hold references, { type: "object" | "array", className, ref }, so
+// registers holding the same ref point at the same object. Values without a
+// ref (const-class results, arrays read from a trace) are plain values.
+// During a run, heap.log holds a function undoing each change, which is how
+// the heap of every line is rebuilt once the run is over.
+function createHeap() {
+  return { nextRef: 1, objects: {}, classes: {}, classRef: null, thisRef: null };
+}
+
+function cloneHeap(heap) {
+  const { log, ...rest } = heap;
+  return shallowCopyState(rest);
+}
+
+// Everything one run threads through its instructions besides the registers:
+// the heap, the pending result for move-result, payloads by label, and the
+// heap writes of the current line
+function createRunEnv(payloads = {}, heap = createHeap()) {
+  return { heap, result: null, payloads, writes: [] };
+}
+
+function allocate(heap, entry) {
+  const ref = heap.nextRef++;
+  heap.objects[ref] = entry;
+  heap.log?.push(() => {
+    delete heap.objects[ref];
+    heap.nextRef = ref;
+  });
+  return { type: entry.kind, className: entry.className, ref };
+}
+
+function newArray(heap, className, items) {
+  return allocate(heap, { kind: "array", className, items });
+}
+
+function newObject(heap, className) {
+  return allocate(heap, { kind: "object", className, fields: {} });
+}
+
+function writeHeap(env, ref, key, value) {
+  const entry = env.heap.objects[ref];
+  const target = entry.kind === "array" ? entry.items : entry.fields;
+  const had = key in target;
+  const previous = target[key];
+  env.heap.log?.push(() => {
+    if (had) target[key] = previous;
+    else delete target[key];
+  });
+  target[key] = value;
+  env.writes.push({ ref, key, value });
+}
+
+function readReference(regs, tok, env, kind) {
+  const v = readValue(regs, tok);
+  if (v.type === "null") throw new Error("NullPointerException");
+  const entry = v.ref !== undefined ? env.heap.objects[v.ref] : null;
+  if (!entry || entry.kind !== kind) throw wrongType(tok, v, kind === "array" ? "an array" : "an object");
+  return { ref: v.ref, entry };
+}
+
+// Java's zero value for a field or array element of this type
+function defaultValue(desc) {
+  switch (String(desc)[0]) {
+    case "Z":
+      return typedValue("boolean", false);
+    case "C":
+      return typedValue("char", 0);
+    case "J":
+      return typedValue("long", 0);
+    case "F":
+      return typedValue("float", 0);
+    case "D":
+      return typedValue("double", 0);
+    case "B":
+    case "S":
+    case "I":
+      return typedValue("int", 0);
+    default:
+      return typedValue("null", null);
+  }
+}
+
+// The value a reference points at, copied out as plain nested values, for
+// comparing runs and traces by content
+function derefValue(val, heap, seen = new Set()) {
+  const entry = val?.ref !== undefined ? heap?.objects[val.ref] : null;
+  if (!entry || seen.has(val.ref)) return val;
+  const inner = new Set(seen).add(val.ref);
+  if (entry.kind === "array") return { type: "array", className: entry.className, value: entry.items.map((e) => derefValue(e, heap, inner)) };
+  const fields = Object.entries(entry.fields).map(([name, v]) => [name, derefValue(v, heap, inner)]);
+  return { type: "object", className: entry.className, value: Object.fromEntries(fields) };
+}
+
+// --- Class Fields ---
+// cls.fields = [{ id, name, type, isStatic, value }], with type in Java
+// spelling and value an expression. Static fields live on a "class" entry in
+// the heap, one per class descriptor, and instance fields on the object that
+// instance methods get as this, so a heap carries all field state from one
+// method to the next.
+function classDescriptors(cls) {
+  return [cls.realName, cls.obfuscatedName].filter((name) => String(name || "").trim()).map(classDescriptor);
+}
+
+function staticsEntry(heap, owner) {
+  if (!heap.classes[owner]) {
+    heap.classes[owner] = allocate(heap, { kind: "class", className: owner, fields: {} }).ref;
+    heap.log?.push(() => delete heap.classes[owner]);
+  }
+  return heap.classes[owner];
+}
+
+function fieldValue(val, desc) {
+  return readAs({ v0: val }, "v0", desc);
+}
+
+// The declared fields and their values before any method has run
+function createClassState(cls) {
+  const env = createRunEnv();
+  const [own, ...others] = classDescriptors(cls);
+  env.heap.classRef = staticsEntry(env.heap, own);
+  others.forEach((desc) => { env.heap.classes[desc] = env.heap.classRef; });
+  env.heap.thisRef = newObject(env.heap, own).ref;
+  const fields = {};
+  const errors = [];
+  for (const field of cls.fields || []) {
+    const desc = javaTypeToDescriptor(field.type);
+    fields[field.name] = { desc, isStatic: Boolean(field.isStatic) };
+    let value = defaultValue(desc);
+    try {
+      if (String(field.value || "").trim()) value = fieldValue(evaluateExpression(String(field.value), {}, env), desc);
+    } catch (e) {
+      errors.push(`${field.name}: ${e.message}`);
+    }
+    env.heap.objects[field.isStatic ? env.heap.classRef : env.heap.thisRef].fields[field.name] = value;
+  }
+  return { heap: env.heap, fields, errors };
+}
+
+// With chaining on, a method starts from the fields the previous method left
+function classEntryState(cls, previous) {
+  const declared = createClassState(cls);
+  if (!cls.chainMethods || !previous?.finalHeap?.classRef) return declared;
+  return { ...declared, heap: previous.finalHeap, errors: [] };
+}
+
+function recomputeClassMethods(cls, from = 0) {
+  const methods = [...cls.methods];
+  for (let i = from; i < methods.length; i++) {
+    const copy = { ...methods[i] };
+    recomputeAllSnapshots(copy, classEntryState(cls, methods[i - 1]));
+    methods[i] = copy;
+  }
+  return { ...cls, methods };
+}
+
+// Scripts name the class's fields directly, as Java code inside the class would
+function classField(env, name) {
+  const field = env?.fields?.[name];
+  if (!field) throw new Error(`unknown name "${name}"; quote it ("${name}") for a string`);
+  if (!field.isStatic && env.isStatic) throw diagnosticError("type", `${name} is an instance field and a static method has no this`);
+  return { ref: field.isStatic ? env.heap.classRef : env.heap.thisRef, desc: field.desc };
+}
+
+function readClassField(env, name) {
+  const { ref, desc } = classField(env, name);
+  return env.heap.objects[ref].fields[name] ?? defaultValue(desc);
+}
+
+function writeClassField(env, name, value) {
+  const { ref, desc } = classField(env, name);
+  writeHeap(env, ref, name, fieldValue(value, desc));
+}
+
+// --- Dalvik Interpreter ---
+// Every Dalvik mnemonic, modelled or not. A script statement starting with
+// one of these is an instruction; anything else that is not an assignment is
+// reported as unparsed rather than as an unmodelled opcode.
+const DALVIK_OPCODES = new Set([
+  "nop", "move-exception", "return-void", "return", "return-wide", "return-object",
+  ...["move", "move-wide", "move-object"].flatMap((op) => [op, `${op}/from16`, `${op}/16`]),
+  "move-result", "move-result-wide", "move-result-object",
+  "const/4", "const/16", "const", "const/high16", "const-wide/16", "const-wide/32", "const-wide", "const-wide/high16",
+  "const-string", "const-string/jumbo", "const-class", "const-method-handle", "const-method-type",
+  "monitor-enter", "monitor-exit", "check-cast", "instance-of", "array-length", "new-instance", "new-array",
+  "filled-new-array", "filled-new-array/range", "fill-array-data", "throw", "goto", "goto/16", "goto/32",
+  "packed-switch", "sparse-switch", "cmpl-float", "cmpg-float", "cmpl-double", "cmpg-double", "cmp-long",
+  ...["eq", "ne", "lt", "ge", "gt", "le"].flatMap((test) => [`if-${test}`, `if-${test}z`]),
+  ...["aget", "aput", "iget", "iput", "sget", "sput"].flatMap((op) => ["", "-wide", "-object", "-boolean", "-byte", "-char", "-short"].map((kind) => op + kind)),
+  ...["virtual", "super", "direct", "static", "interface", "polymorphic", "custom"].flatMap((kind) => [`invoke-${kind}`, `invoke-${kind}/range`]),
+  "neg-int", "not-int", "neg-long", "not-long", "neg-float", "neg-double",
+  ...["int", "long", "float", "double"].flatMap((from) => ["int", "long", "float", "double"].filter((to) => to !== from).map((to) => `${from}-to-${to}`)),
+  "int-to-byte", "int-to-char", "int-to-short",
+  ...["int", "long"].flatMap((type) => ["add", "sub", "mul", "div", "rem", "and", "or", "xor", "shl", "shr", "ushr"].flatMap((op) => [`${op}-${type}`, `${op}-${type}/2addr`])),
+  ...["float", "double"].flatMap((type) => ["add", "sub", "mul", "div", "rem"].flatMap((op) => [`${op}-${type}`, `${op}-${type}/2addr`])),
+  "rsub-int", ...["add", "mul", "div", "rem", "and", "or", "xor"].map((op) => `${op}-int/lit16`),
+  ...["add", "rsub", "mul", "div", "rem", "and", "or", "xor", "shl", "shr", "ushr"].map((op) => `${op}-int/lit8`),
+]);
+
+function isDalvikInstruction(stmt) {
+  return DALVIK_OPCODES.has(parseInstruction(stmt).op);
+}
+const INT_MIN = -2147483648;
+const INT_MAX = 2147483647;
+const LONG_MIN = -(2n ** 63n);
+const LONG_MAX = 2n ** 63n - 1n;
+
+function splitOperands(str) {
+  const operands = [];
+  let current = "";
+  let quote = null;
+  let depth = 0;
+  for (let i = 0; i < str.length; i++) {
+    const c = str[i];
+    if (quote) {
+      current += c;
+      if (c === "\\") current += str[++i] ?? "";
+      else if (c === quote) quote = null;
+      continue;
+    }
+    if (c === '"' || c === "'") quote = c;
+    else if (c === "{") depth++;
+    else if (c === "}") depth--;
+    if (c === "," && depth === 0) {
+      operands.push(current.trim());
+      current = "";
+      continue;
+    }
+    current += c;
+  }
+  if (current.trim()) operands.push(current.trim());
+  return operands;
+}
+
+// Loops run the same instructions over and over, so parses are cached; the
+// results are shared and must not be changed
+const PARSED_INSTRUCTION_LIMIT = 5000;
+const parsedInstructions = new Map();
+
+function parseInstruction(text) {
+  let parsed = parsedInstructions.get(text);
+  if (!parsed) {
+    const m = String(text).trim().match(/^(\S+)\s*(.*)$/s);
+    parsed = Object.freeze({ op: m ? m[1] : "", args: Object.freeze(m ? splitOperands(m[2]) : []) });
+    if (parsedInstructions.size >= PARSED_INSTRUCTION_LIMIT) parsedInstructions.clear();
+    parsedInstructions.set(text, parsed);
+  }
+  return parsed;
+}
+
+function unescapeSmaliString(literal) {
+  try {
+    return JSON.parse(literal.replace(/\\'/g, "'"));
+  } catch (e) {
+    throw new Error(`Bad string literal ${literal}`);
+  }
+}
+
+// Integer literals as baksmali prints them: -0x1, 0x7fL, 0x10t, 0x2s, 42
+function parseSmaliInteger(tok) {
+  const m = String(tok || "").trim().match(/^(-)?(0x[0-9a-f]+|\d+)[lts]?$/i);
+  if (!m) throw new Error(`Bad integer literal "${tok}"`);
+  const n = BigInt(m[2]);
+  return m[1] ? -n : n;
+}
+
+function wrapLong(n) {
+  return BigInt.asIntN(64, n);
+}
+
+function regName(tok) {
+  const r = String(tok || "").trim();
+  if (!isReg(r)) throw new Error(`Expected a register, got "${tok}"`);
+  return r;
+}
+
+// Errors thrown with a diagnostic kind are reported under that kind rather than "error"
+function diagnosticError(kind, message) {
+  const e = new Error(message);
+  e.diagnostic = kind;
+  return e;
+}
+
+function readValue(regs, tok) {
+  const r = regName(tok);
+  const v = regs[r];
+  if (v === null || v === undefined) throw diagnosticError("unset", `${r} is not set`);
+  if (v.type === "wide-hi") throw diagnosticError("type", `${r} is the upper half of ${v.of}`);
+  return v;
+}
+
+function wrongType(tok, v, expected) {
+  return diagnosticError("type", `${String(tok).trim()} holds ${v.type}, not ${expected}`);
+}
+
+// Registers are untyped 32/64-bit slots, so float and double reads reinterpret
+// the bits of ints and longs (const v0, 0x3f800000 is 1.0f)
+function readInt(regs, tok) {
+  const v = readValue(regs, tok);
+  if (v.type === "int" || v.type === "char") return Number(v.value) | 0;
+  if (v.type === "boolean") return v.value ? 1 : 0;
+  if (v.type === "float") return floatToBits(Number(v.value));
+  throw wrongType(tok, v, "int");
+}
+
+function readFloat(regs, tok) {
+  const v = readValue(regs, tok);
+  if (v.type === "float") return Number(v.value);
+  if (v.type === "int" || v.type === "char") return bitsToFloat(Number(v.value));
+  throw wrongType(tok, v, "float");
+}
+
+function readLong(regs, tok) {
+  const v = readValue(regs, tok);
+  if (v.type === "long") return BigInt(v.value);
+  if (v.type === "double") return doubleToBits(Number(v.value));
+  if (v.type === "int" || v.type === "char") return BigInt(Number(v.value));
+  throw wrongType(tok, v, "long");
+}
+
+function readDouble(regs, tok) {
+  const v = readValue(regs, tok);
+  if (v.type === "double") return Number(v.value);
+  if (v.type === "long") return bitsToDouble(BigInt(v.value));
+  if (["int", "char", "float"].includes(v.type)) return Number(v.value);
+  throw wrongType(tok, v, "double");
+}
+
+// Reads a register as a field or array element of type desc, narrowing ints
+// the way iput-byte and aput-char do
+function readAs(regs, tok, desc) {
+  switch (desc) {
+    case "I":
+      return typedValue("int", readInt(regs, tok));
+    case "B":
+      return typedValue("int", (readInt(regs, tok) << 24) >> 24);
+    case "S":
+      return typedValue("int", (readInt(regs, tok) << 16) >> 16);
+    case "C":
+      return typedValue("char", readInt(regs, tok) & 0xffff);
+    case "Z":
+      return typedValue("boolean", (readInt(regs, tok) & 1) === 1);
+    case "F":
+      return typedValue("float", readFloat(regs, tok));
+    case "J":
+      return typedValue("long", wrapLong(readLong(regs, tok)));
+    case "D":
+      return typedValue("double", readDouble(regs, tok));
+    default:
+      return readValue(regs, tok);
+  }
+}
+
+function divideByZero() {
+  throw new Error("ArithmeticException: divide by zero");
+}
+
+const INT_OPS = {
+  add: (a, b) => (a + b) | 0,
+  sub: (a, b) => (a - b) | 0,
+  rsub: (a, b) => (b - a) | 0,
+  mul: (a, b) => Math.imul(a, b),
+  div: (a, b) => (b === 0 ? divideByZero() : (a / b) | 0),
+  rem: (a, b) => (b === 0 ? divideByZero() : (a % b) | 0),
+  and: (a, b) => a & b,
+  or: (a, b) => a | b,
+  xor: (a, b) => a ^ b,
+  shl: (a, b) => a << (b & 31),
+  shr: (a, b) => a >> (b & 31),
+  ushr: (a, b) => (a >>> (b & 31)) | 0,
+};
+
+const LONG_OPS = {
+  add: (a, b) => a + b,
+  sub: (a, b) => a - b,
+  mul: (a, b) => a * b,
+  div: (a, b) => (b === 0n ? divideByZero() : a / b),
+  rem: (a, b) => (b === 0n ? divideByZero() : a % b),
+  and: (a, b) => a & b,
+  or: (a, b) => a | b,
+  xor: (a, b) => a ^ b,
+  shl: (a, b) => a << (b & 63n),
+  shr: (a, b) => a >> (b & 63n),
+  ushr: (a, b) => BigInt.asUintN(64, a) >> (b & 63n),
+};
+
+const FLOAT_OPS = {
+  add: (a, b) => a + b,
+  sub: (a, b) => a - b,
+  mul: (a, b) => a * b,
+  div: (a, b) => a / b,
+  rem: (a, b) => a % b,
+};
+
+// Java's narrowing of floating point values: NaN becomes 0, out of range values saturate
+function floatToInt(x) {
+  if (Number.isNaN(x)) return 0;
+  return Math.max(INT_MIN, Math.min(INT_MAX, Math.trunc(x)));
+}
+
+function floatToLong(x) {
+  if (Number.isNaN(x)) return 0n;
+  if (x >= 2 ** 63) return LONG_MAX;
+  if (x <= -(2 ** 63)) return LONG_MIN;
+  return BigInt(Math.trunc(x));
+}
+
+function compareNumbers(a, b, nanResult) {
+  if (Number.isNaN(a) || Number.isNaN(b)) return nanResult;
+  return a === b ? 0 : a < b ? -1 : 1;
+}
+
+function expectOperands(op, args, count) {
+  if (args.length !== count) throw new Error(`${op} expects ${count} operands, got ${args.length}`);
+}
+
+const MAX_ARRAY_LENGTH = 65536;
+
+function arrayItems(elementType, length) {
+  if (length < 0) throw new Error(`NegativeArraySizeException: ${length}`);
+  if (length > MAX_ARRAY_LENGTH) throw new Error(`arrays over ${MAX_ARRAY_LENGTH} elements are not modelled`);
+  return Array.from({ length }, () => defaultValue(elementType));
+}
+
+// .array-data <width> followed by one literal per line; float and double
+// elements may be written as their bit patterns or as decimals
+function parseArrayData(text, elementType) {
+  const [header, ...rest] = String(text).split("\n").map((l) => l.trim());
+  const width = Number(header.split(/\s+/)[1]);
+  return rest.filter((l) => l && !l.startsWith(".end")).map((literal) => {
+    const decimal = /^-?(\d+\.\d*|\d*\.\d+|\d+[fd]|Infinity|NaN)/i.test(literal) && !/^-?0x/i.test(literal);
+    if (decimal) return typedValue(elementType === "F" ? "float" : "double", elementType === "F" ? Math.fround(parseFloat(literal)) : parseFloat(literal));
+    const n = BigInt.asIntN(width * 8, parseSmaliInteger(literal));
+    if (elementType === "J") return typedValue("long", n);
+    if (elementType === "D") return typedValue("double", bitsToDouble(n));
+    if (elementType === "F") return typedValue("float", bitsToFloat(Number(n)));
+    if (elementType === "C") return typedValue("char", Number(n) & 0xffff);
+    if (elementType === "Z") return typedValue("boolean", n !== 0n);
+    return typedValue("int", Number(n));
+  });
+}
+
+// Executes one instruction against `regs` in place. Returns false when the
+// opcode is not modelled, and throws for malformed operands or runtime faults.
+function executeInstruction(text, regs, env = createRunEnv()) {
+  const { op, args } = parseInstruction(text);
+  let m;
+  // Only the instruction right after filled-new-array can pick up its result
+  const result = env.result;
+  env.result = null;
+
+  // Payload pseudo-instructions are data, and these opcodes leave registers untouched
+  if (op.startsWith(".") || ["nop", "check-cast", "monitor-enter", "monitor-exit"].includes(op) || /^return(-void|-wide|-object)?$/.test(op)) {
+    return true;
+  }
+
+  if ((m = op.match(/^const(-wide)?(?:\/4|\/16|\/32|\/high16)?$/))) {
+    expectOperands(op, args, 2);
+    const n = parseSmaliInteger(args[1]);
+    writeReg(regs, regName(args[0]), m[1] ? typedValue("long", wrapLong(n)) : typedValue("int", Number(BigInt.asIntN(32, n))));
+    return true;
+  }
+
+  if (/^const-string(\/jumbo)?$/.test(op)) {
+    expectOperands(op, args, 2);
+    writeReg(regs, regName(args[0]), typedValue("String", unescapeSmaliString(args[1])));
+    return true;
+  }
+
+  if (op === "const-class") {
+    expectOperands(op, args, 2);
+    writeReg(regs, regName(args[0]), { type: "object", className: "Ljava/lang/Class;", value: args[1] });
+    return true;
+  }
+
+  if (/^move(-wide|-object)?(\/from16|\/16)?$/.test(op)) {
+    expectOperands(op, args, 2);
+    const src = regs[regName(args[1])] ?? null;
+    if (src?.type === "wide-hi") throw diagnosticError("type", `${args[1]} is the upper half of ${src.of}`);
+    writeReg(regs, regName(args[0]), src);
+    return true;
+  }
+
+  if ((m = op.match(/^(add|sub|mul|div|rem|and|or|xor|shl|shr|ushr)-(int|long|float|double)(\/2addr)?$/))) {
+    const [, name, type, twoAddr] = m;
+    expectOperands(op, args, twoAddr ? 2 : 3);
+    const dest = regName(args[0]);
+    const [lhs, rhs] = twoAddr ? [args[0], args[1]] : [args[1], args[2]];
+    if (type === "int") {
+      writeReg(regs, dest, typedValue("int", INT_OPS[name](readInt(regs, lhs), readInt(regs, rhs))));
+    } else if (type === "long") {
+      // Shift distances are ints even for long shifts
+      const b = ["shl", "shr", "ushr"].includes(name) ? BigInt(readInt(regs, rhs)) : readLong(regs, rhs);
+      writeReg(regs, dest, typedValue("long", wrapLong(LONG_OPS[name](readLong(regs, lhs), b))));
+    } else {
+      if (!FLOAT_OPS[name]) throw new Error(`${op} is not a valid opcode`);
+      const read = type === "float" ? readFloat : readDouble;
+      const result = FLOAT_OPS[name](read(regs, lhs), read(regs, rhs));
+      writeReg(regs, dest, typedValue(type, type === "float" ? Math.fround(result) : result));
+    }
+    return true;
+  }
+
+  if ((m = op.match(/^(add|rsub|mul|div|rem|and|or|xor|shl|shr|ushr)-int(?:\/lit(8|16))?$/))) {
+    if (!m[2] && m[1] !== "rsub") throw new Error(`${op} is not a valid opcode`);
+    expectOperands(op, args, 3);
+    const lit = Number(BigInt.asIntN(32, parseSmaliInteger(args[2])));
+    writeReg(regs, regName(args[0]), typedValue("int", INT_OPS[m[1]](readInt(regs, args[1]), lit)));
+    return true;
+  }
+
+  if ((m = op.match(/^(neg|not)-(int|long|float|double)$/))) {
+    expectOperands(op, args, 2);
+    const [, name, type] = m;
+    let result;
+    if (type === "int") result = name === "neg" ? -readInt(regs, args[1]) | 0 : ~readInt(regs, args[1]);
+    else if (type === "long") result = wrapLong(name === "neg" ? -readLong(regs, args[1]) : ~readLong(regs, args[1]));
+    else if (name === "neg") result = -(type === "float" ? readFloat : readDouble)(regs, args[1]);
+    else throw new Error(`${op} is not a valid opcode`);
+    writeReg(regs, regName(args[0]), typedValue(type, result));
+    return true;
+  }
+
+  if ((m = op.match(/^(int|long|float|double)-to-(int|long|float|double|byte|char|short)$/))) {
+    expectOperands(op, args, 2);
+    const [, from, to] = m;
+    if (from === to) throw new Error(`${op} is not a valid opcode`);
+    let result;
+    if (["byte", "char", "short"].includes(to)) {
+      if (from !== "int") throw new Error(`${op} is not a valid opcode`);
+      const a = readInt(regs, args[1]);
+      result = to === "byte" ? typedValue("int", (a << 24) >> 24) : to === "short" ? typedValue("int", (a << 16) >> 16) : typedValue("char", a & 0xffff);
+    } else if (from === "long") {
+      const a = readLong(regs, args[1]);
+      if (to === "int") result = typedValue("int", Number(BigInt.asIntN(32, a)));
+      else result = typedValue(to, to === "float" ? Math.fround(Number(a)) : Number(a));
+    } else if (from === "int") {
+      const a = readInt(regs, args[1]);
+      result = to === "long" ? typedValue("long", a) : typedValue(to, to === "float" ? Math.fround(a) : a);
+    } else {
+      const a = (from === "float" ? readFloat : readDouble)(regs, args[1]);
+      if (to === "int") result = typedValue("int", floatToInt(a));
+      else if (to === "long") result = typedValue("long", floatToLong(a));
+      else result = typedValue(to, to === "float" ? Math.fround(a) : a);
+    }
+    writeReg(regs, regName(args[0]), result);
+    return true;
+  }
+
+  if ((m = op.match(/^cmp(l|g)-(float|double)$/)) || op === "cmp-long") {
+    expectOperands(op, args, 3);
+    let result;
+    if (op === "cmp-long") {
+      const a = readLong(regs, args[1]);
+      const b = readLong(regs, args[2]);
+      result = a === b ? 0 : a < b ? -1 : 1;
+    } else {
+      const read = m[2] === "float" ? readFloat : readDouble;
+      result = compareNumbers(read(regs, args[1]), read(regs, args[2]), m[1] === "l" ? -1 : 1);
+    }
+    writeReg(regs, regName(args[0]), typedValue("int", result));
+    return true;
+  }
+
+  if (op === "array-length") {
+    expectOperands(op, args, 2);
+    writeReg(regs, regName(args[0]), typedValue("int", readReference(regs, args[1], env, "array").entry.items.length));
+    return true;
+  }
+
+  if ((m = op.match(/^a(get|put)(-wide|-object|-boolean|-byte|-char|-short)?$/))) {
+    expectOperands(op, args, 3);
+    const { ref, entry } = readReference(regs, args[1], env, "array");
+    const idx = readInt(regs, args[2]);
+    if (idx < 0 || idx >= entry.items.length) {
+      throw new Error(`ArrayIndexOutOfBoundsException: length=${entry.items.length}; index=${idx}`);
+    }
+    if (m[1] === "get") writeReg(regs, regName(args[0]), entry.items[idx] ?? null);
+    else writeHeap(env, ref, idx, readAs(regs, args[0], entry.className.slice(1)));
+    return true;
+  }
+
+  if (op === "new-instance") {
+    expectOperands(op, args, 2);
+    writeReg(regs, regName(args[0]), newObject(env.heap, args[1]));
+    return true;
+  }
+
+  if (op === "new-array") {
+    expectOperands(op, args, 3);
+    const items = arrayItems(args[2].slice(1), readInt(regs, args[1]));
+    writeReg(regs, regName(args[0]), newArray(env.heap, args[2], items));
+    return true;
+  }
+
+  if (/^filled-new-array(\/range)?$/.test(op)) {
+    expectOperands(op, args, 2);
+    const items = registerOperands([args[0]]).map((r) => readAs(regs, r, args[1].slice(1)));
+    env.result = newArray(env.heap, args[1], items);
+    return true;
+  }
+
+  if (/^move-result(-wide|-object)?$/.test(op)) {
+    if (!result) return false;
+    expectOperands(op, args, 1);
+    writeReg(regs, regName(args[0]), result);
+    return true;
+  }
+
+  if (op === "fill-array-data") {
+    expectOperands(op, args, 2);
+    const { ref, entry } = readReference(regs, args[0], env, "array");
+    const payload = env.payloads[args[1]];
+    if (!payload) throw new Error(`no .array-data is labelled ${args[1]}`);
+    const values = parseArrayData(payload, entry.className.slice(1));
+    if (values.length > entry.items.length) {
+      throw new Error(`ArrayIndexOutOfBoundsException: length=${entry.items.length}; data=${values.length}`);
+    }
+    values.forEach((value, i) => writeHeap(env, ref, i, value));
+    return true;
+  }
+
+  if ((m = op.match(/^i(get|put)(-wide|-object|-boolean|-byte|-char|-short)?$/))) {
+    expectOperands(op, args, 3);
+    const field = args[2].match(/^\S+?->([^:]+):(\S+)$/);
+    if (!field) throw new Error(`Bad field reference "${args[2]}"`);
+    const { ref, entry } = readReference(regs, args[1], env, "object");
+    if (m[1] === "get") writeReg(regs, regName(args[0]), entry.fields[field[1]] ?? defaultValue(field[2]));
+    else writeHeap(env, ref, field[1], readAs(regs, args[0], field[2]));
+    return true;
+  }
+
+  if ((m = op.match(/^s(get|put)(-wide|-object|-boolean|-byte|-char|-short)?$/))) {
+    expectOperands(op, args, 2);
+    const field = args[1].match(/^(\S+?)->([^:]+):(\S+)$/);
+    if (!field) throw new Error(`Bad field reference "${args[1]}"`);
+    // Reading a field nobody wrote gives the type's default and leaves the heap alone
+    if (m[1] === "get") {
+      const ref = env.heap.classes[field[1]];
+      writeReg(regs, regName(args[0]), (ref && env.heap.objects[ref].fields[field[2]]) ?? defaultValue(field[3]));
+    } else {
+      writeHeap(env, staticsEntry(env.heap, field[1]), field[2], readAs(regs, args[0], field[3]));
+    }
+    return true;
+  }
+
+  return false;
+}
+
+// --- Script Expressions ---
+// Right-hand sides of `vN = ...` are parsed into a small AST and evaluated with
+// Java semantics. Intermediate values are typed register values, except that longs hold a BigInt.
+const EXPR_BINARY_PRECEDENCE = {
+  "|": 1, "^": 2, "&": 3,
+  "<<": 4, ">>": 4, ">>>": 4,
+  "+": 5, "-": 5,
+  "*": 6, "/": 6, "%": 6,
+};
+const EXPR_OP_NAMES = {
+  "+": "add", "-": "sub", "*": "mul", "/": "div", "%": "rem",
+  "&": "and", "|": "or", "^": "xor", "<<": "shl", ">>": "shr", ">>>": "ushr",
+};
+const NUMERIC_TYPES = ["int", "char", "long", "float", "double"];
+
+function tokenizeExpression(src) {
+  const tokens = [];
+  let i = 0;
+  while (i < src.length) {
+    const rest = src.slice(i);
+    let m;
+    if ((m = rest.match(/^\s+/))) {
+      i += m[0].length;
+      continue;
+    }
+    if ((m = rest.match(/^0x[0-9a-f]+l?/i) || rest.match(/^(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?[lfd]?/i))) {
+      tokens.push({ type: "num", value: m[0], pos: i });
+    } else if ((m = rest.match(/^"(?:[^"\\]|\\.)*"/) || rest.match(/^'(?:[^'\\]|\\.)+'/))) {
+      tokens.push({ type: m[0][0] === '"' ? "str" : "char", value: m[0], pos: i });
+    } else if ((m = rest.match(/^[A-Za-z_$][\w$]*/))) {
+      tokens.push({ type: "ident", value: m[0], pos: i });
+    } else if ((m = rest.match(/^(>>>|<<|>>|[-+*/%&|^~!()[\],])/))) {
+      tokens.push({ type: "op", value: m[0], pos: i });
+    } else {
+      throw new Error(`unexpected "${rest[0]}" at ${i + 1}`);
+    }
+    i += m[0].length;
+  }
+  return tokens;
+}
+
+function parseNumberLiteral(text, negative) {
+  const raw = text.toLowerCase();
+  const sign = negative ? -1 : 1;
+  if (raw.startsWith("0x")) {
+    const isLong = raw.endsWith("l");
+    const n = BigInt(isLong ? raw.slice(0, -1) : raw) * BigInt(sign);
+    // Like Java, a hex int literal may spell out all 32 bits (0xffffffff is -1)
+    if (!isLong && n >= -(2n ** 32n) && n < 2n ** 32n) return { type: "int", value: Number(BigInt.asIntN(32, n)) };
+    return { type: "long", value: wrapLong(n) };
+  }
+  if (raw.endsWith("l")) return { type: "long", value: wrapLong(BigInt(raw.slice(0, -1)) * BigInt(sign)) };
+  if (raw.endsWith("f")) return { type: "float", value: Math.fround(sign * Number(raw.slice(0, -1))) };
+  if (/[.ed]/.test(raw)) return { type: "double", value: sign * Number(raw.replace(/d$/, "")) };
+  const n = BigInt(raw) * BigInt(sign);
+  if (n >= INT_MIN && n <= INT_MAX) return { type: "int", value: Number(n) };
+  return { type: "long", value: wrapLong(n) };
+}
+
+function parseCharLiteral(text) {
+  const s = unescapeSmaliString(`"${text.slice(1, -1).replace(/"/g, '\\"')}"`);
+  if (s.length !== 1) throw new Error(`bad char literal ${text}`);
+  return { type: "char", value: s.charCodeAt(0) };
+}
+
+function parseExpression(src) {
+  const tokens = tokenizeExpression(src);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isOp = (value) => peek()?.type === "op" && peek().value === value;
+  const expect = (value) => {
+    if (!isOp(value)) throw new Error(peek() ? `expected "${value}" at ${peek().pos + 1}` : `expected "${value}"`);
+    pos++;
+  };
+
+  function parseBinary(minPrecedence) {
+    let left = parseUnary();
+    for (;;) {
+      const tok = peek();
+      const prec = tok?.type === "op" ? EXPR_BINARY_PRECEDENCE[tok.value] : undefined;
+      if (prec === undefined || prec < minPrecedence) return left;
+      pos++;
+      left = { type: "binary", op: tok.value, left, right: parseBinary(prec + 1) };
+    }
+  }
+
+  function parseUnary() {
+    const tok = peek();
+    if (tok?.type === "op" && ["-", "+", "~", "!"].includes(tok.value)) {
+      pos++;
+      if (tok.value === "-" && peek()?.type === "num") {
+        return { type: "lit", value: parseNumberLiteral(tokens[pos++].value, true) };
+      }
+      return { type: "unary", op: tok.value, arg: parseUnary() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const tok = tokens[pos++];
+    if (!tok) throw new Error("unexpected end of expression");
+    if (tok.type === "num") return { type: "lit", value: parseNumberLiteral(tok.value, false) };
+    if (tok.type === "str") return { type: "lit", value: { type: "String", value: unescapeSmaliString(tok.value) } };
+    if (tok.type === "char") return { type: "lit", value: parseCharLiteral(tok.value) };
+    if (tok.type === "ident") {
+      if (tok.value === "true" || tok.value === "false") return { type: "lit", value: { type: "boolean", value: tok.value === "true" } };
+      if (tok.value === "null") return { type: "lit", value: { type: "null", value: null } };
+      if (isReg(tok.value)) return { type: "reg", name: tok.value };
+      if (isOp("(")) {
+        pos++;
+        const args = [];
+        while (!isOp(")")) {
+          args.push(parseBinary(1));
+          if (!isOp(")")) expect(",");
+        }
+        pos++;
+        return { type: "call", name: tok.value, args };
+      }
+      return { type: "field", name: tok.value };
+    }
+    if (tok.value === "(") {
+      const inner = parseBinary(1);
+      expect(")");
+      return inner;
+    }
+    if (tok.value === "[") {
+      const items = [];
+      while (!isOp("]")) {
+        items.push(parseBinary(1));
+        if (!isOp("]")) expect(",");
+      }
+      pos++;
+      return { type: "array", items };
+    }
+    throw new Error(`unexpected "${tok.value}" at ${tok.pos + 1}`);
+  }
+
+  const ast = parseBinary(1);
+  if (pos < tokens.length) throw new Error(`unexpected "${peek().value}" at ${peek().pos + 1}`);
+  return ast;
+}
+
+function fromStoredValue(val) {
+  if (val.type === "long") return { type: "long", value: BigInt(val.value) };
+  if (val.type === "float" || val.type === "double") return { type: val.type, value: Number(val.value) };
+  return val;
+}
+
+function toStoredValue(x) {
+  return ["long", "float", "double"].includes(x.type) ? typedValue(x.type, x.value) : x;
+}
+
+function javaString(x) {
+  if (x.type === "null") return "null";
+  if (x.type === "String") return x.value;
+  if (x.type === "char") return String.fromCharCode(x.value);
+  if (x.type === "long" || x.type === "int" || x.type === "boolean") return String(x.value);
+  return formatRegisterValue(toStoredValue(x)).text;
+}
+
+function requireNumeric(x, op) {
+  if (!NUMERIC_TYPES.includes(x.type)) throw diagnosticError("type", `bad operand type ${x.type} for "${op}"`);
+  return x;
+}
+
+function promotedType(a, b) {
+  for (const type of ["double", "float", "long"]) if (a.type === type || b.type === type) return type;
+  return "int";
+}
+
+function asBigInt(x) {
+  return x.type === "long" ? x.value : BigInt(Math.trunc(x.value));
+}
+
+function evalUnary(op, x) {
+  if (op === "!") {
+    if (x.type !== "boolean") throw diagnosticError("type", `bad operand type ${x.type} for "!"`);
+    return { type: "boolean", value: !x.value };
+  }
+  requireNumeric(x, op);
+  const type = x.type === "char" ? "int" : x.type;
+  if (op === "+") return { type, value: x.value };
+  if (op === "~") {
+    if (type === "int") return { type, value: ~x.value };
+    if (type === "long") return { type, value: wrapLong(~x.value) };
+    throw diagnosticError("type", `bad operand type ${type} for "~"`);
+  }
+  if (type === "int") return { type, value: -x.value | 0 };
+  if (type === "long") return { type, value: wrapLong(-x.value) };
+  return { type, value: -x.value };
+}
+
+function evalBinary(op, a, b) {
+  if (op === "+" && (a.type === "String" || b.type === "String")) return { type: "String", value: javaString(a) + javaString(b) };
+  const name = EXPR_OP_NAMES[op];
+  if (a.type === "boolean" && b.type === "boolean" && ["and", "or", "xor"].includes(name)) {
+    return { type: "boolean", value: Boolean(INT_OPS[name](Number(a.value), Number(b.value))) };
+  }
+  requireNumeric(a, op);
+  requireNumeric(b, op);
+
+  if (["shl", "shr", "ushr"].includes(name)) {
+    const distance = Number(BigInt.asIntN(32, asBigInt(requireIntegral(b, op))));
+    if (requireIntegral(a, op).type === "long") return { type: "long", value: wrapLong(LONG_OPS[name](a.value, BigInt(distance))) };
+    return { type: "int", value: INT_OPS[name](a.value, distance) };
+  }
+
+  const type = promotedType(a, b);
+  if (type === "int") return { type, value: INT_OPS[name](a.value, b.value) };
+  if (type === "long") return { type, value: wrapLong(LONG_OPS[name](asBigInt(a), asBigInt(b))) };
+  if (!FLOAT_OPS[name]) throw diagnosticError("type", `bad operand type ${type} for "${op}"`);
+  const toNum = (x) => (x.type === "long" ? Number(x.value) : x.value);
+  const result = FLOAT_OPS[name](toNum(a), toNum(b));
+  return { type, value: type === "float" ? Math.fround(result) : result };
+}
+
+function requireIntegral(x, op) {
+  if (x.type === "float" || x.type === "double") throw diagnosticError("type", `bad operand type ${x.type} for "${op}"`);
+  return x;
+}
+
+const LITERAL_ELEMENT_TYPES = { int: "I", long: "J", float: "F", double: "D", char: "C", boolean: "Z", String: "Ljava/lang/String;" };
+
+// An array literal is an array of its elements' type when they all share one
+function literalArrayClass(items) {
+  const types = [...new Set(items.map((item) => item?.type))];
+  return `[${(types.length === 1 && LITERAL_ELEMENT_TYPES[types[0]]) || "Ljava/lang/Object;"}`;
+}
+
+// Functions for building inputs: bytes("abc") and hex("cafe01") make a byte[],
+// object("com.x.Foo") an instance with no fields set
+function evalCall(name, args, env) {
+  if (args.length !== 1 || args[0].type !== "String") throw diagnosticError("type", `${name}() takes one String`);
+  const text = args[0].value;
+  if (name === "object") {
+    if (!env) throw new Error("object() only works in scripts and scenario inputs");
+    return newObject(env.heap, classDescriptor(text));
+  }
+  let bytes;
+  if (name === "bytes") {
+    bytes = [...new TextEncoder().encode(text)];
+  } else if (name === "hex") {
+    const digits = text.replace(/\s+/g, "");
+    if (!/^(?:[0-9a-f]{2})*$/i.test(digits)) throw new Error("hex() takes pairs of hex digits");
+    bytes = (digits.match(/../g) || []).map((b) => parseInt(b, 16));
+  } else {
+    throw new Error(`unknown function "${name}"`);
+  }
+  const items = bytes.map((b) => typedValue("int", (b << 24) >> 24));
+  return env ? newArray(env.heap, "[B", items) : { type: "array", className: "[B", value: items };
+}
+
+// Without a run env (trace values) arrays stay plain values instead of being allocated
+function evalNode(node, regs, env) {
+  switch (node.type) {
+    case "lit":
+      return node.value;
+    case "reg":
+      return fromStoredValue(readValue(regs, node.name));
+    case "array": {
+      const items = node.items.map((item) => toStoredValue(evalNode(item, regs, env)));
+      return env ? newArray(env.heap, literalArrayClass(items), items) : { type: "array", value: items };
+    }
+    case "call":
+      return evalCall(node.name, node.args.map((arg) => toStoredValue(evalNode(arg, regs, env))), env);
+    case "field":
+      return fromStoredValue(readClassField(env, node.name));
+    case "unary":
+      return evalUnary(node.op, evalNode(node.arg, regs, env));
+    default:
+      return evalBinary(node.op, evalNode(node.left, regs, env), evalNode(node.right, regs, env));
+  }
+}
+
+function evaluateExpression(src, regs, env) {
+  return toStoredValue(evalNode(parseExpression(src), regs, env));
+}
+
+// Scripts saved before expressions were evaluated read a bare word, or
+// anything else that was not a number, true, false or null, as the text
+// itself: `v0 = foo` set "foo". Such values become string literals so the
+// script keeps its meaning; ones that now evaluate (v1, 'a') are left alone,
+// since a store this old may also hold newer scripts. Statements are split the
+// way those versions did.
+function migrateLegacyScript(script) {
+  return String(script || "").split("\n").map((line) => line.split(";").map((stmt) => {
+    const m = stmt.match(/^(\s*(?:v|p)\d+\s*=\s*)(.+?)(\s*)$/);
+    if (!m) return stmt;
+    const rhs = m[2];
+    let keeps = !/^[A-Za-z_$][\w$]*$/.test(rhs) || isReg(rhs) || ["true", "false", "null"].includes(rhs);
+    try {
+      parseExpression(rhs);
+    } catch (e) {
+      keeps = false;
+    }
+    if (keeps) return stmt;
+    const quoted = /^(".*"|'.*')$/.test(rhs) ? rhs.slice(1, -1) : rhs;
+    return `${m[1]}${JSON.stringify(quoted)}${m[3]}`;
+  }).join(";")).join("\n");
+}
+
+function migrateLegacyScripts(method) {
+  return { ...method, lines: (method.lines || []).map((l) => (l && typeof l === "object" ? { ...l, script: migrateLegacyScript(l.script) } : l)) };
+}
+
+// --- Smali Import ---
+const WIDE_TYPES = ["J", "D"];
+const SMALI_PAYLOADS = ["array-data", "packed-switch", "sparse-switch"];
+
+function parseTypeList(desc) {
+  const types = [];
+  let i = 0;
+  while (i < desc.length) {
+    const start = i;
+    while (desc[i] === "[") i++;
+    if (desc[i] === "L") {
+      const end = desc.indexOf(";", i);
+      if (end === -1) throw new Error(`Unterminated type in "${desc}"`);
+      i = end + 1;
+    } else if (desc[i] && "ZBSCIJFDV".includes(desc[i])) {
+      i++;
+    } else {
+      throw new Error(`Bad type descriptor "${desc}"`);
+    }
+    types.push(desc.slice(start, i));
+  }
+  return types;
+}
+
+function parseMethodSignature(signature) {
+  const m = String(signature || "").match(/^\((.*)\)(.+)$/);
+  if (!m) throw new Error(`Bad method signature "${signature}"`);
+  return { paramTypes: parseTypeList(m[1]), returnType: m[2] };
+}
+
+// p0 is `this` for instance methods; J and D take a register pair.
+function countParamRegisters(paramTypes, isStatic) {
+  return paramTypes.reduce((n, t) => n + (WIDE_TYPES.includes(t) ? 2 : 1), isStatic ? 0 : 1);
+}
+
+function stripSmaliComment(line) {
+  let inString = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (inString && c === "\\") { i++; continue; }
+    if (c === '"') inString = !inString;
+    else if (c === "#" && !inString) return line.slice(0, i);
+  }
+  return line;
+}
+
+function parseSmaliMethods(text) {
+  const methods = [];
+  let current = null;
+  let pendingLabels = [];
+  let payload = null;
+  let annotationDepth = 0;
+
+  for (const raw of String(text || "").split(/\r?\n/)) {
+    const line = stripSmaliComment(raw).trim();
+    if (!line) continue;
+
+    if (!current) {
+      const header = line.match(/^\.method\s+(?:(.*)\s+)?([^\s(]+)\((.*?)\)(\S+)$/);
+      if (header) {
+        const modifiers = (header[1] || "").split(/\s+/).filter(Boolean);
+        const signature = `(${header[3]})${header[4]}`;
+        const { paramTypes } = parseMethodSignature(signature);
+        const isStatic = modifiers.includes("static");
+        current = {
+          name: header[2],
+          signature,
+          modifiers,
+          isStatic,
+          params: countParamRegisters(paramTypes, isStatic),
+          registers: null,
+          locals: null,
+          instructions: [],
+        };
+        pendingLabels = [];
+      }
+      continue;
+    }
+
+    if (annotationDepth > 0) {
+      if (/^\.(annotation|subannotation)\b/.test(line)) annotationDepth++;
+      else if (/^\.end (annotation|subannotation)\b/.test(line)) annotationDepth--;
+      continue;
+    }
+
+    if (payload) {
+      payload.lines.push(line);
+      if (line === `.end ${payload.kind}`) {
+        current.instructions.push({ text: payload.lines.join("\n"), labels: pendingLabels });
+        pendingLabels = [];
+        payload = null;
+      }
+      continue;
+    }
+
+    if (line === ".end method") {
+      // Labels with no instruction after them still need a line to branch to
+      if (pendingLabels.length) current.instructions.push({ text: "", labels: pendingLabels });
+      const { registers, locals, params } = current;
+      if (locals === null) current.locals = registers === null ? 0 : Math.max(0, registers - params);
+      delete current.registers;
+      methods.push(current);
+      current = null;
+      continue;
+    }
+
+    const counts = line.match(/^\.(registers|locals)\s+(\d+)$/);
+    if (counts) {
+      current[counts[1]] = Number(counts[2]);
+      continue;
+    }
+
+    if (line.startsWith(":")) {
+      pendingLabels.push(line);
+      continue;
+    }
+
+    if (line.startsWith(".")) {
+      const kind = line.slice(1).split(/\s+/)[0];
+      if (SMALI_PAYLOADS.includes(kind)) payload = { kind, lines: [line] };
+      else if (kind === "annotation") annotationDepth = 1;
+      continue;
+    }
+
+    current.instructions.push({ text: line, labels: pendingLabels });
+    pendingLabels = [];
+  }
+
+  if (current) throw new Error(`Method "${current.name}" is missing .end method`);
+  if (methods.length === 0) throw new Error("No .method block found");
+  return methods;
+}
+
+// A whole apktool .smali file: the .class header plus every .method block.
+function parseSmaliClass(text) {
+  const header = {};
+  for (const raw of String(text || "").split(/\r?\n/)) {
+    const line = stripSmaliComment(raw).trim();
+    if (line.startsWith(".method")) break;
+    const directive = line.match(/^\.(class|super|source)\s+(.*)$/);
+    if (!directive) continue;
+    if (directive[1] === "class") {
+      const parts = directive[2].split(/\s+/);
+      header.descriptor = parts.pop();
+      header.modifiers = parts;
+    } else if (directive[1] === "super") {
+      header.superclass = directive[2];
+    } else {
+      header.sourceFile = directive[2].replace(/^"|"$/g, "");
+    }
+  }
+  if (!header.descriptor) throw new Error("No .class directive found");
+  return {
+    descriptor: header.descriptor,
+    modifiers: header.modifiers,
+    superclass: header.superclass || null,
+    sourceFile: header.sourceFile || null,
+    methods: /^\s*\.method\s/m.test(text) ? parseSmaliMethods(text) : [],
+  };
+}
+
+// Reads .smali files from a directory picker selection or from a single zip,
+// returning the parsed classes and the files that failed to parse.
+async function loadSmaliClasses(files) {
+  const sources = [];
+  if (files.length === 1 && /\.zip$/i.test(files[0].name)) {
+    const buffer = await files[0].arrayBuffer();
+    for (const entry of readZipEntries(buffer).filter((e) => e.name.endsWith(".smali"))) {
+      sources.push({ path: entry.name, text: new TextDecoder().decode(await extractZipEntry(buffer, entry)) });
+    }
+  } else {
+    for (const file of files) {
+      if (file.name.endsWith(".smali")) sources.push({ path: file.webkitRelativePath || file.name, text: await file.text() });
+    }
+  }
+  if (sources.length === 0) throw new Error("No .smali files found");
+
+  const classes = [];
+  const errors = [];
+  for (const { path, text } of sources) {
+    try {
+      classes.push({ ...parseSmaliClass(text), path });
+    } catch (e) {
+      errors.push(`${path}: ${e.message}`);
+    }
+  }
+  classes.sort((a, b) => a.descriptor.localeCompare(b.descriptor));
+  return { classes, errors };
+}
+
+function applySmaliToMethod(method, parsed) {
+  method.name = parsed.name;
+  method.signature = parsed.signature;
+  method.modifiers = parsed.modifiers;
+  method.params = parsed.params;
+  method.locals = parsed.locals;
+  method.liveState = blankRegisters(method.params, method.locals);
+  method.lines = parsed.instructions.map((ins, i) => ({
+    id: uid(), index: i + 1, notes: "", script: "", smali: ins.text, labels: ins.labels,
+  }));
+  method.lastSavedAt = Date.now();
+  recomputeAllSnapshots(method);
+  return method;
+}
+
+function createMethodFromSmali(parsed) {
+  return applySmaliToMethod(createNewMethod(parsed.name), parsed);
+}
+
+// --- Zip Archives ---
+// Just enough of the zip format to pull files out of an APK or a zipped folder:
+// stored and deflated entries, no zip64, no encryption.
+function readZipEntries(buffer) {
+  const view = new DataView(buffer);
+  let eocd = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error("Not a zip archive");
+  const count = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  if (offset === 0xffffffff) throw new Error("Zip64 archives are not supported");
+
+  const decoder = new TextDecoder();
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) throw new Error("Corrupt zip central directory");
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    entries.push({
+      name: decoder.decode(new Uint8Array(buffer, offset + 46, nameLength)),
+      method: view.getUint16(offset + 10, true),
+      flags: view.getUint16(offset + 8, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      size: view.getUint32(offset + 24, true),
+      headerOffset: view.getUint32(offset + 42, true),
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+async function extractZipEntry(buffer, entry) {
+  const view = new DataView(buffer);
+  const at = entry.headerOffset;
+  if (view.getUint32(at, true) !== 0x04034b50) throw new Error(`Corrupt zip entry "${entry.name}"`);
+  if (entry.flags & 1) throw new Error(`"${entry.name}" is encrypted`);
+  const start = at + 30 + view.getUint16(at + 26, true) + view.getUint16(at + 28, true);
+  const data = new Uint8Array(buffer, start, entry.compressedSize);
+  if (entry.method === 0) return data;
+  if (entry.method !== 8) throw new Error(`"${entry.name}" uses unsupported compression method ${entry.method}`);
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// --- DEX Parsing ---
+const NO_INDEX = 0xffffffff;
+const DEX_ACCESS_FLAGS = [
+  [0x1, "public"], [0x2, "private"], [0x4, "protected"], [0x8, "static"], [0x10, "final"],
+  [0x20, "synchronized"], [0x40, "bridge"], [0x80, "varargs"], [0x100, "native"], [0x200, "interface"],
+  [0x400, "abstract"], [0x800, "strictfp"], [0x1000, "synthetic"], [0x4000, "enum"], [0x10000, "constructor"],
+];
+
+function accessFlagNames(flags, isMethod) {
+  return DEX_ACCESS_FLAGS
+    .filter(([bit, name]) => flags & bit && !(isMethod ? name === "interface" || name === "enum" : ["bridge", "varargs", "constructor"].includes(name)))
+    .map(([, name]) => name);
+}
+
+// Modified UTF-8: like UTF-8, but NUL is two bytes and supplementary characters
+// are stored as two three-byte surrogates, so decode unit by unit.
+function decodeMutf8(bytes, offset) {
+  let out = "";
+  let i = offset;
+  while (bytes[i] !== 0) {
+    const a = bytes[i++];
+    if (a < 0x80) out += String.fromCharCode(a);
+    else if ((a & 0xe0) === 0xc0) out += String.fromCharCode(((a & 0x1f) << 6) | (bytes[i++] & 0x3f));
+    else {
+      const b = bytes[i++];
+      const c = bytes[i++];
+      out += String.fromCharCode(((a & 0x0f) << 12) | ((b & 0x3f) << 6) | (c & 0x3f));
+    }
+  }
+  return out;
+}
+
+function parseDex(bytes, source = "classes.dex") {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const magic = String.fromCharCode(...bytes.subarray(0, 4));
+  if (magic !== "dex\n") throw new Error(`${source} is not a dex file`);
+  const u16 = (at) => view.getUint16(at, true);
+  const u32 = (at) => view.getUint32(at, true);
+  let pos = 0;
+  const uleb = () => {
+    let result = 0;
+    let shift = 0;
+    let b;
+    do {
+      b = bytes[pos++];
+      result |= (b & 0x7f) << shift;
+      shift += 7;
+    } while (b & 0x80);
+    return result >>> 0;
+  };
+
+  const stringIdsOff = u32(0x3c);
+  const typeIdsOff = u32(0x44);
+  const protoIdsOff = u32(0x4c);
+  const methodIdsOff = u32(0x5c);
+  const classDefsSize = u32(0x60);
+  const classDefsOff = u32(0x64);
+
+  const strings = new Map();
+  const string = (idx) => {
+    if (idx === NO_INDEX) return null;
+    if (!strings.has(idx)) {
+      pos = u32(stringIdsOff + idx * 4);
+      uleb();
+      strings.set(idx, decodeMutf8(bytes, pos));
+    }
+    return strings.get(idx);
+  };
+  const type = (idx) => (idx === NO_INDEX ? null : string(u32(typeIdsOff + idx * 4)));
+  const protoSignature = (idx) => {
+    const at = protoIdsOff + idx * 12;
+    const paramsOff = u32(at + 8);
+    let params = "";
+    if (paramsOff) {
+      const size = u32(paramsOff);
+      for (let i = 0; i < size; i++) params += type(u16(paramsOff + 4 + i * 2));
+    }
+    return `(${params})${type(u32(at + 4))}`;
+  };
+
+  const classes = [];
+  for (let c = 0; c < classDefsSize; c++) {
+    const at = classDefsOff + c * 32;
+    const accessFlags = u32(at + 4);
+    const dexClass = {
+      descriptor: type(u32(at)),
+      source,
+      modifiers: accessFlagNames(accessFlags, false),
+      superclass: type(u32(at + 8)),
+      sourceFile: string(u32(at + 16)),
+      methods: [],
+    };
+    const classDataOff = u32(at + 24);
+    if (classDataOff) {
+      pos = classDataOff;
+      const staticFields = uleb();
+      const instanceFields = uleb();
+      const directMethods = uleb();
+      const virtualMethods = uleb();
+      for (let i = 0; i < (staticFields + instanceFields) * 2; i++) uleb();
+      const encoded = [];
+      for (let list of [directMethods, virtualMethods]) {
+        let methodIdx = 0;
+        for (let i = 0; i < list; i++) {
+          methodIdx += uleb();
+          encoded.push({ methodIdx, flags: uleb(), codeOff: uleb() });
+        }
+      }
+      for (const { methodIdx, flags, codeOff } of encoded) {
+        const mAt = methodIdsOff + methodIdx * 8;
+        const signature = protoSignature(u16(mAt + 2));
+        const modifiers = accessFlagNames(flags, true);
+        const isStatic = modifiers.includes("static");
+        const params = codeOff ? u16(codeOff + 2) : countParamRegisters(parseMethodSignature(signature).paramTypes, isStatic);
+        dexClass.methods.push({
+          name: string(u32(mAt + 4)),
+          signature,
+          modifiers,
+          isStatic,
+          hasCode: codeOff !== 0,
+          params,
+          locals: codeOff ? u16(codeOff) - params : 0,
+        });
+      }
+    }
+    classes.push(dexClass);
+  }
+  return classes;
+}
+
+// Accepts a bare .dex or an APK/zip and returns the classes of every classesN.dex in it.
+async function loadDexClasses(file) {
+  const buffer = await file.arrayBuffer();
+  const head = new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength));
+  if (String.fromCharCode(...head) === "dex\n") return parseDex(new Uint8Array(buffer), file.name);
+  const dexEntries = readZipEntries(buffer)
+    .filter((e) => /^classes\d*\.dex$/.test(e.name))
+    .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+  if (dexEntries.length === 0) throw new Error("No classes*.dex found in archive");
+  const classes = [];
+  for (const entry of dexEntries) classes.push(...parseDex(await extractZipEntry(buffer, entry), entry.name));
+  return classes;
+}
+
+function createMethodFromDex(dexMethod) {
+  const method = createNewMethod(dexMethod.name);
+  method.signature = dexMethod.signature;
+  method.modifiers = dexMethod.modifiers;
+  method.params = dexMethod.params;
+  method.locals = dexMethod.locals;
+  method.liveState = blankRegisters(method.params, method.locals);
+  recomputeAllSnapshots(method);
+  return method;
+}
+
+// --- ProGuard Mappings ---
+const JAVA_PRIMITIVES = { void: "V", boolean: "Z", byte: "B", short: "S", char: "C", int: "I", long: "J", float: "F", double: "D" };
+
+// Accepts "com.example.Foo" or "Lcom/example/Foo;" and returns the descriptor form
+function classDescriptor(name) {
+  const s = String(name || "").trim();
+  if (/^L.+;$/.test(s)) return s;
+  return `L${s.replace(/\./g, "/")};`;
+}
+
+function javaTypeToDescriptor(type) {
+  let t = type.trim();
+  let dims = "";
+  while (t.endsWith("[]")) {
+    dims += "[";
+    t = t.slice(0, -2);
+  }
+  return dims + (JAVA_PRIMITIVES[t] || classDescriptor(t));
+}
+
+function simpleClassName(name) {
+  const descriptor = classDescriptor(name);
+  return descriptor.slice(descriptor.lastIndexOf("/") + 1, -1);
+}
+
+// mapping.txt: "orig.Class -> obf.a:" headers followed by indented members,
+// "[start:end:]ret name(args)[:origLine[:origLine]] -> obf" for methods.
+// Fields are skipped, and so are frames inlined from other classes.
+function parseProguardMapping(text) {
+  const classes = [];
+  let current = null;
+  String(text).split(/\r?\n/).forEach((raw, i) => {
+    if (!raw.trim() || raw.trim().startsWith("#")) return;
+    if (!/^\s/.test(raw)) {
+      const m = raw.match(/^(\S+)\s+->\s+(\S+):\s*$/);
+      if (!m) throw new Error(`Line ${i + 1}: expected "original -> obfuscated:"`);
+      current = { realName: classDescriptor(m[1]), obfuscatedName: m[2], methods: [] };
+      classes.push(current);
+      return;
+    }
+    if (!current) throw new Error(`Line ${i + 1}: member before any class`);
+    const m = raw.match(/^\s+(?:\d+:\d+:)?(\S+)\s+([^\s(]+)\(([^)]*)\)(?::\d+){0,2}\s+->\s+(\S+)\s*$/);
+    if (!m || m[2].includes(".")) return;
+    const params = m[3].trim() ? m[3].split(",").map(javaTypeToDescriptor).join("") : "";
+    const entry = { realName: m[2], obfuscatedName: m[4], signature: `(${params})${javaTypeToDescriptor(m[1])}` };
+    if (!current.methods.some((e) => e.obfuscatedName === entry.obfuscatedName && e.signature === entry.signature)) {
+      current.methods.push(entry);
+    }
+  });
+  return classes;
+}
+
+function findTrackedClass(classes, descriptor) {
+  return classes.find((c) => classDescriptor(c.realName) === descriptor || (c.obfuscatedName && classDescriptor(c.obfuscatedName) === descriptor));
+}
+
+// Starts tracking descriptor if needed and adds the methods it does not have yet
+function addTrackedMethods(classes, descriptor, methods) {
+  const existing = findTrackedClass(classes, descriptor);
+  const cls = existing || createNewClass({ realName: descriptor, obfuscatedName: "", friendlyName: simpleClassName(descriptor) });
+  const added = methods.filter((method) => !cls.methods.some((m) => (m.obfuscatedName || m.name) === method.name && m.signature === method.signature));
+  const updated = { ...cls, methods: [...cls.methods, ...added] };
+  return existing ? classes.map((c) => (c === existing ? updated : c)) : [...classes, updated];
+}
+
+function findMappedClass(cls, mapping) {
+  const real = classDescriptor(cls.realName);
+  const obfuscated = cls.obfuscatedName ? classDescriptor(cls.obfuscatedName) : null;
+  return mapping.find((entry) => {
+    const entryObfuscated = classDescriptor(entry.obfuscatedName);
+    return entry.realName === real || entryObfuscated === real || entryObfuscated === obfuscated;
+  });
+}
+
+// Signatures imported from smali use obfuscated class names; rewrite them with
+// the mapping so they can be compared against mapping.txt entries.
+function deobfuscateSignature(signature, classNames) {
+  return signature.replace(/L[^;()]+;/g, (d) => classNames.get(d) || d);
+}
+
+function findMappedMethod(method, entry, classNames) {
+  const obfuscated = method.obfuscatedName || method.name;
+  const candidates = entry.methods.filter((m) => m.obfuscatedName === obfuscated);
+  if (method.signature) {
+    const signature = deobfuscateSignature(method.signature, classNames);
+    return candidates.find((m) => m.signature === signature) || null;
+  }
+  return candidates.length === 1 ? candidates[0] : null;
+}
+
+// Updates tracked classes found in the mapping and starts tracking the mapped
+// classes whose original name starts with trackPrefix (none when it is empty).
+function applyProguardMapping(classes, mapping, trackPrefix = "") {
+  const classNames = new Map(mapping.map((e) => [classDescriptor(e.obfuscatedName), e.realName]));
+  const summary = { updatedClasses: 0, renamedMethods: 0, createdClasses: 0 };
+  const matched = new Set();
+
+  const updated = classes.map((cls) => {
+    const entry = findMappedClass(cls, mapping);
+    if (!entry) return cls;
+    matched.add(entry);
+    summary.updatedClasses++;
+    const autoNamed = !cls.friendlyName || [cls.realName, cls.obfuscatedName].includes(cls.friendlyName);
+    return {
+      ...cls,
+      realName: entry.realName,
+      obfuscatedName: entry.obfuscatedName,
+      friendlyName: autoNamed ? simpleClassName(entry.realName) : cls.friendlyName,
+      methods: cls.methods.map((method) => {
+        const m = findMappedMethod(method, entry, classNames);
+        if (!m) return method;
+        summary.renamedMethods++;
+        return {
+          ...method,
+          name: method.name === m.obfuscatedName ? m.realName : method.name,
+          realName: m.realName,
+          obfuscatedName: m.obfuscatedName,
+        };
+      }),
+    };
+  });
+
+  const prefix = classDescriptor(trackPrefix.trim()).slice(0, -1);
+  const created = !trackPrefix.trim() ? [] : mapping
+    .filter((entry) => !matched.has(entry) && entry.realName.startsWith(prefix))
+    .map((entry) => createNewClass({
+      realName: entry.realName,
+      obfuscatedName: entry.obfuscatedName,
+      friendlyName: simpleClassName(entry.realName),
+    }));
+  summary.createdClasses = created.length;
+  return { classes: [...updated, ...created], summary };
+}
+
+// --- Display Names ---
+const NAME_MODES = ["friendly", "real", "obfuscated"];
+const NAME_MODE_KEY = "register-notebook-name-mode";
+
+function displayClassName(cls, mode) {
+  if (mode === "real") return cls.realName;
+  if (mode === "obfuscated") return cls.obfuscatedName || cls.realName;
+  return cls.friendlyName || cls.realName;
+}
+
+function displayMethodName(method, mode) {
+  if (mode === "real") return method.realName || method.name;
+  if (mode === "obfuscated") return method.obfuscatedName || method.name;
+  return method.name;
+}
+
+// --- Workspace Search ---
+const SEARCH_RESULT_LIMIT = 200;
+
+// Returns text -> [start, end] of the first match, or null. Bad patterns throw.
+function buildSearchMatcher(query, useRegex) {
+  if (useRegex) {
+    const re = new RegExp(query, "i");
+    return (text) => {
+      const m = re.exec(text);
+      return m ? [m.index, m.index + m[0].length] : null;
+    };
+  }
+  const needle = query.toLowerCase();
+  return (text) => {
+    const i = text.toLowerCase().indexOf(needle);
+    return i === -1 ? null : [i, i + needle.length];
+  };
+}
+
+function lineUsesRegister(line, reg, aliasRegs) {
+  const statements = [...splitStatements(line.smali), ...splitStatements(resolveAliases(line.script || "", aliasRegs))];
+  const used = statements.some((stmt) => {
+    const { reads, writes } = statementRegisterUse(stmt);
+    return reads.includes(reg) || writes.includes(reg);
+  });
+  return used || new RegExp(`\\b${reg}\\b`).test(resolveAliases(line.notes || "", aliasRegs));
+}
+
+// Class and method names are only searched when no register filter is set,
+// since a register only means something inside a line.
+function searchWorkspace(classes, { query, useRegex, register }) {
+  const text = query.trim();
+  const reg = register.trim();
+  if (!text && !reg) return [];
+  const match = text ? buildSearchMatcher(text, useRegex) : (s) => (s ? [0, 0] : null);
+  const results = [];
+  const add = (result) => results.length < SEARCH_RESULT_LIMIT && results.push(result);
+  const firstMatch = (obj, fields) => {
+    for (const field of fields) {
+      const range = obj[field] ? match(obj[field]) : null;
+      if (range) return { field, text: obj[field], range };
+    }
+    return null;
+  };
+
+  for (const cls of classes) {
+    const classHit = !reg && text && firstMatch(cls, ["friendlyName", "realName", "obfuscatedName"]);
+    if (classHit) add({ kind: "class", classId: cls.id, ...classHit });
+    for (const method of cls.methods) {
+      const methodHit = !reg && text && firstMatch(method, ["name", "realName", "obfuscatedName"]);
+      if (methodHit) add({ kind: "method", classId: cls.id, methodId: method.id, ...methodHit });
+      for (const line of sortLines(method.lines)) {
+        if (reg && !lineUsesRegister(line, reg, aliasesAt(method.aliases, Number(line.index)).byName)) continue;
+        for (const field of ["notes", "script", "smali"]) {
+          const range = line[field] ? match(line[field]) : null;
+          if (range) add({ kind: "line", classId: cls.id, methodId: method.id, lineId: line.id, lineIndex: line.index, field, text: line[field], range });
+        }
+      }
+    }
+  }
+  return results;
+}
+
+// --- Workspace Files ---
+const WORKSPACE_FORMAT = "register-notebook-workspace";
+const WORKSPACE_SCHEMA_VERSION = 1;
+
+// Each entry upgrades a file from schemaVersion N to N + 1. Version 0 is a bare
+// array of classes, which is what the single-blob database used to hold, so
+// its scripts get the same migration as that database.
+const WORKSPACE_MIGRATIONS = {
+  0: (classes) => ({
+    format: WORKSPACE_FORMAT,
+    schemaVersion: 1,
+    classes: classes.map((cls) => (cls && typeof cls === "object" && Array.isArray(cls.methods)
+      ? { ...cls, methods: cls.methods.map((m) => (m && typeof m === "object" ? migrateLegacyScripts(m) : m)) }
+      : cls)),
+  }),
+};
+
+// Single-method notebook files. Ones without a format are the bare method
+// objects older versions exported, whose scripts predate expressions.
+const NOTEBOOK_FORMAT = "register-notebook-method";
+const NOTEBOOK_SCHEMA_VERSION = 1;
+
+function exportWorkspace(classes) {
+  return {
+    format: WORKSPACE_FORMAT,
+    schemaVersion: WORKSPACE_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    classes: classes.map((cls) => ({
+      ...cls,
+      methods: cls.methods.map(withoutDerivedFields),
+    })),
+  };
+}
+
+function normalizeImportedMethod(method, where) {
+  if (!method || typeof method !== "object") throw new Error(`${where} is not an object`);
+  if (typeof method.name !== "string" || !method.name) throw new Error(`${where} has no name`);
+  if (!Array.isArray(method.lines)) throw new Error(`${where} has no lines`);
+  method.lines.forEach((line, i) => {
+    if (!line || typeof line !== "object") throw new Error(`${where} line ${i + 1} is not an object`);
+    for (const field of ["notes", "script", "smali"]) {
+      if (line[field] != null && typeof line[field] !== "string") throw new Error(`${where} line ${i + 1} has a non-text ${field}`);
+    }
+  });
+  const count = (n, fallback) => (Number.isInteger(n) && n >= 0 ? n : fallback);
+  const normalized = {
+    ...method,
+    id: typeof method.id === "string" && method.id ? method.id : `meth_${uid()}`,
+    params: count(method.params, 1),
+    locals: count(method.locals, 0),
+    liveState: method.liveState && typeof method.liveState === "object" ? method.liveState : {},
+    aliases: Array.isArray(method.aliases) ? method.aliases : [],
+    scenarios: (Array.isArray(method.scenarios) ? method.scenarios : []).filter((s) => s && typeof s === "object").map((s, i) => ({
+      id: typeof s.id === "string" && s.id ? s.id : `scn_${uid()}`,
+      name: typeof s.name === "string" && s.name ? s.name : `scenario ${i + 1}`,
+      inputs: Object.fromEntries(Object.entries(s.inputs && typeof s.inputs === "object" ? s.inputs : {})
+        .filter(([reg, source]) => isReg(reg) && typeof source === "string")),
+    })),
+    lines: renumberLines(sortLines(method.lines.map((line) => ({
+      ...line,
+      id: typeof line.id === "string" && line.id ? line.id : uid(),
+      notes: line.notes || "",
+      script: line.script || "",
+    })))),
+  };
+  recomputeAllSnapshots(normalized);
+  return normalized;
+}
+
+function exportNotebook(method) {
+  return { format: NOTEBOOK_FORMAT, schemaVersion: NOTEBOOK_SCHEMA_VERSION, ...withoutDerivedFields(method) };
+}
+
+function parseNotebookFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error("not valid JSON");
+  }
+  if (data && typeof data === "object" && data.format === undefined) return normalizeImportedMethod(migrateLegacyScripts(data), "notebook");
+  if (!data || data.format !== NOTEBOOK_FORMAT) throw new Error("not a method notebook");
+  if (!Number.isInteger(data.schemaVersion) || data.schemaVersion < 1) throw new Error("missing schemaVersion");
+  if (data.schemaVersion > NOTEBOOK_SCHEMA_VERSION) {
+    throw new Error(`schemaVersion ${data.schemaVersion} is newer than this app supports (${NOTEBOOK_SCHEMA_VERSION})`);
+  }
+  const { format, schemaVersion, ...method } = data;
+  return normalizeImportedMethod(method, "notebook");
+}
+
+function parseWorkspaceFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error("not valid JSON");
+  }
+  if (Array.isArray(data)) data = WORKSPACE_MIGRATIONS[0](data);
+  if (!data || data.format !== WORKSPACE_FORMAT) throw new Error("not a workspace backup");
+  if (!Number.isInteger(data.schemaVersion) || data.schemaVersion < 1) throw new Error("missing schemaVersion");
+  if (data.schemaVersion > WORKSPACE_SCHEMA_VERSION) {
+    throw new Error(`schemaVersion ${data.schemaVersion} is newer than this app supports (${WORKSPACE_SCHEMA_VERSION})`);
+  }
+  while (data.schemaVersion < WORKSPACE_SCHEMA_VERSION) data = WORKSPACE_MIGRATIONS[data.schemaVersion](data);
+  if (!Array.isArray(data.classes)) throw new Error("classes is not a list");
+
+  return data.classes.map((cls, i) => {
+    const where = `class ${i + 1}`;
+    if (!cls || typeof cls !== "object") throw new Error(`${where} is not an object`);
+    if (typeof cls.realName !== "string" || !cls.realName) throw new Error(`${where} has no class path`);
+    if (!Array.isArray(cls.methods)) throw new Error(`${where} has no methods list`);
+    return recomputeClassMethods({
+      ...cls,
+      id: typeof cls.id === "string" && cls.id ? cls.id : `cls_${uid()}`,
+      friendlyName: typeof cls.friendlyName === "string" && cls.friendlyName ? cls.friendlyName : cls.realName,
+      obfuscatedName: typeof cls.obfuscatedName === "string" ? cls.obfuscatedName : "",
+      createdAt: cls.createdAt || Date.now(),
+      fields: (Array.isArray(cls.fields) ? cls.fields : [])
+        .filter((f) => f && typeof f === "object" && ALIAS_NAME_RE.test(f.name) && typeof f.type === "string" && f.type.trim())
+        .map((f) => ({ id: typeof f.id === "string" && f.id ? f.id : uid(), name: f.name, type: f.type, isStatic: Boolean(f.isStatic), value: typeof f.value === "string" ? f.value : "" })),
+      chainMethods: Boolean(cls.chainMethods),
+      methods: cls.methods.map((m, j) => normalizeImportedMethod(m, `${cls.realName} method ${j + 1}`)),
+    });
+  });
+}
+
+// Two declarations of a field conflict when they differ in anything but id
+function sameField(a, b) {
+  return a.type === b.type && Boolean(a.isStatic) === Boolean(b.isStatic) && (a.value || "") === (b.value || "");
+}
+
+function findWorkspaceConflicts(existing, incoming) {
+  const classPaths = new Set(existing.map((c) => c.realName));
+  const methods = new Map(existing.flatMap((c) => c.methods.map((m) => [m.id, { cls: c, method: m }])));
+  return {
+    classes: incoming.filter((c) => classPaths.has(c.realName)).map((c) => c.realName),
+    fields: incoming.flatMap((c) => {
+      const target = existing.find((e) => e.realName === c.realName);
+      return (c.fields || [])
+        .filter((f) => (target?.fields || []).some((own) => own.name === f.name && !sameField(own, f)))
+        .map((f) => ({ className: c.realName, name: f.name }));
+    }),
+    methods: incoming.flatMap((c) => c.methods.filter((m) => methods.has(m.id)).map((m) => ({
+      id: m.id,
+      name: m.name,
+      existingClass: methods.get(m.id).cls.realName,
+    }))),
+  };
+}
+
+// Classes are matched by class path. onConflict decides what happens to an
+// incoming method whose id is already in the workspace:
+//   "keep"    - leave the existing method alone and drop the incoming one
+//   "replace" - overwrite the existing method where it is
+//   "copy"    - add the incoming method under a fresh id
+// Field names are unique within a class, so a differing field is only taken
+// on "replace", which also takes the incoming display names and chaining.
+// New fields are always added. Classes that changed are recomputed.
+function mergeWorkspace(existing, incoming, onConflict) {
+  const result = existing.map((c) => ({ ...c, methods: [...c.methods] }));
+  const classIds = new Set(result.map((c) => c.id));
+  const locate = (methodId) => {
+    for (const cls of result) {
+      const idx = cls.methods.findIndex((m) => m.id === methodId);
+      if (idx !== -1) return { cls, idx };
+    }
+    return null;
+  };
+
+  const touched = new Set();
+
+  for (const cls of incoming) {
+    let target = result.find((c) => c.realName === cls.realName);
+    if (!target) {
+      target = { ...cls, id: classIds.has(cls.id) ? `cls_${uid()}` : cls.id, methods: [] };
+      classIds.add(target.id);
+      result.push(target);
+    } else {
+      const fields = [...(target.fields || [])];
+      for (const field of cls.fields || []) {
+        const at = fields.findIndex((f) => f.name === field.name);
+        if (at === -1) fields.push(field);
+        else if (onConflict === "replace" && !sameField(fields[at], field)) fields[at] = { ...field, id: fields[at].id };
+      }
+      target.fields = fields;
+      if (onConflict === "replace") {
+        target.friendlyName = cls.friendlyName || target.friendlyName;
+        target.obfuscatedName = cls.obfuscatedName || target.obfuscatedName;
+        target.chainMethods = Boolean(cls.chainMethods);
+      } else {
+        target.obfuscatedName = target.obfuscatedName || cls.obfuscatedName || "";
+      }
+    }
+    touched.add(target);
+    for (const method of cls.methods) {
+      const found = locate(method.id);
+      if (!found) target.methods.push(method);
+      else if (onConflict === "replace") {
+        found.cls.methods[found.idx] = method;
+        touched.add(found.cls);
+      } else if (onConflict === "copy") target.methods.push({ ...method, id: `meth_${uid()}` });
+    }
+  }
+  return result.map((c) => (touched.has(c) ? recomputeClassMethods(c) : c));
+}
+
+// --- Frida Hooks ---
+// Hooks use the runtime (obfuscated) names when a mapping supplied them, and
+// name each argument after the p register that holds it on entry.
+function fridaTypeName(descriptor) {
+  if (descriptor.startsWith("[")) return descriptor.replace(/\//g, ".");
+  if (descriptor.startsWith("L")) return descriptor.slice(1, -1).replace(/\//g, ".");
+  return Object.keys(JAVA_PRIMITIVES).find((name) => JAVA_PRIMITIVES[name] === descriptor);
+}
+
+function buildFridaHook(cls, method) {
+  const runtimeName = method.obfuscatedName || method.name;
+  if (runtimeName === "<clinit>") throw new Error("static initializers cannot be hooked");
+  const className = fridaTypeName(classDescriptor(cls.obfuscatedName || cls.realName));
+  const hookName = runtimeName === "<init>" ? "$init" : runtimeName;
+  const tag = `[${simpleClassName(cls.realName)}.${method.realName || method.name}]`;
+  const entryAliases = aliasesAt(method.aliases, 1).byReg;
+
+  const out = [`// Frida hook for ${classDescriptor(cls.realName)}->${method.realName || method.name}${method.signature || ""}`];
+  if (cls.obfuscatedName || method.obfuscatedName) out.push(`// runtime name ${className}.${runtimeName}`);
+  if ((method.aliases || []).length) {
+    out.push("//", "// Register aliases:");
+    for (const a of [...method.aliases].sort((x, y) => x.from - y.from)) {
+      out.push(`//   ${a.reg} ${a.name} (L${a.from}${a.to == null ? "+" : `-${a.to}`})`);
+    }
+  }
+  const notedLines = sortLines(method.lines).filter((l) => (l.notes || "").trim());
+  if (notedLines.length) {
+    out.push("//", "// Notes:");
+    for (const line of notedLines) {
+      const margin = `L${line.index}`;
+      line.notes.trim().split("\n").forEach((text, i) => {
+        out.push(`//   ${i === 0 ? margin : " ".repeat(margin.length)} ${text}`.trimEnd());
+      });
+    }
+  }
+
+  out.push(
+    "",
+    "function show(value) {",
+    "  if (value === null || value === undefined) return String(value);",
+    '  if (typeof value === "object" && typeof value.length === "number") return JSON.stringify(Array.prototype.slice.call(value));',
+    "  return String(value);",
+    "}",
+    "",
+    "Java.perform(function () {",
+    `  const Target = Java.use(${JSON.stringify(className)});`,
+  );
+
+  if (!method.signature) {
+    // Without a signature every overload is hooked
+    out.push(
+      `  Target[${JSON.stringify(hookName)}].overloads.forEach(function (method) {`,
+      "    method.implementation = function () {",
+      "      const args = Array.prototype.slice.call(arguments);",
+      `      console.log(${JSON.stringify(`${tag} called with `)} + args.map(show).join(", "));`,
+      "      const result = method.apply(this, args);",
+      `      console.log(${JSON.stringify(`${tag} returned `)} + show(result));`,
+      "      return result;",
+      "    };",
+      "  });",
+      "});",
+    );
+    return `${out.join("\n")}\n`;
+  }
+
+  const { paramTypes, returnType } = parseMethodSignature(method.signature);
+  let next = (method.modifiers || []).includes("static") ? 0 : 1;
+  const args = paramTypes.map((type) => {
+    const reg = `p${next}`;
+    next += WIDE_TYPES.includes(type) ? 2 : 1;
+    return { reg, type, alias: entryAliases[reg] };
+  });
+  const argList = args.map((a) => a.reg).join(", ");
+  out.push(
+    `  const method = Target[${JSON.stringify(hookName)}].overload(${args.map((a) => JSON.stringify(fridaTypeName(a.type))).join(", ")});`,
+    `  method.implementation = function (${argList}) {`,
+    `    console.log(${JSON.stringify(`${tag} called`)});`,
+    ...args.map((a) => `    console.log(${JSON.stringify(`  ${a.reg}${a.alias ? ` ${a.alias}` : ""} = `)} + show(${a.reg}));`),
+  );
+  if (returnType === "V") {
+    out.push(
+      `    method.call(this${argList ? `, ${argList}` : ""});`,
+      `    console.log(${JSON.stringify(`${tag} returned`)});`,
+    );
+  } else {
+    out.push(
+      `    const result = method.call(this${argList ? `, ${argList}` : ""});`,
+      `    console.log(${JSON.stringify(`${tag} returned `)} + show(result));`,
+      "    return result;",
+    );
+  }
+  out.push("  };", "});");
+  return `${out.join("\n")}\n`;
+}
+
+// --- Runtime Traces ---
+// A trace maps a line index or a smali instruction offset (in 16-bit code
+// units, as baksmali --code-offsets prints them) to the register values seen
+// there. They are kept per line as line.observed and checked against the
+// computed snapshot. Text traces are one location per line:
+//   L12 v0 = 5, p1 = "rooted"
+//   @0x1a v2 = 10L
+// and JSON traces a list of { line | offset, registers: { v0: 5 } }.
+const PAYLOAD_ALIGNED = [".packed-switch", ".sparse-switch", ".array-data"];
+
+function instructionUnits(text) {
+  const [header, ...rest] = String(text).trim().split("\n");
+  const { op, args } = parseInstruction(header);
+  const entries = rest.slice(0, -1).map((l) => l.trim()).filter(Boolean);
+  if (op === ".packed-switch") return 4 + 2 * entries.length;
+  if (op === ".sparse-switch") return 2 + 4 * entries.length;
+  if (op === ".array-data") return 4 + Math.ceil((Number(args[0]) * entries.length) / 2);
+  if (op === "const-wide") return 5;
+  if (/^invoke-polymorphic/.test(op)) return 4;
+  if (/^(invoke-|filled-new-array|fill-array-data$|packed-switch$|sparse-switch$|const$|const-wide\/32$|const-string\/jumbo$|goto\/32$|move(-wide|-object)?\/16$)/.test(op)) return 3;
+  if (/\/2addr$/.test(op) || /^(neg|not)-|-to-/.test(op)) return 1;
+  if (/^((add|sub|mul|div|rem|and|or|xor|shl|shr|ushr)-(int|long|float|double)|rsub-int)/.test(op)) return 2;
+  if (/\/(from16|16|high16|lit8)$/.test(op) || /^(const-string|const-class|const-method-|check-cast|instance-of|new-instance|new-array|cmp|if-|[ais](get|put))/.test(op)) return 2;
+  return 1;
+}
+
+// Code unit offset -> line index, for lines holding smali
+function smaliLineOffsets(lines) {
+  const offsets = {};
+  let offset = 0;
+  for (const line of sortLines(lines)) {
+    if (!line.smali) continue;
+    const text = String(line.smali).trim();
+    if (PAYLOAD_ALIGNED.includes(parseInstruction(text).op) && offset % 2) offset++;
+    offsets[offset] = Number(line.index);
+    offset += instructionUnits(text);
+  }
+  return offsets;
+}
+
+// Location and register=value pairs are split at top-level commas
+function splitTraceValues(text) {
+  const parts = [];
+  let current = "";
+  let quote = null;
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quote) {
+      current += c;
+      if (c === "\\") current += text[++i] ?? "";
+      else if (c === quote) quote = null;
+      continue;
+    }
+    if (c === '"' || c === "'") quote = c;
+    else if (c === "[" || c === "(") depth++;
+    else if (c === "]" || c === ")") depth--;
+    if (c === "," && depth === 0) {
+      parts.push(current.trim());
+      current = "";
+      continue;
+    }
+    current += c;
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+function traceLocation(where, label) {
+  const m = String(where).trim().match(/^(?:L?(\d+)|@(0x[0-9a-f]+|\d+))$/i);
+  if (!m) throw new Error(`${label}: "${where}" is not a line (L12) or an offset (@0x1a)`);
+  return m[1] !== undefined ? { line: Number(m[1]) } : { offset: Number(m[2]) };
+}
+
+function traceValue(raw, label) {
+  if (raw === null) return typedValue("null", null);
+  if (raw && typeof raw === "object" && !Array.isArray(raw)) {
+    if (typeof raw.type !== "string") throw new Error(`${label} has no type`);
+    return raw;
+  }
+  return toTypedValue(raw);
+}
+
+function parseTrace(text) {
+  const trimmed = String(text || "").trim();
+  if (!trimmed) throw new Error("the trace is empty");
+  if (/^[[{]/.test(trimmed)) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (e) {
+      throw new Error(`invalid JSON: ${e.message}`);
+    }
+    const list = Array.isArray(data) ? data : data.trace;
+    if (!Array.isArray(list)) throw new Error("expected a list of entries or { trace: [...] }");
+    return list.map((item, i) => {
+      const label = `entry ${i + 1}`;
+      if (!item || typeof item !== "object") throw new Error(`${label} is not an object`);
+      const where = item.line !== undefined ? `L${item.line}` : `@${item.offset}`;
+      const registers = {};
+      for (const [reg, raw] of Object.entries(item.registers || {})) {
+        if (!isReg(reg)) throw new Error(`${label}: "${reg}" is not a register`);
+        registers[reg] = traceValue(raw, `${label} ${reg}`);
+      }
+      return { ...traceLocation(where, label), registers };
+    });
+  }
+
+  const entries = [];
+  String(text).split(/\r?\n/).forEach((raw, i) => {
+    const label = `line ${i + 1}`;
+    const row = raw.trim();
+    if (!row || /^(#|\/\/)/.test(row)) return;
+    const m = row.match(/^(\S+?):?\s+(.*)$/);
+    if (!m) throw new Error(`${label}: expected a location followed by register values`);
+    const registers = {};
+    for (const pair of splitTraceValues(m[2])) {
+      const assignment = pair.match(/^((?:v|p)\d+)\s*[=:]\s*(.+)$/);
+      if (!assignment) throw new Error(`${label}: expected reg = value, got "${pair}"`);
+      try {
+        registers[assignment[1]] = evaluateExpression(assignment[2], {});
+      } catch (e) {
+        throw new Error(`${label}: ${assignment[1]}: ${e.message}`);
+      }
+    }
+    entries.push({ ...traceLocation(m[1], label), registers });
+  });
+  if (entries.length === 0) throw new Error("the trace has no entries");
+  return entries;
+}
+
+// Later entries for a line override earlier ones, so a loop ends up with its
+// last iteration, like the computed snapshot
+function applyTrace(lines, entries, replace) {
+  const offsets = smaliLineOffsets(lines);
+  const byIndex = new Map(lines.map((l) => [Number(l.index), l]));
+  const observed = new Map();
+  const unresolved = [];
+  for (const entry of entries) {
+    const index = entry.line !== undefined ? entry.line : offsets[entry.offset];
+    const line = byIndex.get(index);
+    if (!line) {
+      unresolved.push(entry.line !== undefined ? `L${entry.line}` : `@0x${entry.offset.toString(16)}`);
+      continue;
+    }
+    observed.set(line.id, { ...(observed.get(line.id) || (replace ? {} : line.observed)), ...entry.registers });
+  }
+  return {
+    lines: lines.map((l) => {
+      if (observed.has(l.id)) return { ...l, observed: observed.get(l.id) };
+      if (!replace || !l.observed) return l;
+      const { observed: dropped, ...rest } = l;
+      return rest;
+    }),
+    summary: { lines: observed.size, unresolved },
+  };
+}
+
+// Traces log plain numbers, so numeric types and booleans compare by value across types
+const TRACE_NUMERIC_TYPES = [...NUMERIC_TYPES, "boolean"];
+
+function observedValueMatches(observed, computed) {
+  if (!observed || !computed) return !observed && !computed;
+  if (TRACE_NUMERIC_TYPES.includes(observed.type) && TRACE_NUMERIC_TYPES.includes(computed.type)) {
+    const types = [observed.type, computed.type];
+    if (!types.includes("float") && !types.includes("double")) {
+      const integral = (v) => BigInt(typeof v.value === "boolean" ? Number(v.value) : v.value);
+      return integral(observed) === integral(computed);
+    }
+    const round = types.includes("float") ? Math.fround : Number;
+    const a = round(Number(observed.value));
+    const b = round(Number(computed.value));
+    return a === b || (Number.isNaN(a) && Number.isNaN(b));
+  }
+  if (observed.type === "array" && computed.type === "array" && Array.isArray(observed.value) && Array.isArray(computed.value)) {
+    return observed.value.length === computed.value.length
+      && observed.value.every((item, i) => observedValueMatches(item, computed.value[i] ?? null));
+  }
+  return observed.type === computed.type && JSON.stringify(observed.value) === JSON.stringify(computed.value);
+}
+
+// --- Class Reports ---
+// Readable exports for write-ups. Each line reports the registers it changed
+// on its last run, named by their alias where one applies.
+function changedRegisterText(method, index) {
+  if (!method.snapshots || !(index in method.snapshots)) return "not reached";
+  const byReg = aliasesAt(method.aliases, index).byReg;
+  return (method.flow?.changed[index] || []).map((reg) => {
+    const f = formatRegisterValue(method.snapshots[index][reg], method.heaps?.[index]);
+    return `${reg}${byReg[reg] ? ` (${byReg[reg]})` : ""} = ${f.type} ${f.text}`.trim();
+  }).join(", ");
+}
+
+function scenarioText(method) {
+  const scenario = activeScenario(method);
+  if (!scenario) return "";
+  const inputs = Object.entries(scenario.inputs).filter(([, source]) => String(source).trim());
+  return `${scenario.name}${inputs.length ? ` (${inputs.map(([reg, source]) => `${reg} = ${source}`).join(", ")})` : ""}`;
+}
+
+function aliasText(alias) {
+  return `${alias.reg} = ${alias.name} (L${alias.from}${alias.to == null ? "+" : `-${alias.to}`})`;
+}
+
+function buildAnnotatedSmali(cls) {
+  const comment = (indent, text) => String(text).split("\n").map((l) => `${indent}# ${l}`.trimEnd());
+  const out = [
+    `.class ${classDescriptor(cls.obfuscatedName || cls.realName)}`,
+    `# real name: ${classDescriptor(cls.realName)}`,
+  ];
+  if (cls.obfuscatedName) out.push(`# obfuscated name: ${classDescriptor(cls.obfuscatedName)}`);
+  if (cls.friendlyName) out.push(`# friendly name: ${cls.friendlyName}`);
+
+  for (const method of cls.methods) {
+    const runtimeName = method.obfuscatedName || method.name;
+    out.push("", `.method ${[...(method.modifiers || []), `${runtimeName}${method.signature || "()V"}`].join(" ")}`);
+    if (!method.signature) out.push("    # signature unknown");
+    if (runtimeName !== (method.realName || method.name)) out.push(`    # real name: ${method.realName || method.name}`);
+    out.push(`    .registers ${(method.locals || 0) + (method.params || 0)}`);
+    if (scenarioText(method)) out.push(`    # scenario: ${scenarioText(method)}`);
+    for (const alias of method.aliases || []) out.push(`    # alias ${aliasText(alias)}`);
+
+    for (const line of sortLines(method.lines)) {
+      const index = Number(line.index);
+      const script = scriptStatements(line.script);
+      if (!line.smali && !script.length && !(line.notes || "").trim() && !(line.labels || []).length) continue;
+      out.push("");
+      for (const label of line.labels || []) out.push(`    ${label}`);
+      if ((line.notes || "").trim()) out.push(...comment("    ", `L${index}: ${line.notes.trim()}`));
+      if (line.smali) out.push(...String(line.smali).trim().split("\n").map((l) => `    ${l.trim()}`));
+      for (const stmt of script) out.push(`    #> ${stmt}`);
+      const changed = changedRegisterText(method, index);
+      if (changed) out.push(...comment("    ", `=> ${changed}`));
+    }
+    out.push(".end method");
+  }
+  return `${out.join("\n")}\n`;
+}
+
+// Rows shared by the Markdown and HTML reports
+function classReportModel(cls) {
+  return {
+    title: cls.friendlyName || simpleClassName(cls.realName),
+    names: [["real", classDescriptor(cls.realName)], ["obfuscated", cls.obfuscatedName ? classDescriptor(cls.obfuscatedName) : "-"], ["friendly", cls.friendlyName || "-"]],
+    methods: cls.methods.map((method) => ({
+      name: method.realName || method.name,
+      facts: [
+        ["signature", method.signature ? `${[...(method.modifiers || []), method.obfuscatedName || method.name].join(" ")}${method.signature}` : "unknown"],
+        ["registers", `${method.locals || 0} locals, ${method.params || 0} params`],
+        ["scenario", scenarioText(method) || "-"],
+        ["aliases", (method.aliases || []).map(aliasText).join("; ") || "-"],
+      ],
+      showSmali: (method.lines || []).some((l) => l.smali),
+      rows: sortLines(method.lines).map((line) => ({
+        index: Number(line.index),
+        smali: String(line.smali || "").trim(),
+        notes: String(line.notes || "").trim(),
+        script: scriptStatements(line.script).join("\n"),
+        registers: changedRegisterText(method, Number(line.index)),
+      })).filter((row) => row.smali || row.notes || row.script),
+    })),
+  };
+}
+
+function buildMarkdownReport(cls) {
+  const report = classReportModel(cls);
+  const cell = (text) => String(text).replace(/\|/g, "\\|").replace(/\n/g, "<br>") || " ";
+  const code = (text) => (text ? `\`${String(text).replace(/`/g, "'")}\`` : "");
+  const out = [`# ${report.title}`, "", "| name | |", "| --- | --- |", ...report.names.map(([k, v]) => `| ${k} | ${cell(code(v))} |`)];
+  for (const method of report.methods) {
+    out.push("", `## ${method.name}`, "", ...method.facts.map(([k, v]) => `- **${k}:** ${v}`), "");
+    const columns = ["L", ...(method.showSmali ? ["smali"] : []), "notes", "script", "registers"];
+    out.push(`| ${columns.join(" | ")} |`, `| ${columns.map(() => "---").join(" | ")} |`);
+    for (const row of method.rows) {
+      const cells = [row.index, ...(method.showSmali ? [code(row.smali)] : []), row.notes, row.script.split("\n").map(code).join("\n"), row.registers];
+      out.push(`| ${cells.map(cell).join(" | ")} |`);
+    }
+  }
+  return `${out.join("\n")}\n`;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+function buildHtmlReport(cls) {
+  const report = classReportModel(cls);
+  const td = (text, mono) => `<td${mono ? ' class="mono"' : ""}>${escapeHtml(text).replace(/\n/g, "<br>")}</td>`;
+  const out = [
+    "<!doctype html>",
+    '<html><head><meta charset="utf-8">',
+    `<title>${escapeHtml(report.title)}</title>`,
+    "<style>body{font-family:sans-serif;margin:2em;color:#222}table{border-collapse:collapse;margin:1em 0}td,th{border:1px solid #ccc;padding:4px 8px;text-align:left;vertical-align:top}.mono{font-family:monospace;white-space:pre-wrap}</style>",
+    "</head><body>",
+    `<h1>${escapeHtml(report.title)}</h1>`,
+    `<table>${report.names.map(([k, v]) => `<tr><th>${k}</th>${td(v, true)}</tr>`).join("")}</table>`,
+  ];
+  for (const method of report.methods) {
+    out.push(
+      `<h2>${escapeHtml(method.name)}</h2>`,
+      `<ul>${method.facts.map(([k, v]) => `<li><b>${k}:</b> ${escapeHtml(v)}</li>`).join("")}</ul>`,
+      `<table><tr><th>L</th>${method.showSmali ? "<th>smali</th>" : ""}<th>notes</th><th>script</th><th>registers</th></tr>`,
+      ...method.rows.map((row) => `<tr>${td(row.index)}${method.showSmali ? td(row.smali, true) : ""}${td(row.notes)}${td(row.script, true)}${td(row.registers, true)}</tr>`),
+      "</table>",
+    );
+  }
+  out.push("</body></html>");
+  return `${out.join("\n")}\n`;
+}
+
+// --- Edit History ---
+// Undo and redo keep whole method states. An edit with the same coalesce key
+// as the one before it (typing into one field) joins that step while the edits
+// keep coming; a null key always starts a new step.
+const HISTORY_LIMIT = 200;
+const HISTORY_COALESCE_MS = 1000;
+
+function createHistory() {
+  return { past: [], future: [], lastKey: null, lastAt: 0 };
+}
+
+// prev is the state before the edit; a new edit drops anything to redo
+function recordEdit(history, prev, coalesceKey = null, now = Date.now()) {
+  const joins = coalesceKey && coalesceKey === history.lastKey && now - history.lastAt <= HISTORY_COALESCE_MS;
+  return {
+    past: joins ? history.past : [...history.past, prev].slice(-HISTORY_LIMIT),
+    future: [],
+    lastKey: coalesceKey,
+    lastAt: now,
+  };
+}
+
+// Both return null when there is nothing to go back or forward to
+function undoEdit(history, current) {
+  if (history.past.length === 0) return null;
+  return {
+    history: { ...history, past: history.past.slice(0, -1), future: [current, ...history.future], lastKey: null },
+    state: history.past[history.past.length - 1],
+  };
+}
+
+function redoEdit(history, current) {
+  if (history.future.length === 0) return null;
+  return {
+    history: { ...history, past: [...history.past, current].slice(-HISTORY_LIMIT), future: history.future.slice(1), lastKey: null },
+    state: history.future[0],
+  };
+}
+
+// --- Line Scrubber ---
+// The notebook shows the registers at the selected line, or the final state
+// when no line is selected or the selected one is gone
+function scrubberView(method, selectedLineId) {
+  const lineIndexes = sortLines(method.lines).map((l) => Number(l.index));
+  const line = (method.lines || []).find((l) => l.id === selectedLineId);
+  const index = line ? Number(line.index) : null;
+  if (index === null) {
+    return {
+      lineIndexes, selectedLine: null, selectedPos: -1, observed: undefined,
+      state: method.finalState || {}, heap: method.finalHeap, changedRegs: [], changedFields: [],
+    };
+  }
+  return {
+    lineIndexes, selectedLine: index, selectedPos: lineIndexes.indexOf(index), observed: line.observed,
+    state: method.snapshots?.[index] || {},
+    heap: method.heaps?.[index],
+    changedRegs: method.flow?.changed[index] || [],
+    changedFields: Object.entries(method.heapHistory || {}).flatMap(([ref, writes]) => (
+      writes.filter((w) => w.line === index).map((w) => ({ ref: Number(ref), key: w.key }))
+    )),
+  };
+}
+
+// The line index one step away, stopping at the first and last lines; from
+// the final state, forward starts at the top and back at the bottom
+function stepSelection(lineIndexes, selectedLine, delta) {
+  if (lineIndexes.length === 0) return null;
+  const pos = lineIndexes.indexOf(selectedLine);
+  if (pos === -1) return delta > 0 ? lineIndexes[0] : lineIndexes[lineIndexes.length - 1];
+  return lineIndexes[Math.max(0, Math.min(lineIndexes.length - 1, pos + delta))];
+}
+
+// === 3. UI COMPONENTS ===
+function Button({ children, onClick, disabled = false, variant = 'primary', className = '' }) {
+  const baseStyle = {
+    padding: "6px 12px",
+    borderRadius: "0",
+    fontWeight: 400,
+    fontSize: "12px",
+    cursor: disabled ? "not-allowed" : "pointer",
+    opacity: disabled ? 0.4 : 1,
+    transition: "none",
+    border: "1px solid #333",
+    display: 'inline-flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    fontFamily: 'var(--font-mono)',
+    textTransform: 'lowercase'
+  };
+
+  const variants = {
+    primary: { background: "#1a1a1a", color: "#ccc" },
+    secondary: { background: "#111", color: "#888", border: "1px solid #222" },
+    danger: { background: "#1a1a1a", color: "#888", border: "1px solid #333" }
+  };
+
+  return (
+    <button
+      onClick={onClick}
+      disabled={disabled}
+      style={{ ...baseStyle, ...variants[variant] }}
+      className={className}
+    >
+      {children}
+    </button>
+  );
+}
+
+function TextInput({ value, onChange, placeholder, autoFocus }) {
+  return (
+    <input
+      type="text"
+      value={value}
+      onChange={onChange}
+      placeholder={placeholder}
+      className="glass-panel"
+      autoFocus={autoFocus}
+      style={{
+        width: '100%',
+        padding: '8px',
+        borderRadius: '0',
+        color: '#ccc',
+        fontSize: '12px',
+        fontFamily: 'var(--font-mono)',
+        background: '#111'
+      }}
+    />
+  );
+}
+
+function Modal({ children, onClose, width = '380px' }) {
+  return (
+    <div style={{
+      position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.85)',
+      display: 'flex', alignItems: 'center', justifyContent: 'center', zIndex: 1000
+    }} onClick={(e) => e.target === e.currentTarget && onClose()}>
+      <div style={{ padding: '20px', background: '#111', border: '1px solid #222', width }}>
+        {children}
+      </div>
+    </div>
+  );
+}
+
+function SmaliImportModal({ title, onImport, onClose }) {
+  const [text, setText] = useState("");
+
+  function handleImport() {
+    let parsed;
+    try {
+      parsed = parseSmaliMethods(text);
+    } catch (e) {
+      alert(`Could not parse smali: ${e.message}`);
+      return;
+    }
+    onImport(parsed);
+  }
+
+  return (
+    <Modal onClose={onClose} width="640px">
+      <h2 style={{ fontSize: '13px', fontWeight: 400, marginBottom: '16px', color: '#888', textTransform: 'uppercase', letterSpacing: '1px' }}>{title}</h2>
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        placeholder={".method public static check(Ljava/lang/String;)Z\n    .registers 4\n    ...\n.end method"}
+        autoFocus
+        spellCheck={false}
+        className="glass-panel"
+        style={{ width: '100%', height: '320px', padding: '8px', color: '#ccc', fontSize: '11px', fontFamily: 'var(--font-mono)', background: '#111', resize: 'vertical' }}
+      />
+      <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '8px', marginTop: '20px' }}>
+        <Button variant="secondary" onClick={onClose}>cancel</Button>
+        <Button onClick={handleImport} disabled={!text.trim()}>import</Button>
+      </div>
+    </Modal>
+  );
+}
+
+function TraceImportModal({ hasObserved, onImport, onClose }) {
+  const [text, setText] = useState("");
+  const [replace, setReplace] = useState(false);
+
+  function readFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => setText(String(reader.result));
+    reader.readAsText(file);
+  }
+
+  let entries = null;
+  let error = null;
+  if (text.trim()) {
+    try {
+      entries = parseTrace(text);
+    } catch (e) {
+      error = e.message;
+    }
+  }
+
+  return (
+    <Modal onClose={onClose} width="640px">
+      <h2 style={{ fontSize: '13px', fontWeight: 400, marginBottom: '16px', color: '#888', textTransform: 'uppercase', letterSpacing: '1px' }}>import trace</h2>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '8px' }}>
+        <label style={{ cursor: 'pointer', display: 'flex' }}>
+          <div style={{ padding: "6px 12px", fontSize: "12px", background: "#111", color: "#888", border: "1px solid #222", fontFamily: 'var(--font-mono)' }}>choose file</div>
+          <input type="file" accept=".txt,.log,.json,text/plain,application/json" style={{ display: "none" }}
+            onChange={(e) => {
+              const f = e.target.files?.[0];
+              if (f) readFile(f);
+            }}
+          />
+        </label>
+        <span style={{ fontSize: '10px', color: '#555' }}>or paste below; lines are L12 or smali offsets @0x1a</span>
+      </div>
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        placeholder={'L3 v0 = 5, p1 = "rooted"\n@0x1a v2 = 10L\n\nor [{ "offset": 26, "registers": { "v2": 10 } }]'}
+        autoFocus
+        spellCheck={false}
+        className="glass-panel"
+        style={{ width: '100%', height: '280px', padding: '8px', color: '#ccc', fontSize: '11px', fontFamily: 'var(--font-mono)', background: '#111', resize: 'vertical' }}
+      />
+      <div style={{ marginTop: '8px', fontSize: '10px', fontFamily: 'var(--font-mono)', color: error ? '#a66' : '#555' }}>
+        {error || (entries ? `${entries.length} entries` : "")}
+      </div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '20px' }}>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '11px', color: '#666', cursor: 'pointer' }}>
+          <input type="checkbox" checked={replace} onChange={(e) => setReplace(e.target.checked)} />
+          replace existing observed values
+        </label>
+        <div style={{ display: 'flex', gap: '8px' }}>
+          {hasObserved && <Button variant="danger" onClick={() => window.confirm("Clear all observed values?") && onImport([], true)}>clear observed</Button>}
+          <Button variant="secondary" onClick={onClose}>cancel</Button>
+          <Button onClick={() => onImport(entries, replace)} disabled={!entries}>import</Button>
+        </div>
+      </div>
+    </Modal>
+  );
+}
+
+const SMALI_FOLDER_LIST_LIMIT = 300;
+
+function SmaliFolderImportModal({ onImport, onClose }) {
+  const [loaded, setLoaded] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [filter, setFilter] = useState("");
+  const [expanded, setExpanded] = useState(null);
+  // "<class>" marks a class to track, "<class>:<method>" a method to import
+  const [selected, setSelected] = useState(() => new Set());
+
+  async function readFiles(files) {
+    if (!files.length) return;
+    setIsLoading(true);
+    try {
+      setLoaded(await loadSmaliClasses(files));
+      setSelected(new Set());
+    } catch (e) {
+      alert(`Could not read smali: ${e.message}`);
+    }
+    setIsLoading(false);
+  }
+
+  const needle = filter.trim().toLowerCase();
+  const visible = (loaded?.classes || [])
+    .map((cls, ci) => ({ cls, ci }))
+    .filter(({ cls }) => !needle || cls.descriptor.toLowerCase().includes(needle));
+
+  function setKeys(keys, on) {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      keys.forEach((k) => (on ? next.add(k) : next.delete(k)));
+      return next;
+    });
+  }
+  const classKeys = (cls, ci) => [String(ci), ...cls.methods.map((m, mi) => `${ci}:${mi}`)];
+
+  function handleImport() {
+    const selection = loaded.classes
+      .map((cls, ci) => ({ descriptor: cls.descriptor, methods: cls.methods.filter((m, mi) => selected.has(`${ci}:${mi}`)), ci }))
+      .filter(({ methods, ci }) => selected.has(String(ci)) || methods.length > 0);
+    onImport(selection.map(({ descriptor, methods }) => ({ descriptor, methods })));
+  }
+
+  const methodCount = [...selected].filter((k) => k.includes(":")).length;
+  const fileButtonStyle = { padding: "6px 12px", fontSize: "12px", background: "#111", color: "#888", border: "1px solid #222", fontFamily: 'var(--font-mono)' };
+  const rowStyle = { display: 'flex', alignItems: 'center', gap: '6px', fontSize: '11px', fontFamily: 'var(--font-mono)', padding: '2px 0', whiteSpace: 'nowrap' };
+
+  return (
+    <Modal onClose={onClose} width="720px">
+      <h2 style={{ fontSize: '13px', fontWeight: 400, marginBottom: '16px', color: '#888', textTransform: 'uppercase', letterSpacing: '1px' }}>import apktool smali</h2>
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'center', marginBottom: '12px' }}>
+        <label style={{ cursor: 'pointer', display: 'flex' }}>
+          <div style={fileButtonStyle}>choose folder</div>
+          <input type="file" webkitdirectory="" multiple style={{ display: "none" }}
+            onChange={(e) => { readFiles([...e.target.files]); e.target.value = ""; }} />
+        </label>
+        <label style={{ cursor: 'pointer', display: 'flex' }}>
+          <div style={fileButtonStyle}>choose zip</div>
+          <input type="file" accept=".zip" style={{ display: "none" }}
+            onChange={(e) => { readFiles([...e.target.files]); e.target.value = ""; }} />
+        </label>
+        <span style={{ fontSize: '10px', color: '#555' }}>
+          {isLoading ? "reading..." : loaded ? `${loaded.classes.length} classes` : "no files"}
+        </span>
+      </div>
+
+      {loaded && (
+        <>
+          {loaded.errors.length > 0 && (
+            <div style={{ fontSize: '10px', color: '#a66', fontFamily: 'var(--font-mono)', marginBottom: '8px' }} title={loaded.errors.join("\n")}>
+              ! {loaded.errors.length} files could not be parsed: {loaded.errors[0]}
+            </div>
+          )}
+          <div style={{ display: 'flex', gap: '8px', marginBottom: '8px' }}>
+            <div style={{ flex: 1 }}>
+              <TextInput value={filter} onChange={(e) => setFilter(e.target.value)} placeholder="filter classes" />
+            </div>
+            <Button variant="secondary" onClick={() => setKeys(visible.flatMap(({ cls, ci }) => classKeys(cls, ci)), true)}>select shown</Button>
+            <Button variant="secondary" onClick={() => setSelected(new Set())}>clear</Button>
+          </div>
+          <div style={{ height: '320px', overflow: 'auto', border: '1px solid #1a1a1a', background: '#0c0c0c', padding: '6px' }}>
+            {visible.slice(0, SMALI_FOLDER_LIST_LIMIT).map(({ cls, ci }) => (
+              <div key={ci}>
+                <div style={rowStyle}>
+                  <input type="checkbox" checked={selected.has(String(ci))} onChange={(e) => setKeys(classKeys(cls, ci), e.target.checked)} />
+                  <span onClick={() => setExpanded(expanded === ci ? null : ci)} style={{ cursor: 'pointer', color: '#888' }}>
+                    {expanded === ci ? '-' : '+'} {cls.descriptor}
+                  </span>
+                  <span style={{ color: '#444' }}>{cls.methods.length} methods</span>
+                </div>
+                {expanded === ci && cls.methods.map((m, mi) => (
+                  <label key={mi} style={{ ...rowStyle, paddingLeft: '24px', color: '#666', cursor: 'pointer' }}>
+                    <input type="checkbox" checked={selected.has(`${ci}:${mi}`)} onChange={(e) => setKeys([`${ci}:${mi}`], e.target.checked)} />
+                    {m.name}{m.signature}
+                    <span style={{ color: '#444' }}>p{m.params} v{m.locals} L{m.instructions.length}</span>
+                  </label>
+                ))}
+              </div>
+            ))}
+            {visible.length > SMALI_FOLDER_LIST_LIMIT && (
+              <div style={{ fontSize: '10px', color: '#444', marginTop: '6px' }}>showing {SMALI_FOLDER_LIST_LIMIT} of {visible.length} classes; narrow the filter</div>
+            )}
+          </div>
+        </>
+      )}
+
+      <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '8px', marginTop: '20px' }}>
+        <Button variant="secondary" onClick={onClose}>cancel</Button>
+        <Button onClick={handleImport} disabled={selected.size === 0}>import {methodCount} methods</Button>
+      </div>
+    </Modal>
+  );
+}
+
+function WorkspaceImportModal({ existing, incoming, onImport, onClose }) {
+  const [mode, setMode] = useState(existing.length ? "merge" : "replace");
+  const [onConflict, setOnConflict] = useState("keep");
+  const conflicts = findWorkspaceConflicts(existing, incoming);
+  const methodCount = incoming.reduce((n, c) => n + c.methods.length, 0);
+  const labelStyle = { display: 'flex', alignItems: 'center', gap: '8px', fontSize: '11px', color: '#888', cursor: 'pointer' };
+  const noteStyle = { fontSize: '10px', color: '#555', fontFamily: 'var(--font-mono)' };
+
+  return (
+    <Modal onClose={onClose} width="480px">
+      <h2 style={{ fontSize: '13px', fontWeight: 400, marginBottom: '16px', color: '#888', textTransform: 'uppercase', letterSpacing: '1px' }}>import workspace</h2>
+      <div style={{ fontSize: '11px', color: '#666', marginBottom: '16px' }}>
+        {incoming.length} classes, {methodCount} methods in file
+      </div>
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+        <label style={labelStyle}>
+          <input type="radio" checked={mode === "merge"} onChange={() => setMode("merge")} />
+          merge into current workspace
+        </label>
+        <label style={labelStyle}>
+          <input type="radio" checked={mode === "replace"} onChange={() => setMode("replace")} />
+          replace current workspace{existing.length > 0 && ` (discards ${existing.length} classes)`}
+        </label>
+      </div>
+
+      {mode === "merge" && (conflicts.classes.length > 0 || conflicts.methods.length > 0 || conflicts.fields.length > 0) && (
+        <div style={{ marginTop: '16px', padding: '10px', border: '1px solid #222', background: '#0c0c0c', display: 'flex', flexDirection: 'column', gap: '8px' }}>
+          {conflicts.classes.length > 0 && (
+            <div style={noteStyle}>{conflicts.classes.length} class paths already tracked; their methods and new fields are merged into the existing classes</div>
+          )}
+          {conflicts.fields.length > 0 && (
+            <div style={noteStyle}>
+              {conflicts.fields.length} fields are declared differently:
+              {conflicts.fields.slice(0, 6).map((f) => <div key={`${f.className}:${f.name}`} style={{ color: '#777', paddingLeft: '8px' }}>{f.className} {f.name}</div>)}
+              {conflicts.fields.length > 6 && <div style={{ paddingLeft: '8px' }}>… {conflicts.fields.length - 6} more</div>}
+            </div>
+          )}
+          {(conflicts.methods.length > 0 || conflicts.fields.length > 0) && (
+            <>
+              {conflicts.methods.length > 0 && (
+                <div style={noteStyle}>
+                  {conflicts.methods.length} methods already exist:
+                  {conflicts.methods.slice(0, 6).map((m) => <div key={m.id} style={{ color: '#777', paddingLeft: '8px' }}>{m.existingClass} {m.name}</div>)}
+                  {conflicts.methods.length > 6 && <div style={{ paddingLeft: '8px' }}>… {conflicts.methods.length - 6} more</div>}
+                </div>
+              )}
+              <select value={onConflict} onChange={(e) => setOnConflict(e.target.value)}
+                style={{ background: '#111', color: '#aaa', border: '1px solid #222', fontSize: '11px', padding: '4px', fontFamily: 'var(--font-mono)' }}>
+                <option value="keep">keep existing methods and fields</option>
+                <option value="replace">replace with imported methods and fields</option>
+                <option value="copy">keep both methods (imported get new ids), existing fields</option>
+              </select>
+            </>
+          )}
+        </div>
+      )}
+
+      <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '8px', marginTop: '20px' }}>
+        <Button variant="secondary" onClick={onClose}>cancel</Button>
+        <Button onClick={() => onImport(mode, onConflict)}>import</Button>
+      </div>
+    </Modal>
+  );
+}
+
+function NameModeToggle({ nameMode, onChange }) {
+  const next = NAME_MODES[(NAME_MODES.indexOf(nameMode) + 1) % NAME_MODES.length];
+  return <Button variant="secondary" onClick={() => onChange(next)}>names: {nameMode}</Button>;
+}
+
+function ProguardImportModal({ classes, onImport, onClose }) {
+  const [mapping, setMapping] = useState(null);
+  const [fileName, setFileName] = useState("");
+  const [trackPrefix, setTrackPrefix] = useState("");
+
+  function readMapping(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        setMapping(parseProguardMapping(String(reader.result)));
+        setFileName(file.name);
+      } catch (e) {
+        alert(`Could not parse mapping: ${e.message}`);
+      }
+    };
+    reader.readAsText(file);
+  }
+
+  const preview = mapping ? applyProguardMapping(classes, mapping, trackPrefix).summary : null;
+
+  return (
+    <Modal onClose={onClose} width="480px">
+      <h2 style={{ fontSize: '13px', fontWeight: 400, marginBottom: '16px', color: '#888', textTransform: 'uppercase', letterSpacing: '1px' }}>import proguard / r8 mapping</h2>
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+        <label style={{ cursor: 'pointer', display: 'flex', alignItems: 'center', gap: '8px' }}>
+          <div style={{ padding: "6px 12px", fontSize: "12px", background: "#111", color: "#888", border: "1px solid #222", fontFamily: 'var(--font-mono)' }}>choose mapping.txt</div>
+          <span style={{ fontSize: '10px', color: '#555' }}>{mapping ? `${fileName}: ${mapping.length} classes` : "no file"}</span>
+          <input type="file" accept=".txt,text/plain" style={{ display: "none" }}
+            onChange={(e) => {
+              const f = e.target.files?.[0];
+              if (f) readMapping(f);
+            }}
+          />
+        </label>
+        <div>
+          <label style={{ display: 'block', fontSize: '10px', marginBottom: '4px', color: '#555', textTransform: 'uppercase' }}>also track classes under (optional)</label>
+          <TextInput value={trackPrefix} onChange={(e) => setTrackPrefix(e.target.value)} placeholder="com.example.security" />
+        </div>
+        {preview && (
+          <div style={{ fontSize: '10px', color: '#555', fontFamily: 'var(--font-mono)' }}>
+            updates {preview.updatedClasses} tracked classes and {preview.renamedMethods} methods, adds {preview.createdClasses} classes
+          </div>
+        )}
+      </div>
+      <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '8px', marginTop: '20px' }}>
+        <Button variant="secondary" onClick={onClose}>cancel</Button>
+        <Button onClick={() => onImport(mapping, trackPrefix)} disabled={!mapping}>import</Button>
+      </div>
+    </Modal>
+  );
+}
+
+function searchSnippet(text, [start, end]) {
+  const flat = (s) => s.replace(/\s+/g, " ");
+  const before = flat(text.slice(Math.max(0, start - 30), start));
+  return {
+    before: (start > 30 ? "…" : "") + before,
+    hit: flat(text.slice(start, end)),
+    after: flat(text.slice(end, end + 60)) + (end + 60 < text.length ? "…" : ""),
+  };
+}
+
+function GlobalSearchModal({ classes, nameMode, onJump, onClose }) {
+  const [query, setQuery] = useState("");
+  const [useRegex, setUseRegex] = useState(false);
+  const [register, setRegister] = useState("");
+  const [active, setActive] = useState(0);
+
+  let results = [];
+  let error = null;
+  try {
+    if (register.trim() && !isReg(register)) throw new Error(`"${register.trim()}" is not a register`);
+    results = searchWorkspace(classes, { query, useRegex, register });
+  } catch (e) {
+    error = e.message;
+  }
+
+  function describe(result) {
+    const cls = classes.find((c) => c.id === result.classId);
+    const method = cls?.methods.find((m) => m.id === result.methodId);
+    const parts = [displayClassName(cls, nameMode)];
+    if (method) parts.push(displayMethodName(method, nameMode));
+    return parts.join(" › ") + (result.kind === "line" ? ` : L${result.lineIndex}` : "");
+  }
+
+  function handleKeyDown(e) {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const delta = e.key === "ArrowDown" ? 1 : -1;
+      setActive((prev) => Math.min(Math.max(prev + delta, 0), Math.max(results.length - 1, 0)));
+    } else if (e.key === "Enter" && results[active]) {
+      onJump(results[active]);
+    } else if (e.key === "Escape") {
+      onClose();
+    }
+  }
+
+  return (
+    <Modal onClose={onClose} width="720px">
+      <div onKeyDown={handleKeyDown}>
+        <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+          <div style={{ flex: 1 }}>
+            <TextInput value={query} onChange={(e) => { setQuery(e.target.value); setActive(0); }} placeholder="search classes, methods, notes and scripts" autoFocus />
+          </div>
+          <div style={{ width: '90px' }}>
+            <TextInput value={register} onChange={(e) => { setRegister(e.target.value); setActive(0); }} placeholder="register" />
+          </div>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '11px', color: '#666', cursor: 'pointer' }}>
+            <input type="checkbox" checked={useRegex} onChange={(e) => { setUseRegex(e.target.checked); setActive(0); }} />
+            regex
+          </label>
+        </div>
+        <div style={{ height: '360px', overflow: 'auto', marginTop: '12px', border: '1px solid #1a1a1a', background: '#0c0c0c' }}>
+          {error ? (
+            <div style={{ padding: '8px', fontSize: '11px', color: '#a66' }}>! {error}</div>
+          ) : results.map((result, i) => {
+            const snippet = searchSnippet(result.text, result.range);
+            return (
+              <div key={`${result.kind}:${result.classId}:${result.methodId}:${result.lineId}:${result.field}`}
+                onClick={() => onJump(result)} onMouseEnter={() => setActive(i)}
+                style={{ padding: '6px 8px', cursor: 'pointer', background: i === active ? '#1a1a1a' : 'transparent', borderBottom: '1px solid #141414' }}>
+                <div style={{ fontSize: '10px', color: '#555', display: 'flex', justifyContent: 'space-between' }}>
+                  <span>{describe(result)}</span>
+                  <span>{result.kind === "line" ? result.field : result.kind}</span>
+                </div>
+                <div style={{ fontSize: '11px', fontFamily: 'var(--font-mono)', color: '#777', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis', marginTop: '2px' }}>
+                  {snippet.before}<span style={{ color: '#ddd', background: '#2a2a2a' }}>{snippet.hit}</span>{snippet.after}
+                </div>
+              </div>
+            );
+          })}
+          {!error && results.length === 0 && (query.trim() || register.trim()) && (
+            <div style={{ padding: '8px', fontSize: '11px', color: '#444' }}>no matches</div>
+          )}
+        </div>
+        <div style={{ fontSize: '10px', color: '#444', marginTop: '8px' }}>
+          {results.length >= SEARCH_RESULT_LIMIT ? `first ${SEARCH_RESULT_LIMIT} matches` : `${results.length} matches`} · ↑↓ to move, enter to open, esc to close
+        </div>
+      </div>
+    </Modal>
+  );
+}
+
+function ClassFormModal({ title, initial, submitLabel, onSubmit, onClose }) {
+  const [form, setForm] = useState(initial);
+
+  function handleSubmit() {
+    if (!form.realName.trim() || !form.friendlyName.trim()) {
+      alert("Real Name and Friendly Name are required.");
+      return;
+    }
+    onSubmit(form);
+  }
+
+  return (
+    <Modal onClose={onClose}>
+      <h2 style={{ fontSize: '13px', fontWeight: 400, marginBottom: '16px', color: '#888', textTransform: 'uppercase', letterSpacing: '1px' }}>{title}</h2>
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+        <div>
+          <label style={{ display: 'block', fontSize: '10px', marginBottom: '4px', color: '#555', textTransform: 'uppercase' }}>friendly name</label>
+          <TextInput value={form.friendlyName} onChange={(e) => setForm({ ...form, friendlyName: e.target.value })} placeholder="RootCheckService" autoFocus />
+        </div>
+        <div>
+          <label style={{ display: 'block', fontSize: '10px', marginBottom: '4px', color: '#555', textTransform: 'uppercase' }}>class path</label>
+          <TextInput value={form.realName} onChange={(e) => setForm({ ...form, realName: e.target.value })} placeholder="Lcom/example/MainActivity;" />
+        </div>
+        <div>
+          <label style={{ display: 'block', fontSize: '10px', marginBottom: '4px', color: '#555', textTransform: 'uppercase' }}>obfuscated (optional)</label>
+          <TextInput value={form.obfuscatedName || ""} onChange={(e) => setForm({ ...form, obfuscatedName: e.target.value })} placeholder="a.b.c" />
+        </div>
+      </div>
+      <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '8px', marginTop: '20px' }}>
+        <Button variant="secondary" onClick={onClose}>cancel</Button>
+        <Button onClick={handleSubmit}>{submitLabel}</Button>
+      </div>
+    </Modal>
+  );
+}
+
+function MethodEditModal({ method, classId, classes, nameMode, onSubmit, onClose }) {
+  const [name, setName] = useState(method.name);
+  const [targetClassId, setTargetClassId] = useState(classId);
+
+  function handleSubmit() {
+    if (!name.trim()) {
+      alert("Method name cannot be empty.");
+      return;
+    }
+    onSubmit({ name: name.trim(), classId: targetClassId });
+  }
+
+  return (
+    <Modal onClose={onClose}>
+      <h2 style={{ fontSize: '13px', fontWeight: 400, marginBottom: '16px', color: '#888', textTransform: 'uppercase', letterSpacing: '1px' }}>edit method</h2>
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+        <div>
+          <label style={{ display: 'block', fontSize: '10px', marginBottom: '4px', color: '#555', textTransform: 'uppercase' }}>name</label>
+          <TextInput value={name} onChange={(e) => setName(e.target.value)} autoFocus />
+        </div>
+        <div>
+          <label style={{ display: 'block', fontSize: '10px', marginBottom: '4px', color: '#555', textTransform: 'uppercase' }}>class</label>
+          <select value={targetClassId} onChange={(e) => setTargetClassId(e.target.value)}
+            style={{ width: '100%', background: '#111', color: '#aaa', border: '1px solid #222', fontSize: '12px', padding: '6px', fontFamily: 'var(--font-mono)' }}>
+            {classes.map((c) => <option key={c.id} value={c.id}>{displayClassName(c, nameMode)}</option>)}
+          </select>
+        </div>
+      </div>
+      <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '8px', marginTop: '20px' }}>
+        <Button variant="secondary" onClick={onClose}>cancel</Button>
+        <Button onClick={handleSubmit}>save</Button>
+      </div>
+    </Modal>
   );
 }
 
-function TextInput({ value, onChange, placeholder, autoFocus }) {
+function TrashModal({ trash, onRestore, onPurge, onClose }) {
   return (
-    <input
-      type="text"
-      value={value}
-      onChange={onChange}
-      placeholder={placeholder}
-      className="glass-panel"
-      autoFocus={autoFocus}
-      style={{
-        width: '100%',
-        padding: '8px',
-        borderRadius: '0',
-        color: '#ccc',
-        fontSize: '12px',
-        fontFamily: 'var(--font-mono)',
-        background: '#111'
-      }}
-    />
+    <Modal onClose={onClose} width="560px">
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+        <h2 style={{ fontSize: '13px', fontWeight: 400, margin: 0, color: '#888', textTransform: 'uppercase', letterSpacing: '1px' }}>trash</h2>
+        <Button variant="danger" onClick={() => onPurge(null)} disabled={trash.length === 0}>empty trash</Button>
+      </div>
+      {trash.length === 0 ? (
+        <div style={{ color: '#444', textAlign: 'center', padding: '32px 0', border: '1px dashed #222', fontSize: '11px' }}>trash is empty</div>
+      ) : (
+        <div style={{ maxHeight: '360px', overflow: 'auto', display: 'flex', flexDirection: 'column', gap: '1px', background: '#222' }}>
+          {trash.map((entry) => (
+            <div key={entry.id} style={{ padding: '8px 12px', background: '#0f0f0f', display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '8px' }}>
+              <div>
+                <div style={{ fontSize: '12px', color: '#aaa', fontFamily: 'var(--font-mono)' }}>
+                  {entry.kind === "class" ? entry.item.friendlyName : entry.item.name}
+                </div>
+                <div style={{ fontSize: '10px', color: '#555', marginTop: '2px' }}>
+                  {entry.kind === "class" ? `class, ${entry.item.methods.length} methods` : `method in ${entry.owner.friendlyName}`} · {new Date(entry.deletedAt).toLocaleString()}
+                </div>
+              </div>
+              <div style={{ display: 'flex', gap: '6px' }}>
+                <Button variant="secondary" onClick={() => onRestore(entry.id)}>restore</Button>
+                <Button variant="danger" onClick={() => onPurge(entry.id)}>delete</Button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </Modal>
   );
 }
 
-function Modal({ children, onClose }) {
+// Small text buttons for list rows; clicks do not reach the row itself
+function ItemActions({ actions }) {
   return (
-    <div style={{
-      position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.85)',
-      display: 'flex', alignItems: 'center', justifyContent: 'center', zIndex: 1000
-    }} onClick={(e) => e.target === e.currentTarget && onClose()}>
-      <div style={{ padding: '20px', background: '#111', border: '1px solid #222', width: '380px' }}>
-        {children}
-      </div>
+    <div style={{ display: 'flex', gap: '8px' }} onClick={(e) => e.stopPropagation()}>
+      {actions.map(([label, onClick, disabled]) => (
+        <button key={label} onClick={onClick} disabled={disabled}
+          style={{ background: 'none', border: 'none', padding: 0, fontSize: '10px', color: '#555', cursor: disabled ? 'default' : 'pointer', opacity: disabled ? 0.3 : 1, fontFamily: 'var(--font-mono)' }}>
+          {label}
+        </button>
+      ))}
     </div>
   );
 }
@@ -217,17 +3958,34 @@ function Modal({ children, onClose }) {
 // === 4. VIEWS ===
 
 // --- View 1: Class List View ---
-function ClassListView({ classes, onSelectClass, onCreateClass }) {
+function ClassListView({
+  classes, trash, onSelectClass, onCreateClass, onEditClass, onDeleteClass, onDuplicateClass, onMoveClass, onRestoreTrash, onPurgeTrash,
+  onImportWorkspace, onImportMapping, onImportSmaliClasses, onOpenDex, onSearch, nameMode, onNameModeChange,
+}) {
   const [isAdding, setIsAdding] = useState(false);
-  const [newClass, setNewClass] = useState({ realName: "", obfuscatedName: "", friendlyName: "" });
+  const [editingClass, setEditingClass] = useState(null);
+  const [isShowingTrash, setIsShowingTrash] = useState(false);
+  const [pendingImport, setPendingImport] = useState(null);
+  const [isImportingMapping, setIsImportingMapping] = useState(false);
+  const [isImportingSmali, setIsImportingSmali] = useState(false);
+  const [importTrigger, setImportTrigger] = useState(0);
 
-  function handleCreate() {
-    if (!newClass.realName.trim() || !newClass.friendlyName.trim()) {
-      alert("Real Name and Friendly Name are required.");
-      return;
-    }
-    onCreateClass(newClass);
-    setIsAdding(false);
+  function exportAll() {
+    const stamp = new Date().toISOString().slice(0, 10);
+    downloadFile(`register-notebook-${stamp}.json`, JSON.stringify(exportWorkspace(classes), null, 2));
+  }
+
+  function readWorkspaceFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        setPendingImport(parseWorkspaceFile(String(reader.result)));
+      } catch (e) {
+        alert(`Invalid workspace file: ${e.message}`);
+      }
+      setImportTrigger(prev => prev + 1);
+    };
+    reader.readAsText(file);
   }
 
   return (
@@ -237,9 +3995,27 @@ function ClassListView({ classes, onSelectClass, onCreateClass }) {
           <h1 style={{ fontSize: '16px', fontWeight: 400, color: '#888', margin: 0, letterSpacing: '2px', textTransform: 'uppercase' }}>register notebook</h1>
           <p style={{ color: '#444', fontSize: '11px', marginTop: '4px' }}>// smali register tracking</p>
         </div>
-        <Button onClick={() => { setNewClass({ realName: "", obfuscatedName: "", friendlyName: "" }); setIsAdding(true); }}>
-          + new class
-        </Button>
+        <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap', justifyContent: 'flex-end' }}>
+          <Button variant="secondary" onClick={onSearch}>search</Button>
+          <NameModeToggle nameMode={nameMode} onChange={onNameModeChange} />
+          <Button variant="secondary" onClick={onOpenDex}>dex / apk</Button>
+          <Button variant="secondary" onClick={() => setIsImportingSmali(true)}>smali folder</Button>
+          <Button variant="secondary" onClick={() => setIsImportingMapping(true)}>mapping</Button>
+          <Button variant="secondary" onClick={exportAll} disabled={classes.length === 0}>export</Button>
+          <label style={{ cursor: 'pointer', display: 'flex' }}>
+            <div style={{ padding: "6px 12px", fontWeight: 400, fontSize: "12px", background: "#111", color: "#888", border: "1px solid #222", fontFamily: 'var(--font-mono)' }}>import</div>
+            <input type="file" accept="application/json" style={{ display: "none" }} key={importTrigger}
+              onChange={(e) => {
+                const f = e.target.files?.[0];
+                if (f) readWorkspaceFile(f);
+              }}
+            />
+          </label>
+          <Button variant="secondary" onClick={() => setIsShowingTrash(true)}>trash{trash.length > 0 && ` (${trash.length})`}</Button>
+          <Button onClick={() => setIsAdding(true)}>
+            + new class
+          </Button>
+        </div>
       </div>
 
       {classes.length === 0 ? (
@@ -249,7 +4025,7 @@ function ClassListView({ classes, onSelectClass, onCreateClass }) {
         </div>
       ) : (
         <div style={{ display: 'flex', flexDirection: 'column', gap: '1px', background: '#222' }}>
-          {classes.map((cls) => (
+          {classes.map((cls, i) => (
             <div
               key={cls.id}
               onClick={() => onSelectClass(cls.id)}
@@ -263,11 +4039,20 @@ function ClassListView({ classes, onSelectClass, onCreateClass }) {
               }}
             >
               <div>
-                <div style={{ fontSize: '13px', color: '#aaa' }}>{cls.friendlyName}</div>
-                <div style={{ fontSize: '10px', color: '#555', marginTop: '2px', fontFamily: 'var(--font-mono)' }}>{cls.realName}</div>
+                <div style={{ fontSize: '13px', color: '#aaa' }}>{displayClassName(cls, nameMode)}</div>
+                <div style={{ fontSize: '10px', color: '#555', marginTop: '2px', fontFamily: 'var(--font-mono)' }}>{nameMode === "real" ? cls.friendlyName : cls.realName}</div>
               </div>
-              <div style={{ fontSize: '10px', color: '#444' }}>
-                {cls.methods.length} methods
+              <div style={{ display: 'flex', alignItems: 'center', gap: '16px' }}>
+                <ItemActions actions={[
+                  ["edit", () => setEditingClass(cls)],
+                  ["dup", () => onDuplicateClass(cls.id)],
+                  ["up", () => onMoveClass(cls.id, -1), i === 0],
+                  ["down", () => onMoveClass(cls.id, 1), i === classes.length - 1],
+                  ["del", () => onDeleteClass(cls.id)],
+                ]} />
+                <div style={{ fontSize: '10px', color: '#444' }}>
+                  {cls.methods.length} methods
+                </div>
               </div>
             </div>
           ))}
@@ -275,35 +4060,151 @@ function ClassListView({ classes, onSelectClass, onCreateClass }) {
       )}
 
       {isAdding && (
-        <Modal onClose={() => setIsAdding(false)}>
-          <h2 style={{ fontSize: '13px', fontWeight: 400, marginBottom: '16px', color: '#888', textTransform: 'uppercase', letterSpacing: '1px' }}>track new class</h2>
-          <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
-            <div>
-              <label style={{ display: 'block', fontSize: '10px', marginBottom: '4px', color: '#555', textTransform: 'uppercase' }}>friendly name</label>
-              <TextInput value={newClass.friendlyName} onChange={(e) => setNewClass({ ...newClass, friendlyName: e.target.value })} placeholder="RootCheckService" autoFocus />
-            </div>
-            <div>
-              <label style={{ display: 'block', fontSize: '10px', marginBottom: '4px', color: '#555', textTransform: 'uppercase' }}>class path</label>
-              <TextInput value={newClass.realName} onChange={(e) => setNewClass({ ...newClass, realName: e.target.value })} placeholder="Lcom/example/MainActivity;" />
-            </div>
-            <div>
-              <label style={{ display: 'block', fontSize: '10px', marginBottom: '4px', color: '#555', textTransform: 'uppercase' }}>obfuscated (optional)</label>
-              <TextInput value={newClass.obfuscatedName} onChange={(e) => setNewClass({ ...newClass, obfuscatedName: e.target.value })} placeholder="a.b.c" />
-            </div>
-          </div>
-          <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '8px', marginTop: '20px' }}>
-            <Button variant="secondary" onClick={() => setIsAdding(false)}>cancel</Button>
-            <Button onClick={handleCreate}>create</Button>
-          </div>
-        </Modal>
+        <ClassFormModal
+          title="track new class"
+          submitLabel="create"
+          initial={{ realName: "", obfuscatedName: "", friendlyName: "" }}
+          onClose={() => setIsAdding(false)}
+          onSubmit={(form) => { onCreateClass(form); setIsAdding(false); }}
+        />
+      )}
+
+      {editingClass && (
+        <ClassFormModal
+          title="edit class"
+          submitLabel="save"
+          initial={editingClass}
+          onClose={() => setEditingClass(null)}
+          onSubmit={({ realName, obfuscatedName, friendlyName }) => {
+            onEditClass(editingClass.id, { realName, obfuscatedName, friendlyName });
+            setEditingClass(null);
+          }}
+        />
+      )}
+
+      {isShowingTrash && (
+        <TrashModal trash={trash} onRestore={onRestoreTrash} onPurge={onPurgeTrash} onClose={() => setIsShowingTrash(false)} />
+      )}
+
+      {isImportingSmali && (
+        <SmaliFolderImportModal
+          onClose={() => setIsImportingSmali(false)}
+          onImport={(selection) => { onImportSmaliClasses(selection); setIsImportingSmali(false); }}
+        />
+      )}
+
+      {isImportingMapping && (
+        <ProguardImportModal
+          classes={classes}
+          onClose={() => setIsImportingMapping(false)}
+          onImport={(mapping, trackPrefix) => { onImportMapping(mapping, trackPrefix); setIsImportingMapping(false); }}
+        />
+      )}
+
+      {pendingImport && (
+        <WorkspaceImportModal
+          existing={classes}
+          incoming={pendingImport}
+          onClose={() => setPendingImport(null)}
+          onImport={(mode, onConflict) => {
+            onImportWorkspace(pendingImport, mode, onConflict);
+            setPendingImport(null);
+          }}
+        />
       )}
     </div>
   );
 }
 
 // --- Class Detail View ---
-function ClassDetailView({ classObject, onBack, onSelectMethod, onCreateMethod }) {
+const JAVA_TYPE_RE = /^[A-Za-z_$][\w$.]*(\[\])*$/;
+
+function ClassFieldsPanel({ classObject, onEditClass }) {
+  const [name, setName] = useState("");
+  const [type, setType] = useState("");
+  const [value, setValue] = useState("");
+  const [isStatic, setIsStatic] = useState(false);
+  const fields = classObject.fields || [];
+  const errors = useMemo(() => createClassState({ ...classObject, methods: [] }).errors, [classObject]);
+  const inputStyle = { background: '#111', border: '1px solid #222', color: '#888', fontSize: '11px', padding: '6px', fontFamily: 'var(--font-mono)', boxSizing: 'border-box' };
+
+  function handleAdd() {
+    const trimmed = name.trim();
+    if (!ALIAS_NAME_RE.test(trimmed) || isReg(trimmed) || RESERVED_ALIAS_NAMES.includes(trimmed)) {
+      alert(`"${trimmed}" is not a usable field name.`);
+      return;
+    }
+    if (fields.some((f) => f.name === trimmed)) {
+      alert(`The class already has a field named "${trimmed}".`);
+      return;
+    }
+    if (!JAVA_TYPE_RE.test(type.trim())) {
+      alert("Give the field a Java type, e.g. int, byte[] or java.lang.String.");
+      return;
+    }
+    onEditClass({ fields: [...fields, { id: uid(), name: trimmed, type: type.trim(), isStatic, value: value.trim() }] });
+    setName("");
+    setType("");
+    setValue("");
+  }
+
+  const updateField = (id, patch) => onEditClass({ fields: fields.map((f) => (f.id === id ? { ...f, ...patch } : f)) });
+
+  return (
+    <div style={{ marginBottom: '20px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+        <h2 style={{ fontSize: '10px', fontWeight: 400, margin: 0, color: '#555', textTransform: 'uppercase', letterSpacing: '1px' }}>fields</h2>
+        <label title="each method starts from the fields the method above it left" style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '11px', color: '#666', cursor: 'pointer' }}>
+          <input type="checkbox" checked={Boolean(classObject.chainMethods)} onChange={(e) => onEditClass({ chainMethods: e.target.checked })} />
+          chain methods
+        </label>
+      </div>
+      {fields.length > 0 && (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '1px', background: '#222', marginBottom: '8px' }}>
+          {fields.map((f) => (
+            <div key={f.id} style={{ display: 'grid', gridTemplateColumns: '60px 1fr 1fr 1fr auto', gap: '8px', alignItems: 'center', padding: '6px 12px', background: '#0f0f0f', fontFamily: 'var(--font-mono)', fontSize: '11px' }}>
+              <button onClick={() => updateField(f.id, { isStatic: !f.isStatic })} title="toggle static"
+                style={{ background: 'none', border: 'none', padding: 0, cursor: 'pointer', textAlign: 'left', fontFamily: 'var(--font-mono)', fontSize: '10px', color: f.isStatic ? '#999' : '#444' }}>
+                {f.isStatic ? "static" : "instance"}
+              </button>
+              <span style={{ color: '#aaa' }}>{f.name}</span>
+              <span style={{ color: '#666' }}>{f.type}</span>
+              <input key={`${f.id}:${f.value}`} defaultValue={f.value} placeholder="default"
+                onBlur={(e) => e.target.value.trim() !== f.value && updateField(f.id, { value: e.target.value.trim() })}
+                onKeyDown={(e) => e.key === "Enter" && e.target.blur()}
+                style={{ ...inputStyle, width: '100%', padding: '2px 4px' }} />
+              <button onClick={() => onEditClass({ fields: fields.filter((other) => other.id !== f.id) })}
+                style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#555', fontSize: '10px', padding: 0 }}>x</button>
+            </div>
+          ))}
+        </div>
+      )}
+      {errors.map((message) => (
+        <div key={message} style={{ fontSize: '10px', fontFamily: 'var(--font-mono)', color: '#a66', marginBottom: '4px' }}>{message}</div>
+      ))}
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr auto auto', gap: '8px', alignItems: 'center' }}>
+        <input value={name} onChange={(e) => setName(e.target.value)} placeholder="name" style={inputStyle} />
+        <input value={type} onChange={(e) => setType(e.target.value)} placeholder="type" style={inputStyle} />
+        <input value={value} onChange={(e) => setValue(e.target.value)} placeholder="value" style={inputStyle}
+          onKeyDown={(e) => e.key === "Enter" && handleAdd()} />
+        <label style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '11px', color: '#666', cursor: 'pointer' }}>
+          <input type="checkbox" checked={isStatic} onChange={(e) => setIsStatic(e.target.checked)} />
+          static
+        </label>
+        <Button variant="secondary" onClick={handleAdd}>add field</Button>
+      </div>
+    </div>
+  );
+}
+
+function ClassDetailView({
+  classObject, classes, onBack, onSelectMethod, onCreateMethod, onImportSmali, onEditClass,
+  onEditMethod, onDuplicateMethod, onMoveMethod, onDeleteMethod, nameMode, onNameModeChange,
+}) {
   const [newMethodName, setNewMethodName] = useState("");
+  const [isImporting, setIsImporting] = useState(false);
+  const [isEditingClass, setIsEditingClass] = useState(false);
+  const [editingMethod, setEditingMethod] = useState(null);
 
   function handleCreate() {
     if (!newMethodName.trim()) {
@@ -314,15 +4215,31 @@ function ClassDetailView({ classObject, onBack, onSelectMethod, onCreateMethod }
     setNewMethodName("");
   }
 
+  function exportReport(format) {
+    const name = simpleClassName(classObject.realName);
+    if (format === "smali") downloadFile(`${name}.smali`, buildAnnotatedSmali(classObject), "text/plain");
+    else if (format === "md") downloadFile(`${name}-report.md`, buildMarkdownReport(classObject), "text/markdown");
+    else downloadFile(`${name}-report.html`, buildHtmlReport(classObject), "text/html");
+  }
+
   return (
     <div style={{ maxWidth: '800px', margin: '0 auto' }}>
       <div style={{ marginBottom: '24px' }}>
-        <button onClick={onBack} style={{ marginBottom: '12px', background: 'none', border: 'none', cursor: 'pointer', color: '#666', fontSize: '11px', padding: 0 }}>
-          {'<'} back
-        </button>
-        <h1 style={{ fontSize: '14px', fontWeight: 400, margin: '0 0 4px 0', color: '#aaa' }}>{classObject.friendlyName}</h1>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
+          <button onClick={onBack} style={{ marginBottom: '12px', background: 'none', border: 'none', cursor: 'pointer', color: '#666', fontSize: '11px', padding: 0 }}>
+            {'<'} back
+          </button>
+          <div style={{ display: 'flex', gap: '6px' }}>
+            <Button variant="secondary" onClick={() => exportReport("smali")}>.smali</Button>
+            <Button variant="secondary" onClick={() => exportReport("md")}>.md</Button>
+            <Button variant="secondary" onClick={() => exportReport("html")}>.html</Button>
+            <Button variant="secondary" onClick={() => setIsEditingClass(true)}>edit class</Button>
+            <NameModeToggle nameMode={nameMode} onChange={onNameModeChange} />
+          </div>
+        </div>
+        <h1 style={{ fontSize: '14px', fontWeight: 400, margin: '0 0 4px 0', color: '#aaa' }}>{displayClassName(classObject, nameMode)}</h1>
         <p style={{ fontFamily: 'var(--font-mono)', color: '#444', fontSize: '10px', margin: 0 }}>
-          {classObject.realName}
+          {classObject.realName}{classObject.obfuscatedName && ` <- ${classObject.obfuscatedName}`}
         </p>
       </div>
 
@@ -336,9 +4253,12 @@ function ClassDetailView({ classObject, onBack, onSelectMethod, onCreateMethod }
             />
           </div>
           <Button onClick={handleCreate}>add</Button>
+          <Button variant="secondary" onClick={() => setIsImporting(true)}>import smali</Button>
         </div>
       </div>
 
+      <ClassFieldsPanel classObject={classObject} onEditClass={onEditClass} />
+
       <div>
         <h2 style={{ fontSize: '10px', fontWeight: 400, marginBottom: '12px', color: '#555', textTransform: 'uppercase', letterSpacing: '1px' }}>methods</h2>
         {classObject.methods.length === 0 ? (
@@ -347,72 +4267,592 @@ function ClassDetailView({ classObject, onBack, onSelectMethod, onCreateMethod }
           </div>
         ) : (
           <div style={{ display: 'flex', flexDirection: 'column', gap: '1px', background: '#222' }}>
-            {classObject.methods.map((method) => (
+            {classObject.methods.map((method, i) => (
               <div
                 key={method.id}
                 onClick={() => onSelectMethod(method.id)}
                 style={{ padding: '10px 12px', cursor: 'pointer', display: 'flex', justifyContent: 'space-between', alignItems: 'center', background: '#0f0f0f' }}
               >
-                <div style={{ fontSize: '12px', fontFamily: 'var(--font-mono)', color: '#aaa' }}>{method.name}</div>
-                <div style={{ fontSize: '10px', color: '#444' }}>
-                  p{method.params} v{method.locals} L{method.lines.length}
+                <div style={{ fontSize: '12px', fontFamily: 'var(--font-mono)', color: '#aaa' }}>{displayMethodName(method, nameMode)}</div>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '16px' }}>
+                  <ItemActions actions={[
+                    ["edit", () => setEditingMethod(method)],
+                    ["dup", () => onDuplicateMethod(method.id)],
+                    ["up", () => onMoveMethod(method.id, -1), i === 0],
+                    ["down", () => onMoveMethod(method.id, 1), i === classObject.methods.length - 1],
+                    ["del", () => onDeleteMethod(method.id)],
+                  ]} />
+                  <div style={{ fontSize: '10px', color: '#444' }}>
+                    p{method.params} v{method.locals} L{method.lines.length}
+                  </div>
                 </div>
               </div>
             ))}
           </div>
         )}
       </div>
+
+      {isImporting && (
+        <SmaliImportModal
+          title="import smali methods"
+          onClose={() => setIsImporting(false)}
+          onImport={(parsed) => { onImportSmali(parsed); setIsImporting(false); }}
+        />
+      )}
+
+      {isEditingClass && (
+        <ClassFormModal
+          title="edit class"
+          submitLabel="save"
+          initial={classObject}
+          onClose={() => setIsEditingClass(false)}
+          onSubmit={({ realName, obfuscatedName, friendlyName }) => {
+            onEditClass({ realName, obfuscatedName, friendlyName });
+            setIsEditingClass(false);
+          }}
+        />
+      )}
+
+      {editingMethod && (
+        <MethodEditModal
+          method={editingMethod}
+          classId={classObject.id}
+          classes={classes}
+          nameMode={nameMode}
+          onClose={() => setEditingMethod(null)}
+          onSubmit={(changes) => { onEditMethod(editingMethod.id, changes); setEditingMethod(null); }}
+        />
+      )}
+    </div>
+  );
+}
+
+// --- DEX Browser View ---
+const DEX_SEARCH_LIMIT = 200;
+
+function buildPackageTree(dexClasses) {
+  const root = { path: "", packages: new Map(), classes: [] };
+  for (const dexClass of dexClasses) {
+    const parts = dexClass.descriptor.replace(/^L|;$/g, "").split("/");
+    let node = root;
+    for (const part of parts.slice(0, -1)) {
+      if (!node.packages.has(part)) node.packages.set(part, { path: node.path ? `${node.path}/${part}` : part, packages: new Map(), classes: [] });
+      node = node.packages.get(part);
+    }
+    node.classes.push(dexClass);
+  }
+  return root;
+}
+
+function PackageNode({ node, name, depth, expanded, onToggle, selected, onSelect }) {
+  const open = depth === 0 || expanded.has(node.path);
+  const rowStyle = { padding: '3px 0', paddingLeft: `${depth * 12}px`, fontSize: '11px', fontFamily: 'var(--font-mono)', cursor: 'pointer', whiteSpace: 'nowrap' };
+  return (
+    <div>
+      {depth > 0 && (
+        <div style={{ ...rowStyle, color: '#777' }} onClick={() => onToggle(node.path)}>
+          {open ? '-' : '+'} {name}
+        </div>
+      )}
+      {open && (
+        <>
+          {[...node.packages.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([childName, child]) => (
+            <PackageNode key={child.path} node={child} name={childName} depth={depth + 1} expanded={expanded} onToggle={onToggle} selected={selected} onSelect={onSelect} />
+          ))}
+          {[...node.classes].sort((a, b) => a.descriptor.localeCompare(b.descriptor)).map((dexClass) => (
+            <div key={`${dexClass.source}:${dexClass.descriptor}`} onClick={() => onSelect(dexClass)}
+              style={{ ...rowStyle, paddingLeft: `${(depth + 1) * 12}px`, color: dexClass === selected ? '#ccc' : '#555', background: dexClass === selected ? '#1a1a1a' : 'transparent' }}>
+              {simpleClassName(dexClass.descriptor)}
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
+
+function DexBrowserView({ dexArchive, classes, onLoad, onBack, onTrack }) {
+  const [query, setQuery] = useState("");
+  const [expanded, setExpanded] = useState(() => new Set());
+  const [selected, setSelected] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const tree = useMemo(() => buildPackageTree(dexArchive?.classes || []), [dexArchive]);
+  const needle = query.trim().toLowerCase();
+  const matches = useMemo(() => {
+    if (!needle || !dexArchive) return [];
+    return dexArchive.classes.filter((c) => c.descriptor.toLowerCase().includes(needle) || c.methods.some((m) => m.name.toLowerCase().includes(needle)));
+  }, [dexArchive, needle]);
+
+  async function openFile(file) {
+    setIsLoading(true);
+    try {
+      onLoad({ name: file.name, classes: await loadDexClasses(file) });
+      setSelected(null);
+      setExpanded(new Set());
+    } catch (e) {
+      alert(`Could not load ${file.name}: ${e.message}`);
+    }
+    setIsLoading(false);
+  }
+
+  function toggle(path) {
+    setExpanded((prev) => {
+      const next = new Set(prev);
+      if (next.has(path)) next.delete(path);
+      else next.add(path);
+      return next;
+    });
+  }
+
+  const tracked = selected ? findTrackedClass(classes, selected.descriptor) : null;
+  const isTracked = (dexMethod) => tracked?.methods.some((m) => (m.obfuscatedName || m.name) === dexMethod.name && m.signature === dexMethod.signature);
+
+  return (
+    <div style={{ height: "100vh", display: "flex", flexDirection: "column", gap: '12px', padding: '12px', boxSizing: 'border-box', overflow: 'hidden' }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', paddingBottom: '10px', borderBottom: '1px solid #1a1a1a' }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+          <button onClick={onBack} style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#555', fontSize: '11px', padding: 0 }}>
+            {'<'} back
+          </button>
+          <div style={{ height: '12px', width: '1px', background: '#222' }}></div>
+          <div style={{ fontSize: '13px', color: '#888' }}>
+            {dexArchive ? `${dexArchive.name} (${dexArchive.classes.length} classes)` : "no dex loaded"}
+          </div>
+        </div>
+        <label style={{ cursor: 'pointer', display: 'flex' }}>
+          <div style={{ padding: "6px 12px", fontSize: "12px", background: "#111", color: "#888", border: "1px solid #222", fontFamily: 'var(--font-mono)' }}>
+            {isLoading ? "loading..." : "open .dex / .apk"}
+          </div>
+          <input type="file" accept=".dex,.apk,.zip" style={{ display: "none" }} disabled={isLoading}
+            onChange={(e) => {
+              const f = e.target.files?.[0];
+              if (f) openFile(f);
+              e.target.value = "";
+            }}
+          />
+        </label>
+      </div>
+
+      {dexArchive && (
+        <div style={{ display: 'flex', gap: '12px', flex: 1, overflow: 'hidden' }}>
+          <div style={{ width: '40%', display: 'flex', flexDirection: 'column', gap: '8px', overflow: 'hidden' }}>
+            <TextInput value={query} onChange={(e) => setQuery(e.target.value)} placeholder="search classes and methods" />
+            <div style={{ flex: 1, overflow: 'auto', border: '1px solid #1a1a1a', background: '#0c0c0c', padding: '6px' }}>
+              {needle ? (
+                <>
+                  {matches.slice(0, DEX_SEARCH_LIMIT).map((dexClass) => (
+                    <div key={`${dexClass.source}:${dexClass.descriptor}`} onClick={() => setSelected(dexClass)}
+                      style={{ padding: '3px 0', fontSize: '11px', fontFamily: 'var(--font-mono)', cursor: 'pointer', whiteSpace: 'nowrap', color: dexClass === selected ? '#ccc' : '#666' }}>
+                      {dexClass.descriptor}
+                    </div>
+                  ))}
+                  <div style={{ fontSize: '10px', color: '#444', marginTop: '6px' }}>
+                    {matches.length > DEX_SEARCH_LIMIT ? `showing ${DEX_SEARCH_LIMIT} of ${matches.length} matches` : `${matches.length} matches`}
+                  </div>
+                </>
+              ) : (
+                <PackageNode node={tree} name="" depth={0} expanded={expanded} onToggle={toggle} selected={selected} onSelect={setSelected} />
+              )}
+            </div>
+          </div>
+
+          <div style={{ flex: 1, overflow: 'auto', border: '1px solid #1a1a1a', background: '#0c0c0c', padding: '12px' }}>
+            {!selected ? (
+              <div style={{ color: '#444', fontSize: '11px' }}>select a class</div>
+            ) : (
+              <>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: '12px' }}>
+                  <div>
+                    <div style={{ fontSize: '13px', color: '#aaa', fontFamily: 'var(--font-mono)' }}>{selected.descriptor}</div>
+                    <div style={{ fontSize: '10px', color: '#555', marginTop: '4px' }}>
+                      {[...selected.modifiers, selected.superclass && `extends ${selected.superclass}`, selected.sourceFile && `(${selected.sourceFile})`, selected.source].filter(Boolean).join(" ")}
+                    </div>
+                  </div>
+                  <Button variant="secondary" onClick={() => onTrack(selected, [])} disabled={!!tracked}>{tracked ? "tracked" : "track class"}</Button>
+                </div>
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '1px', background: '#1a1a1a' }}>
+                  {selected.methods.map((dexMethod, i) => (
+                    <div key={i} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '8px', padding: '6px 8px', background: '#0f0f0f' }}>
+                      <div style={{ fontSize: '11px', fontFamily: 'var(--font-mono)', color: needle && dexMethod.name.toLowerCase().includes(needle) ? '#ccc' : '#888', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                        {dexMethod.name}{dexMethod.signature}
+                        <span style={{ color: '#444', marginLeft: '8px' }}>{dexMethod.modifiers.join(" ")}</span>
+                      </div>
+                      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexShrink: 0 }}>
+                        <span style={{ fontSize: '10px', color: '#444' }}>p{dexMethod.params} v{dexMethod.locals}</span>
+                        <Button variant="secondary" onClick={() => onTrack(selected, [dexMethod])} disabled={isTracked(dexMethod)}>
+                          {isTracked(dexMethod) ? "tracked" : "track"}
+                        </Button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// --- Live Grid ---
+function LiveGrid({ liveState, heap, onPick, changedRegs = [], aliases = {}, observed = {}, title = "registers", children }) {
+  const regs = Object.keys({ ...liveState, ...observed }).sort((a, b) => {
+    const typeA = a.startsWith("p") ? 0 : 1;
+    const typeB = b.startsWith("p") ? 0 : 1;
+    if (typeA !== typeB) return typeA - typeB;
+    return Number(a.slice(1)) - Number(b.slice(1));
+  });
+  const holders = {};
+  for (const r of regs) {
+    const ref = liveState?.[r]?.ref;
+    if (ref !== undefined) (holders[ref] = holders[ref] || []).push(r);
+  }
+
+  return (
+    <div style={{ padding: '12px', border: '1px solid #222', marginBottom: '12px', background: '#0c0c0c' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
+        <div style={{ fontSize: '10px', fontWeight: 400, color: '#555', letterSpacing: '1px', textTransform: 'uppercase' }}>{title}</div>
+        {children}
+      </div>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: '6px' }}>
+        {regs.map((r) => {
+          const val = liveState?.[r];
+          const isNull = val === null || val === undefined || val.type === 'wide-hi';
+          const formatted = formatRegisterValue(val, heap);
+          const isChanged = changedRegs.includes(r);
+          const seen = r in observed ? formatRegisterValue(observed[r]) : null;
+          const disagrees = seen && !observedValueMatches(observed[r], derefValue(val ?? null, heap));
+          const sharedWith = val?.ref !== undefined ? holders[val.ref].filter((other) => other !== r) : [];
+          return (
+            <div key={r} style={{
+              minWidth: '70px',
+              maxWidth: '160px',
+              background: isChanged ? '#1c1c1c' : '#111',
+              padding: '6px 8px',
+              border: disagrees ? '1px solid #a66' : isChanged ? '1px solid #555' : '1px solid #1a1a1a',
+              opacity: isNull ? 0.5 : 1
+            }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', gap: '6px', fontSize: '9px', color: '#555' }}>
+                <span>
+                  <span style={{ textTransform: 'uppercase' }}>{r}</span>
+                  {aliases[r] && <span style={{ color: '#777', marginLeft: '4px' }}>{aliases[r]}</span>}
+                  {sharedWith.length > 0 && <span title={`same object as ${sharedWith.join(", ")}`} style={{ color: '#777', marginLeft: '4px' }}>={sharedWith.join(",")}</span>}
+                </span>
+                <span style={{ color: '#444' }}>{formatted.type}</span>
+              </div>
+              <button
+                onClick={() => onPick(r)}
+                style={{
+                  background: 'none', border: 'none', cursor: 'pointer', padding: 0, textAlign: 'left', width: '100%',
+                  marginTop: '2px',
+                  fontFamily: 'var(--font-mono)', fontSize: '11px', color: isNull ? '#333' : '#888',
+                  overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap'
+                }}
+              >
+                {formatted.text}
+              </button>
+              {formatted.hex && (
+                <div style={{ fontFamily: 'var(--font-mono)', fontSize: '9px', color: '#444', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{formatted.hex}</div>
+              )}
+              {seen && (
+                <div title={`observed ${seen.type} ${seen.text}`} style={{ fontFamily: 'var(--font-mono)', fontSize: '9px', color: disagrees ? '#a66' : '#555', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                  obs {seen.text}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+// Static fields and the fields of this, as they stand at the displayed line
+function ClassFieldsGrid({ heap, changed = [] }) {
+  const rows = [["static", heap.classRef], ["this", heap.thisRef]].flatMap(([scope, ref]) => (
+    Object.entries(heap.objects[ref]?.fields || {}).map(([name, value]) => ({ scope, name, value, ref }))
+  ));
+  if (rows.length === 0) return null;
+
+  return (
+    <div style={{ padding: '12px', border: '1px solid #222', marginBottom: '12px', background: '#0c0c0c' }}>
+      <div style={{ fontSize: '10px', fontWeight: 400, color: '#555', letterSpacing: '1px', textTransform: 'uppercase', marginBottom: '10px' }}>fields</div>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: '6px' }}>
+        {rows.map(({ scope, name, value, ref }) => {
+          const formatted = formatRegisterValue(value, heap);
+          const isChanged = changed.some((w) => w.ref === ref && w.key === name);
+          return (
+            <div key={`${scope}:${name}`} style={{
+              minWidth: '70px', maxWidth: '160px', padding: '6px 8px',
+              background: isChanged ? '#1c1c1c' : '#111', border: isChanged ? '1px solid #555' : '1px solid #1a1a1a',
+            }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', gap: '6px', fontSize: '9px', color: '#555' }}>
+                <span>{scope === "static" && <span style={{ color: '#444' }}>static </span>}{name}</span>
+                <span style={{ color: '#444' }}>{formatted.type}</span>
+              </div>
+              <div title={formatted.text} style={{ marginTop: '2px', fontFamily: 'var(--font-mono)', fontSize: '11px', color: '#888', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                {formatted.text}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+function RegisterValueDetails({ value, heap }) {
+  const formatted = formatRegisterValue(value, heap);
+  const rows = [['type', formatted.type || '-'], ['value', formatted.text]];
+  if (formatted.hex) rows.push(['hex', formatted.hex]);
+  return rows.map(([label, text]) => (
+    <React.Fragment key={label}>
+      <div style={{ fontSize: '9px', color: '#444', margin: '12px 0 4px 0', textTransform: 'uppercase' }}>{label}</div>
+      <div style={{ padding: '8px', background: '#111', border: '1px solid #1a1a1a', fontFamily: 'var(--font-mono)', wordBreak: 'break-all', fontSize: '11px', color: '#666' }}>
+        {text}
+      </div>
+    </React.Fragment>
+  ));
+}
+
+// Integral arrays can be read as hex digits of their element width or as text
+const HEAP_HEX_WIDTHS = { "[B": 2, "[Z": 2, "[C": 4, "[S": 4, "[I": 8 };
+const HEAP_ITEM_LIMIT = 256;
+
+function heapArrayText(entry, format) {
+  const items = entry.items.slice(0, HEAP_ITEM_LIMIT).map((e) => Number(e?.value ?? 0));
+  const more = entry.items.length > HEAP_ITEM_LIMIT ? ` ... ${entry.items.length - HEAP_ITEM_LIMIT} more` : "";
+  if (format === "ascii") {
+    return items.map((n) => {
+      const code = entry.className === "[C" ? n : n & 0xff;
+      return code >= 0x20 && code < 0x7f ? String.fromCharCode(code) : ".";
+    }).join("") + more;
+  }
+  const width = HEAP_HEX_WIDTHS[entry.className];
+  return items.map((n) => (n < 0 ? BigInt.asUintN(width * 4, BigInt(n)) : n).toString(16).padStart(width, "0")).join(" ") + more;
+}
+
+// One heap entry with its items or fields; nested references expand in place
+function HeapEntryView({ heapRef, heap, seen = [] }) {
+  const [format, setFormat] = useState("values");
+  const [expanded, setExpanded] = useState({});
+  const entry = heap?.objects[heapRef];
+  if (!entry) return <div style={{ fontSize: '10px', color: '#333' }}>not in heap</div>;
+  const rows = entry.kind === "array"
+    ? entry.items.slice(0, HEAP_ITEM_LIMIT).map((v, i) => [String(i), v])
+    : Object.entries(entry.fields).sort(([a], [b]) => a.localeCompare(b));
+  const textual = entry.kind === "array" && HEAP_HEX_WIDTHS[entry.className];
+  const toggleStyle = (f) => ({
+    background: 'none', border: 'none', cursor: 'pointer', padding: '0 4px', fontSize: '9px', fontFamily: 'var(--font-mono)', color: format === f ? '#999' : '#444',
+  });
+
+  return (
+    <div style={{ borderLeft: '1px solid #222', paddingLeft: '6px', marginTop: '4px' }}>
+      {textual && (
+        <div style={{ display: 'flex', marginBottom: '4px' }}>
+          {["values", "hex", "ascii"].map((f) => <button key={f} onClick={() => setFormat(f)} style={toggleStyle(f)}>{f}</button>)}
+        </div>
+      )}
+      {format !== "values" && textual ? (
+        <div style={{ fontFamily: 'var(--font-mono)', fontSize: '10px', color: '#777', wordBreak: 'break-all', whiteSpace: 'pre-wrap' }}>{heapArrayText(entry, format)}</div>
+      ) : (
+        <>
+          {rows.length === 0 && <div style={{ fontSize: '10px', color: '#333' }}>{entry.kind === "array" ? "empty" : "no fields written"}</div>}
+          {rows.map(([key, v]) => {
+            const formatted = formatRegisterValue(v, heap);
+            const nested = v?.ref !== undefined && !seen.includes(v.ref) && v.ref !== heapRef;
+            return (
+              <div key={key} style={{ fontFamily: 'var(--font-mono)', fontSize: '10px' }}>
+                <div style={{ display: 'flex', gap: '6px', whiteSpace: 'nowrap', overflow: 'hidden' }}>
+                  <span style={{ color: '#444' }}>{entry.kind === "array" ? `[${key}]` : key}</span>
+                  <button
+                    onClick={() => nested && setExpanded((prev) => ({ ...prev, [key]: !prev[key] }))}
+                    style={{ background: 'none', border: 'none', padding: 0, cursor: nested ? 'pointer' : 'default', fontFamily: 'var(--font-mono)', fontSize: '10px', color: '#777', overflow: 'hidden', textOverflow: 'ellipsis' }}
+                  >
+                    {nested && (expanded[key] ? '- ' : '+ ')}{formatted.text}
+                  </button>
+                </div>
+                {nested && expanded[key] && <HeapEntryView heapRef={v.ref} heap={heap} seen={[...seen, heapRef]} />}
+              </div>
+            );
+          })}
+          {entry.kind === "array" && entry.items.length > HEAP_ITEM_LIMIT && (
+            <div style={{ fontSize: '10px', color: '#444' }}>... {entry.items.length - HEAP_ITEM_LIMIT} more</div>
+          )}
+        </>
+      )}
     </div>
   );
 }
 
-// --- Live Grid ---
-function LiveGrid({ liveState, onPick }) {
-  const regs = Object.keys(liveState || {}).sort((a, b) => {
-    const typeA = a.startsWith("p") ? 0 : 1;
-    const typeB = b.startsWith("p") ? 0 : 1;
-    if (typeA !== typeB) return typeA - typeB;
-    return Number(a.slice(1)) - Number(b.slice(1));
+function HeapObjectView({ value, heap, holders, history, selectedLine, onJump }) {
+  const sectionLabel = { fontSize: '9px', color: '#444', margin: '14px 0 4px 0', textTransform: 'uppercase' };
+  const entry = heap?.objects[value.ref];
+  return (
+    <>
+      <div style={sectionLabel}>{entry?.kind || "object"} @{value.ref}</div>
+      <div style={{ fontFamily: 'var(--font-mono)', fontSize: '10px', color: '#666', wordBreak: 'break-all' }}>{entry?.className || value.className}</div>
+      {holders.length > 0 && <div style={{ fontSize: '10px', color: '#555', marginTop: '4px' }}>also in {holders.join(", ")}</div>}
+      <HeapEntryView key={value.ref} heapRef={value.ref} heap={heap} />
+      <div style={sectionLabel}>{entry?.kind === "array" ? "element writes" : "field writes"}</div>
+      {(history || []).length === 0 ? (
+        <div style={{ fontSize: '10px', color: '#333' }}>none</div>
+      ) : history.map((w) => (
+        <button key={`${w.line}:${w.key}`} onClick={() => onJump(w.line)} style={{
+          background: w.line === selectedLine ? '#1c1c1c' : 'none', border: 'none', cursor: 'pointer', padding: '2px 4px', textAlign: 'left',
+          display: 'flex', gap: '8px', width: '100%', overflow: 'hidden', whiteSpace: 'nowrap',
+          fontFamily: 'var(--font-mono)', fontSize: '10px', color: w.line === selectedLine ? '#999' : '#666',
+        }}>
+          <span style={{ color: '#444' }}>L{w.line}</span>
+          <span style={{ overflow: 'hidden', textOverflow: 'ellipsis' }}>{entry?.kind === "array" ? `[${w.key}]` : w.key} = {formatRegisterValue(w.value).text}</span>
+        </button>
+      ))}
+    </>
+  );
+}
+
+function RegisterHistory({ history, selectedLine, onJump }) {
+  const sectionLabel = { fontSize: '9px', color: '#444', margin: '14px 0 4px 0', textTransform: 'uppercase' };
+  const jumpStyle = (line) => ({
+    background: line === selectedLine ? '#1c1c1c' : 'none', border: 'none', cursor: 'pointer', padding: '2px 4px', textAlign: 'left',
+    fontFamily: 'var(--font-mono)', fontSize: '10px', color: line === selectedLine ? '#999' : '#666',
   });
+  const lineList = (lines) => lines.length === 0
+    ? <div style={{ fontSize: '10px', color: '#333' }}>none</div>
+    : (
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '2px' }}>
+        {lines.map((line) => <button key={line} onClick={() => onJump(line)} style={jumpStyle(line)}>L{line}</button>)}
+      </div>
+    );
+
+  return (
+    <>
+      <div style={sectionLabel}>writes</div>
+      {(history?.writes || []).length === 0 ? (
+        <div style={{ fontSize: '10px', color: '#333' }}>none</div>
+      ) : history.writes.map((w) => {
+        const formatted = formatRegisterValue(w.value);
+        return (
+          <button key={w.line} onClick={() => onJump(w.line)} style={{ ...jumpStyle(w.line), display: 'flex', gap: '8px', width: '100%', overflow: 'hidden', whiteSpace: 'nowrap' }}>
+            <span style={{ color: '#444' }}>L{w.line}</span>
+            <span style={{ overflow: 'hidden', textOverflow: 'ellipsis' }}>{formatted.type} {formatted.text}</span>
+          </button>
+        );
+      })}
+      <div style={sectionLabel}>reads</div>
+      {lineList(history?.reads || [])}
+      <div style={sectionLabel}>mentioned in notes</div>
+      {lineList(history?.mentions || [])}
+    </>
+  );
+}
+
+function RegisterAliases({ reg, aliases, defaultFrom, onAdd, onRemove }) {
+  const [name, setName] = useState("");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const own = (aliases || []).filter((a) => a.reg === reg).sort((a, b) => a.from - b.from);
+  const inputStyle = { width: '100%', boxSizing: 'border-box', background: '#111', border: '1px solid #222', color: '#888', fontSize: '10px', padding: '4px', fontFamily: 'var(--font-mono)' };
+
+  function handleAdd() {
+    const added = onAdd({
+      id: uid(),
+      reg,
+      name: name.trim(),
+      from: from.trim() ? Number(from) : defaultFrom,
+      to: to.trim() ? Number(to) : null,
+    });
+    if (added) {
+      setName("");
+      setFrom("");
+      setTo("");
+    }
+  }
+
+  return (
+    <>
+      <div style={{ fontSize: '9px', color: '#444', margin: '14px 0 4px 0', textTransform: 'uppercase' }}>aliases</div>
+      {own.length === 0 && <div style={{ fontSize: '10px', color: '#333' }}>none</div>}
+      {own.map((a) => (
+        <div key={a.id} style={{ display: 'flex', justifyContent: 'space-between', fontSize: '10px', fontFamily: 'var(--font-mono)', color: '#777', padding: '2px 0' }}>
+          <span>{a.name} <span style={{ color: '#444' }}>L{a.from}{a.to == null ? '+' : `-${a.to}`}</span></span>
+          <button onClick={() => onRemove(a.id)} style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#555', fontSize: '10px', padding: 0 }}>x</button>
+        </div>
+      ))}
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 36px 36px auto', gap: '4px', marginTop: '6px' }}>
+        <input value={name} onChange={(e) => setName(e.target.value)} placeholder="name" style={inputStyle}
+          onKeyDown={(e) => e.key === "Enter" && handleAdd()} />
+        <input value={from} onChange={(e) => setFrom(e.target.value)} placeholder={String(defaultFrom)} style={inputStyle} />
+        <input value={to} onChange={(e) => setTo(e.target.value)} placeholder="end" style={inputStyle} />
+        <button onClick={handleAdd} disabled={!name.trim()}
+          style={{ background: '#111', border: '1px solid #222', color: '#888', fontSize: '10px', cursor: 'pointer', fontFamily: 'var(--font-mono)' }}>+</button>
+      </div>
+    </>
+  );
+}
+
+function ScenarioPanel({ method, compareId, diverging, onActivate, onAdd, onRename, onDelete, onInputChange, onCompare, onJump }) {
+  const [showInputs, setShowInputs] = useState(false);
+  const scenarios = method.scenarios || [];
+  const active = activeScenario(method);
+  const inputRegs = Object.keys(blankRegisters(method.params || 0, method.locals || 0));
+  const divergingLines = Object.keys(diverging || {}).map(Number).sort((a, b) => a - b);
+  const selectStyle = { background: '#111', border: '1px solid #222', color: '#888', fontSize: '11px', padding: '5px 6px', fontFamily: 'var(--font-mono)' };
+  const inputStyle = { width: '100%', boxSizing: 'border-box', background: '#111', border: '1px solid #222', color: '#888', fontSize: '11px', padding: '4px 6px', fontFamily: 'var(--font-mono)' };
 
   return (
     <div style={{ padding: '12px', border: '1px solid #222', marginBottom: '12px', background: '#0c0c0c' }}>
-      <div style={{ fontSize: '10px', fontWeight: 400, color: '#555', marginBottom: '10px', letterSpacing: '1px', textTransform: 'uppercase' }}>registers</div>
-      <div style={{ display: "flex", flexWrap: "wrap", gap: '6px' }}>
-        {regs.map((r) => {
-          const val = liveState[r];
-          const isNull = val === null || val === undefined;
-          return (
-            <div key={r} style={{
-              minWidth: '70px',
-              background: '#111',
-              padding: '6px 8px',
-              border: '1px solid #1a1a1a',
-              opacity: isNull ? 0.5 : 1
-            }}>
-              <div style={{ fontSize: '9px', color: '#555', textTransform: 'uppercase' }}>{r}</div>
-              <button
-                onClick={() => onPick(r)}
-                style={{
-                  background: 'none', border: 'none', cursor: 'pointer', padding: 0, textAlign: 'left', width: '100%',
-                  marginTop: '2px',
-                  fontFamily: 'var(--font-mono)', fontSize: '11px', color: isNull ? '#333' : '#888',
-                  overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap'
-                }}
-              >
-                {JSON.stringify(val) ?? "null"}
-              </button>
-            </div>
-          );
-        })}
+      <div style={{ display: 'flex', alignItems: 'center', gap: '6px', flexWrap: 'wrap' }}>
+        <div style={{ fontSize: '10px', fontWeight: 400, color: '#555', letterSpacing: '1px', textTransform: 'uppercase', marginRight: '4px' }}>scenario</div>
+        <select value={active?.id || ''} onChange={(e) => onActivate(e.target.value)} style={selectStyle}>
+          {scenarios.map((sc) => <option key={sc.id} value={sc.id}>{sc.name}</option>)}
+        </select>
+        <Button variant="secondary" onClick={() => setShowInputs(!showInputs)}>{showInputs ? 'hide inputs' : 'inputs'}</Button>
+        <Button variant="secondary" onClick={() => onAdd(null)}>new</Button>
+        <Button variant="secondary" onClick={() => onAdd(active)}>copy</Button>
+        <Button variant="secondary" onClick={() => onRename(active)}>rename</Button>
+        <Button variant="danger" onClick={() => onDelete(active)} disabled={scenarios.length < 2}>delete</Button>
+        <div style={{ height: '12px', width: '1px', background: '#222', margin: '0 4px' }}></div>
+        <span style={{ fontSize: '10px', color: '#555' }}>compare with</span>
+        <select value={compareId || ''} onChange={(e) => onCompare(e.target.value || null)} style={selectStyle}>
+          <option value="">-</option>
+          {scenarios.filter((sc) => sc.id !== active?.id).map((sc) => <option key={sc.id} value={sc.id}>{sc.name}</option>)}
+        </select>
       </div>
+      {showInputs && active && (
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(180px, 1fr))', gap: '6px', marginTop: '10px' }}>
+          {inputRegs.map((reg) => (
+            <label key={reg} style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '10px', color: '#555', fontFamily: 'var(--font-mono)' }}>
+              <span style={{ width: '24px', textTransform: 'uppercase' }}>{reg}</span>
+              <input value={active.inputs[reg] || ''} onChange={(e) => onInputChange(reg, e.target.value)} placeholder="unset" style={inputStyle} />
+            </label>
+          ))}
+        </div>
+      )}
+      {(method.inputErrors || []).map((message) => (
+        <div key={message} style={{ marginTop: '6px', fontSize: '10px', fontFamily: 'var(--font-mono)', color: '#a66' }}>! input {message}</div>
+      ))}
+      {diverging && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '2px', marginTop: '8px', fontSize: '10px', fontFamily: 'var(--font-mono)', color: '#555' }}>
+          {divergingLines.length === 0 ? 'no diverging lines' : <span style={{ marginRight: '6px' }}>diverges on</span>}
+          {divergingLines.map((line) => (
+            <button key={line} onClick={() => onJump(line)} title={diverging[line].join(', ')}
+              style={{ background: 'none', border: 'none', cursor: 'pointer', padding: '2px 4px', fontFamily: 'var(--font-mono)', fontSize: '10px', color: '#777' }}>
+              L{line}
+            </button>
+          ))}
+        </div>
+      )}
     </div>
   );
 }
 
 // === AutosizeTextarea ===
-function AutosizeTextarea({ value, onChange, onKeyDown, onBlur, placeholder, style, "data-field": dataField }) {
+const AutosizeTextarea = React.forwardRef(function AutosizeTextarea({ value, onChange, onKeyDown, onBlur, placeholder, style, "data-field": dataField }, ref) {
   const textareaRef = useRef(null);
+  useImperativeHandle(ref, () => textareaRef.current);
 
   useEffect(() => {
     const el = textareaRef.current;
@@ -443,15 +4883,20 @@ function AutosizeTextarea({ value, onChange, onKeyDown, onBlur, placeholder, sty
       }}
     />
   );
-}
+});
 
 // --- NotebookLine ---
-function NotebookLine({ line, onUpdate, onKeyDown, setRegisterHover, snapshot }) {
+function NotebookLine({ line, onUpdate, onKeyDown, setRegisterHover, snapshot, heap, aliases, showSmali, diagnostics, divergence, isReached = true, pathSteps, jump, isSelected, isMarked, onSelect, onDragStart, focusRequest }) {
   const [isEditingNotes, setIsEditingNotes] = useState(false);
   const [isEditingScript, setIsEditingScript] = useState(false);
   const notesTextareaRef = useRef(null);
   const scriptTextareaRef = useRef(null);
 
+  useEffect(() => {
+    if (focusRequest?.field === "notes") setIsEditingNotes(true);
+    if (focusRequest?.field === "script") setIsEditingScript(true);
+  }, [focusRequest]);
+
   useEffect(() => {
     if (isEditingScript && scriptTextareaRef.current) {
       scriptTextareaRef.current.focus();
@@ -464,47 +4909,80 @@ function NotebookLine({ line, onUpdate, onKeyDown, setRegisterHover, snapshot })
     }
   }, [isEditingNotes]);
 
+  const worstDiagnostic = Object.keys(DIAGNOSTIC_KINDS).find((kind) => diagnostics?.some((d) => d.kind === kind));
+
+  // Registers and the aliases active on this line both render as register chips
+  const aliasNames = Object.keys(aliases?.byName || {});
+  const registerTokenRe = new RegExp(`(\\b(?:v|p)\\d+\\b${aliasNames.map((n) => `|(?<![\\w$/:>])${n.replace(/\$/g, "\\$")}(?![\\w$])`).join("")})`, "g");
+
+  const renderRegisterTokens = (text, isEditing, chipStyle) => text.split(registerTokenRe).map((part, i) => {
+    const reg = i % 2 === 0 ? null : isReg(part) ? part : aliases?.byName[part];
+    if (!reg) return part;
+    const alias = aliases?.byReg[reg];
+    return (
+      <span
+        key={i}
+        onMouseEnter={(e) => {
+          if (isEditing) return;
+          const rect = e.target.getBoundingClientRect();
+          setRegisterHover({
+            reg,
+            alias,
+            line: line.index,
+            value: snapshot ? snapshot[reg] : undefined,
+            heap,
+            observed: line.observed?.[reg],
+            x: rect.left,
+            y: rect.top - 40,
+          });
+        }}
+        style={{ padding: "0 3px", background: "#1a1a1a", color: "#777", margin: '0 1px', ...chipStyle }}
+      >
+        {part}
+        {alias && part === reg && <span style={{ color: '#555' }}>:{alias}</span>}
+      </span>
+    );
+  });
+
   const renderNotes = () => {
     if (!line.notes) {
       return <span style={{ color: '#333', fontStyle: 'normal', fontSize: '11px' }}>...</span>;
     }
-    return line.notes.split(/(\b(?:v|p)\d+\b)/g).map((part, i) => {
-      if (isReg(part)) {
-        return (
-          <span
-            key={i}
-            onMouseEnter={(e) => {
-              if (isEditingNotes) return;
-              const rect = e.target.getBoundingClientRect();
-              setRegisterHover({
-                reg: part,
-                line: line.index,
-                value: snapshot ? snapshot[part] : undefined,
-                x: rect.left,
-                y: rect.top - 40,
-              });
-            }}
-            style={{
-              padding: "0 3px",
-              fontFamily: 'var(--font-mono)', fontSize: '11px',
-              background: "#1a1a1a", color: "#777",
-              margin: '0 1px'
-            }}
-          >
-            {part}
-          </span>
-        );
-      }
-      return part;
-    });
+    return renderRegisterTokens(line.notes, isEditingNotes, { fontFamily: 'var(--font-mono)', fontSize: '11px' });
   };
 
   return (
     <div
-      style={{ display: "grid", gridTemplateColumns: "24px 1fr 1fr", gap: '12px', alignItems: "start", padding: '8px 12px', borderBottom: "1px solid #1a1a1a" }}
+      style={{ display: "grid", gridTemplateColumns: showSmali ? "24px 1fr 1fr 1fr" : "24px 1fr 1fr", gap: '12px', alignItems: "start", padding: '8px 12px', borderBottom: "1px solid #1a1a1a", background: isSelected || isMarked ? '#131313' : 'transparent', boxShadow: isSelected ? 'inset 2px 0 0 #555' : 'none', opacity: isReached ? 1 : 0.35 }}
       onMouseLeave={() => setRegisterHover(null)}
     >
-      <div style={{ fontSize: '10px', color: '#333', paddingTop: '8px', fontFamily: 'var(--font-mono)' }}>{line.index}</div>
+      <div
+        onClick={onSelect}
+        draggable
+        onDragStart={onDragStart}
+        title="click: show registers at this line, ctrl/shift+click: select lines, drag: move"
+        style={{ fontSize: '10px', color: isSelected || isMarked ? '#999' : '#333', paddingTop: '8px', fontFamily: 'var(--font-mono)', cursor: 'grab', userSelect: 'none' }}
+      >
+        {line.index}
+        {worstDiagnostic && <div style={{ color: DIAGNOSTIC_KINDS[worstDiagnostic].color }}>{DIAGNOSTIC_KINDS[worstDiagnostic].mark}</div>}
+        {pathSteps?.length > 1 && (
+          <div title={`path steps ${pathSteps.slice(0, 20).join(", ")}${pathSteps.length > 20 ? ", ..." : ""}`} style={{ color: '#555', fontSize: '9px' }}>×{pathSteps.length}</div>
+        )}
+        {jump && (
+          <div title={`jumped to L${jump.to} ${jump.taken} of ${pathSteps?.length || 0} times`} style={{ color: '#666', fontSize: '9px' }}>→{jump.to}</div>
+        )}
+        {divergence && <div title={`differs in the compared scenario: ${divergence.join(", ")}`} style={{ color: '#888' }}>≠</div>}
+      </div>
+
+      {/* Smali Column - only for imported methods */}
+      {showSmali && (
+        <div style={{ padding: '6px 8px', fontFamily: 'var(--font-mono)', fontSize: '11px', lineHeight: '1.5', whiteSpace: 'pre-wrap', wordBreak: 'break-all', color: '#777' }}>
+          {(line.labels || []).map((label) => (
+            <div key={label} style={{ color: '#444' }}>{label}</div>
+          ))}
+          {line.smali || <span style={{ color: '#333' }}>...</span>}
+        </div>
+      )}
 
       {/* Notes Column - First */}
       <div style={{ position: "relative", minHeight: '50px' }}>
@@ -559,111 +5037,299 @@ function NotebookLine({ line, onUpdate, onKeyDown, setRegisterHover, snapshot })
             onClick={() => { setIsEditingScript(true); setRegisterHover(null); }}
             style={{ cursor: 'text', minHeight: '38px', fontFamily: 'var(--font-mono)', fontSize: '11px', lineHeight: '1.5', whiteSpace: 'pre-wrap', color: '#888' }}
           >
-            {line.script ? line.script.split(/(\b(?:v|p)\d+\b)/g).map((part, i) => {
-              if (isReg(part)) {
-                return (
-                  <span
-                    key={i}
-                    onMouseEnter={(e) => {
-                      if (isEditingScript) return;
-                      const rect = e.target.getBoundingClientRect();
-                      setRegisterHover({
-                        reg: part,
-                        line: line.index,
-                        value: snapshot ? snapshot[part] : undefined,
-                        x: rect.left,
-                        y: rect.top - 40,
-                      });
-                    }}
-                    style={{
-                      padding: "0 3px",
-                      background: "#1a1a1a", color: "#777",
-                      margin: '0 1px'
-                    }}
-                  >
-                    {part}
-                  </span>
-                );
-              }
-              return part;
-            }) : <span style={{ color: '#333' }}>...</span>}
+            {line.script ? renderRegisterTokens(line.script, isEditingScript) : <span style={{ color: '#333' }}>...</span>}
           </div>
         )}
+        {(diagnostics || []).map((d, i) => (
+          <div key={i} style={{ marginTop: '4px', fontSize: '9px', fontFamily: 'var(--font-mono)', color: DIAGNOSTIC_KINDS[d.kind].color }}>
+            {DIAGNOSTIC_KINDS[d.kind].mark} {d.message}
+          </div>
+        ))}
       </div>
     </div>
   );
 }
 
 // --- Method Notebook View ---
-function MethodNotebookView({ methodObject, onBack, onUpdateMethod }) {
+function MethodNotebookView({ methodObject, classObject, focusLine, onSelectLine, onBack, onUpdateMethod, nameMode, onNameModeChange }) {
   const [method, setMethod] = useState(shallowCopyState(methodObject));
   const [pickedReg, setPickedReg] = useState(null);
   const [registerHover, setRegisterHover] = useState(null);
   const [importTrigger, setImportTrigger] = useState(0);
+  const [isImportingSmali, setIsImportingSmali] = useState(false);
+  const [isImportingTrace, setIsImportingTrace] = useState(false);
+  const [selectedLineId, setSelectedLineId] = useState(null);
+  const [markedLineIds, setMarkedLineIds] = useState([]);
+  const [pendingFocus, setPendingFocus] = useState(null);
+  const [compareScenarioId, setCompareScenarioId] = useState(null);
+  const dragLineIds = useRef([]);
+  const methodRef = useRef(method);
+  const historyRef = useRef(createHistory());
+  const lastSentRef = useRef(null);
+  const onSelectLineRef = useRef(onSelectLine);
+  const onUpdateMethodRef = useRef(onUpdateMethod);
+  methodRef.current = method;
+  onSelectLineRef.current = onSelectLine;
+  onUpdateMethodRef.current = onUpdateMethod;
 
+  // Our own autosave comes back as a new methodObject; only outside changes reset the notebook
   useEffect(() => {
+    if (methodObject === lastSentRef.current) return;
     setMethod(shallowCopyState(methodObject));
+    historyRef.current = createHistory();
   }, [methodObject]);
 
+  // Ctrl+Z / Ctrl+Shift+Z everywhere but the modals; up/down step through lines
+  // unless a field has focus; Alt+up/down and Delete act on the selection
+  useEffect(() => {
+    function handleKeyDown(e) {
+      const inField = ["TEXTAREA", "INPUT"].includes(e.target?.tagName);
+      const key = e.key.toLowerCase();
+      if ((e.ctrlKey || e.metaKey) && (key === "z" || key === "y") && (!inField || e.target.closest?.("[data-line-id]"))) {
+        e.preventDefault();
+        if (key === "y" || e.shiftKey) redo();
+        else undo();
+        return;
+      }
+      if (inField) return;
+      if (e.altKey && (e.key === "ArrowDown" || e.key === "ArrowUp")) {
+        e.preventDefault();
+        moveSelectedLines(lineOpTargets(), e.key === "ArrowDown" ? 1 : -1);
+      } else if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        e.preventDefault();
+        stepLine(e.key === "ArrowDown" ? 1 : -1);
+      } else if (e.key === "Delete") {
+        removeLines(lineOpTargets());
+      } else if (e.key === "Escape") {
+        setSelectedLineId(null);
+        setMarkedLineIds([]);
+      }
+    }
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  });
+
+  useEffect(() => {
+    const line = focusLine && methodRef.current.lines.find((l) => Number(l.index) === focusLine.index);
+    if (line) setSelectedLineId(line.id);
+  }, [focusLine]);
+
+  useEffect(() => {
+    const el = selectedLineId && document.querySelector(`div[data-line-id="${selectedLineId}"]`);
+    if (el) el.scrollIntoView({ block: "nearest" });
+  }, [selectedLineId]);
+
+  // Declared fields, or with chaining the fields the previous method left. The
+  // class comes back as a new object after every autosave, so the state is
+  // keyed by its contents and only changes when they do.
+  const classStateKey = useMemo(() => {
+    const pos = classObject.methods.findIndex((m) => m.id === method.id);
+    return JSON.stringify(classEntryState(classObject, classObject.methods[pos - 1]));
+  }, [classObject, method.id]);
+  const classState = useMemo(() => JSON.parse(classStateKey), [classStateKey]);
+
+  // Only what a run reads, so storing its results does not start another run
+  const runInputsKey = useMemo(() => JSON.stringify({
+    lines: (method.lines || []).map(l => ({ id: l.id, index: l.index, script: l.script, smali: l.smali, notes: l.notes, observed: l.observed })),
+    aliases: method.aliases || [],
+    scenarios: method.scenarios || [],
+    activeScenarioId: method.activeScenarioId,
+  }), [method.lines, method.aliases, method.scenarios, method.activeScenarioId]);
+
   useEffect(() => {
-    const copy = shallowCopyState(method);
-    recomputeAllSnapshots(copy);
+    const copy = shallowCopyState(methodRef.current);
+    recomputeAllSnapshots(copy, classState);
     setMethod(copy);
-  }, [JSON.stringify((method.lines || []).map(l => ({ id: l.id, index: l.index, script: l.script })))]);
+  }, [runInputsKey, classState]);
 
   useEffect(() => {
     const t = setTimeout(() => {
-      onUpdateMethod(method);
+      lastSentRef.current = method;
+      onUpdateMethodRef.current(method);
     }, 300);
     return () => clearTimeout(t);
   }, [method]);
 
+  // Every user edit goes through here so it can be undone. Edits sharing a
+  // coalesce key (typing into one field) merge while they keep coming.
+  function editMethod(updater, coalesceKey = null) {
+    const prev = methodRef.current;
+    const next = updater(prev);
+    if (next === prev) return;
+    historyRef.current = recordEdit(historyRef.current, prev, coalesceKey);
+    methodRef.current = next;
+    setMethod(next);
+  }
+
+  function undo() {
+    restoreHistory(undoEdit(historyRef.current, methodRef.current));
+  }
+
+  function redo() {
+    restoreHistory(redoEdit(historyRef.current, methodRef.current));
+  }
+
+  function restoreHistory(step) {
+    if (!step) return;
+    historyRef.current = step.history;
+    methodRef.current = step.state;
+    setMethod(step.state);
+  }
+
   function updateLine(lineId, patch) {
-    setMethod((prev) => {
+    editMethod((prev) => {
       const newLines = prev.lines.map((l) => (l.id === lineId ? { ...l, ...patch } : l));
       return { ...prev, lines: newLines, lastSavedAt: Date.now() };
+    }, `${lineId}:${Object.keys(patch).join(",")}`);
+  }
+
+  // Returns whether the alias was added, so the form knows to clear itself
+  function addAlias(alias) {
+    const problem = validateAlias(alias, method);
+    if (problem) {
+      alert(`Cannot add alias: ${problem}`);
+      return false;
+    }
+    editMethod((prev) => ({ ...prev, aliases: [...(prev.aliases || []), alias], lastSavedAt: Date.now() }));
+    return true;
+  }
+
+  function removeAlias(aliasId) {
+    editMethod((prev) => ({ ...prev, aliases: (prev.aliases || []).filter((a) => a.id !== aliasId), lastSavedAt: Date.now() }));
+  }
+
+  function addScenario(copyFrom) {
+    const name = window.prompt("Scenario name:", copyFrom ? `${copyFrom.name} copy` : `scenario ${(method.scenarios || []).length + 1}`);
+    if (!name || !name.trim()) return;
+    const scenario = createScenario(name.trim(), copyFrom ? { ...copyFrom.inputs } : {});
+    editMethod((prev) => ({ ...prev, scenarios: [...(prev.scenarios || []), scenario], activeScenarioId: scenario.id, lastSavedAt: Date.now() }));
+  }
+
+  function renameScenario(scenario) {
+    const name = window.prompt("Scenario name:", scenario.name);
+    if (!name || !name.trim()) return;
+    editMethod((prev) => ({
+      ...prev,
+      scenarios: prev.scenarios.map((s) => (s.id === scenario.id ? { ...s, name: name.trim() } : s)),
+      lastSavedAt: Date.now(),
+    }));
+  }
+
+  function deleteScenario(scenario) {
+    if ((method.scenarios || []).length < 2) return;
+    if (!window.confirm(`Delete scenario "${scenario.name}"?`)) return;
+    if (compareScenarioId === scenario.id) setCompareScenarioId(null);
+    editMethod((prev) => {
+      const scenarios = prev.scenarios.filter((s) => s.id !== scenario.id);
+      const activeScenarioId = prev.activeScenarioId === scenario.id ? scenarios[0].id : prev.activeScenarioId;
+      return { ...prev, scenarios, activeScenarioId, lastSavedAt: Date.now() };
     });
   }
 
+  function activateScenario(id) {
+    if (compareScenarioId === id) setCompareScenarioId(method.activeScenarioId);
+    editMethod((prev) => ({ ...prev, activeScenarioId: id }));
+  }
+
+  function setScenarioInput(reg, source) {
+    const id = method.activeScenarioId;
+    editMethod((prev) => ({
+      ...prev,
+      scenarios: prev.scenarios.map((s) => (s.id === id ? { ...s, inputs: { ...s.inputs, [reg]: source } } : s)),
+      lastSavedAt: Date.now(),
+    }), `scenario:${id}:${reg}`);
+  }
+
+  function changeLines(transform) {
+    editMethod((prev) => ({ ...prev, lines: transform(prev.lines || []), lastSavedAt: Date.now() }));
+  }
+
+  // Structural edits apply to the marked lines when the line is one of them
+  function lineOpTargets(lineId = selectedLineId) {
+    if (lineId && markedLineIds.includes(lineId)) return markedLineIds;
+    if (!lineId && markedLineIds.length) return markedLineIds;
+    return lineId ? [lineId] : [];
+  }
+
+  function insertBlankLine(anchorId, where, field) {
+    const newLine = createBlankLine();
+    changeLines((lines) => insertLines(lines, anchorId, where, [newLine]));
+    if (field) setPendingFocus({ lineId: newLine.id, field });
+    return newLine;
+  }
+
+  function removeLines(ids, field) {
+    if (ids.length === 0) return;
+    const doomed = (method.lines || []).filter((l) => ids.includes(l.id));
+    const hasContent = doomed.some((l) => (l.notes || "").trim() || (l.script || "").trim() || l.smali);
+    if (hasContent && !window.confirm(`Delete ${doomed.length === 1 ? "this line" : `${doomed.length} lines`}?`)) return;
+    const remaining = sortedLines.filter((l) => !ids.includes(l.id));
+    const firstPos = sortedLines.findIndex((l) => ids.includes(l.id));
+    const next = remaining[Math.min(firstPos, remaining.length - 1)];
+    changeLines((lines) => deleteLines(lines, ids));
+    setMarkedLineIds((prev) => prev.filter((id) => !ids.includes(id)));
+    if (ids.includes(selectedLineId)) setSelectedLineId(next ? next.id : null);
+    if (field && next) setPendingFocus({ lineId: next.id, field });
+  }
+
+  function moveSelectedLines(ids, delta) {
+    if (ids.length === 0) return;
+    changeLines((lines) => moveLines(lines, ids, delta));
+  }
+
+  function handleLineClick(e, line) {
+    if (e.shiftKey && selectedLineId) {
+      const from = sortedLines.findIndex((l) => l.id === selectedLineId);
+      const to = sortedLines.findIndex((l) => l.id === line.id);
+      setMarkedLineIds(sortedLines.slice(Math.min(from, to), Math.max(from, to) + 1).map((l) => l.id));
+      return;
+    }
+    if (e.ctrlKey || e.metaKey) {
+      setMarkedLineIds((prev) => {
+        const base = prev.length === 0 && selectedLineId ? [selectedLineId] : prev;
+        return base.includes(line.id) ? base.filter((id) => id !== line.id) : [...base, line.id];
+      });
+      return;
+    }
+    setMarkedLineIds([]);
+    setSelectedLineId(line.id === selectedLineId ? null : line.id);
+  }
+
+  function handleLineDrop(targetId) {
+    const ids = dragLineIds.current;
+    dragLineIds.current = [];
+    if (ids.length) changeLines((lines) => moveLinesTo(lines, ids, targetId));
+  }
+
   function handleLineKeyDown(e, lineId, field) {
-    if (e.key === "Enter" && !e.shiftKey) {
+    const mod = e.ctrlKey || e.metaKey;
+    if (mod && e.key === "Enter") {
       e.preventDefault();
-      setTimeout(() => {
-        setMethod((prev) => {
-          const currentIndex = prev.lines.findIndex(l => l.id === lineId);
-          if (currentIndex === -1) return prev;
-          if (currentIndex === prev.lines.length - 1) {
-            const newIndex = prev.lines.length > 0 ? Math.max(...prev.lines.map(l => Number(l.index))) + 1 : 1;
-            const newLine = { id: uid(), index: newIndex, notes: "", script: "" };
-            const updated = { ...prev, lines: [...prev.lines, newLine] };
-            setTimeout(() => {
-              const container = document.querySelector(`div[data-line-id="${newLine.id}"]`);
-              if (container) {
-                const nextInput = container.querySelector(`textarea[data-field="${field}"]`);
-                if (nextInput) nextInput.focus();
-              }
-            }, 50);
-            return updated;
-          } else {
-            const nextLine = prev.lines[currentIndex + 1];
-            setTimeout(() => {
-              const container = document.querySelector(`div[data-line-id="${nextLine.id}"]`);
-              if (container) {
-                const nextInput = container.querySelector(`textarea[data-field="${field}"]`);
-                if (nextInput) nextInput.focus();
-              }
-            }, 50);
-            return prev;
-          }
-        });
-      }, 0);
+      insertBlankLine(lineId, e.shiftKey ? "above" : "below", field);
+    } else if (mod && e.shiftKey && e.key.toLowerCase() === "d") {
+      e.preventDefault();
+      changeLines((lines) => duplicateLines(lines, lineOpTargets(lineId)));
+    } else if (mod && e.shiftKey && e.key.toLowerCase() === "k") {
+      e.preventDefault();
+      removeLines(lineOpTargets(lineId), field);
+    } else if (e.altKey && (e.key === "ArrowUp" || e.key === "ArrowDown")) {
+      e.preventDefault();
+      moveSelectedLines(lineOpTargets(lineId), e.key === "ArrowDown" ? 1 : -1);
+      // Moving the row in the DOM can drop focus, so reopen the field
+      setPendingFocus({ lineId, field });
+    } else if (e.key === "Enter" && !e.shiftKey) {
+      e.preventDefault();
+      const pos = sortedLines.findIndex((l) => l.id === lineId);
+      if (pos === -1) return;
+      if (pos === sortedLines.length - 1) insertBlankLine(lineId, "below", field);
+      else setPendingFocus({ lineId: sortedLines[pos + 1].id, field });
     } else if (e.key === "Escape") {
       e.target.blur?.();
     }
   }
 
   function addRegister(type) {
-    setMethod((prev) => {
+    editMethod((prev) => {
       const copy = shallowCopyState(prev);
       if (type === 'v') {
         copy.locals = (copy.locals || 0) + 1;
@@ -678,34 +5344,110 @@ function MethodNotebookView({ methodObject, onBack, onUpdateMethod }) {
   }
 
   function exportJSON() {
-    const data = JSON.stringify(method, null, 2);
-    const blob = new Blob([data], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `${method.name}-notebook.json`;
-    a.click();
-    URL.revokeObjectURL(url);
+    downloadFile(`${method.name}-notebook.json`, JSON.stringify(exportNotebook(method), null, 2));
+  }
+
+  function exportFrida() {
+    try {
+      const name = `${simpleClassName(classObject.realName)}.${method.name}`.replace(/[<>]/g, "");
+      downloadFile(`${name}-frida.js`, buildFridaHook(classObject, method), "text/javascript");
+    } catch (e) {
+      alert(`Cannot export a Frida hook: ${e.message}`);
+    }
   }
 
   function importJSON(file) {
     const reader = new FileReader();
     reader.onload = () => {
       try {
-        const importedMethod = JSON.parse(String(reader.result));
-        if (importedMethod && importedMethod.lines && importedMethod.name) {
-          setMethod(prev => ({ ...importedMethod, id: prev.id }));
-          setImportTrigger(prev => prev + 1);
-        } else {
-          alert("Invalid method notebook file.");
-        }
+        const importedMethod = parseNotebookFile(String(reader.result));
+        editMethod(prev => ({ ...importedMethod, id: prev.id }));
       } catch (e) {
-        alert("Invalid JSON file.");
+        alert(`Invalid method notebook file: ${e.message}`);
       }
+      setImportTrigger(prev => prev + 1);
     };
     reader.readAsText(file);
   }
 
+  function importTrace(entries, replace) {
+    const { lines, summary } = applyTrace(method.lines || [], entries, replace);
+    editMethod((prev) => ({ ...prev, lines, lastSavedAt: Date.now() }));
+    setIsImportingTrace(false);
+    if (summary.unresolved.length) {
+      alert(`Recorded values for ${summary.lines} lines. No line matches ${summary.unresolved.slice(0, 10).join(", ")}${summary.unresolved.length > 10 ? ", ..." : ""}.`);
+    }
+  }
+
+  // A notebook holds one method; several at once are imported from the class page
+  function importSmali(parsedMethods) {
+    if (parsedMethods.length > 1 && !window.confirm(
+      `The smali holds ${parsedMethods.length} methods. Only the first, "${parsedMethods[0].name}", goes into this notebook and the other ${parsedMethods.length - 1} are ignored. Continue?`,
+    )) return;
+    const hasWork = method.lines.some((l) => (l.notes || "").trim() || (l.script || "").trim());
+    if (hasWork && !window.confirm(`Replace the ${method.lines.length} existing lines with the imported smali?`)) return;
+    editMethod((prev) => applySmaliToMethod(shallowCopyState(prev), parsedMethods[0]));
+    setIsImportingSmali(false);
+  }
+
+  const sortedLines = sortLines(method.lines);
+  const scrubber = scrubberView(method, selectedLineId);
+  const { lineIndexes, selectedLine, selectedPos, changedRegs, changedFields } = scrubber;
+
+  useEffect(() => {
+    onSelectLineRef.current?.(selectedLine);
+  }, [selectedLine]);
+  const displayedState = scrubber.state;
+  const displayedHeap = scrubber.heap;
+
+  // The compared scenario is run on the fly and never stored
+  const comparedScenario = (method.scenarios || []).find((s) => s.id === compareScenarioId && s.id !== method.activeScenarioId) || null;
+  const comparison = useMemo(() => {
+    if (!comparedScenario || !method.snapshots) return null;
+    const run = runScenario(method, comparedScenario);
+    return { run, diverging: compareScenarioRuns(method, run) };
+  }, [method, comparedScenario]);
+  const comparedState = comparison && (selectedPos === -1 ? comparison.run.finalState : comparison.run.snapshots[selectedLine] || {});
+  const comparedHeap = comparison && (selectedPos === -1 ? comparison.run.finalHeap : comparison.run.heaps[selectedLine]);
+  const comparedRegs = comparison
+    ? Object.keys({ ...displayedState, ...comparedState }).filter((r) => (
+      JSON.stringify(derefValue(displayedState[r] ?? null, displayedHeap)) !== JSON.stringify(derefValue(comparedState[r] ?? null, comparedHeap))
+    ))
+    : [];
+  const displayedAliases = aliasesAt(method.aliases, selectedPos === -1 ? lineIndexes[lineIndexes.length - 1] ?? 0 : selectedLine);
+  const isReached = (index) => !method.snapshots || index in method.snapshots;
+
+  // Step numbers (1-based) at which the path visits each line
+  const pathSteps = {};
+  (method.flow?.path || []).forEach((index, step) => {
+    (pathSteps[index] || (pathSteps[index] = [])).push(step + 1);
+  });
+
+  function setSelectedLine(index) {
+    setSelectedLineId(sortedLines.find((l) => Number(l.index) === index)?.id ?? null);
+  }
+
+  function stepLine(delta) {
+    if (lineIndexes.length) setSelectedLine(stepSelection(lineIndexes, selectedLine, delta));
+  }
+
+  const opTargets = lineOpTargets();
+
+  const showSmali = (method.lines || []).some((l) => l.smali);
+
+  const diagnosticCounts = {};
+  for (const list of Object.values(method.diagnostics || {})) {
+    for (const d of list) diagnosticCounts[d.kind] = (diagnosticCounts[d.kind] || 0) + 1;
+  }
+
+  // Cycles through the lines that have a diagnostic of this kind
+  function jumpToDiagnostic(kind) {
+    const hits = sortedLines.filter((l) => method.diagnostics?.[Number(l.index)]?.some((d) => d.kind === kind));
+    const next = hits.find((l) => Number(l.index) > (selectedLine ?? 0)) || hits[0];
+    if (next) setSelectedLineId(next.id);
+  }
+  const hoverValue = registerHover ? formatRegisterValue(registerHover.value, registerHover.heap) : null;
+
   return (
     <div style={{ height: "100vh", display: "flex", flexDirection: "column", gap: '12px', overflow: 'hidden', padding: '12px', boxSizing: 'border-box', background: '#0a0a0a' }}>
       <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', paddingBottom: '10px', borderBottom: '1px solid #1a1a1a' }}>
@@ -714,13 +5456,25 @@ function MethodNotebookView({ methodObject, onBack, onUpdateMethod }) {
             {'<'} back
           </button>
           <div style={{ height: '12px', width: '1px', background: '#222' }}></div>
-          <div style={{ fontWeight: 400, fontSize: '13px', color: '#888' }}>{method.name}</div>
+          <div style={{ fontWeight: 400, fontSize: '13px', color: '#888' }}>{displayMethodName(method, nameMode)}</div>
+          {Object.keys(DIAGNOSTIC_KINDS).filter((kind) => diagnosticCounts[kind]).map((kind) => (
+            <button key={kind} onClick={() => jumpToDiagnostic(kind)} title="jump to the next line with this problem"
+              style={{ background: 'none', border: 'none', padding: 0, cursor: 'pointer', fontSize: '10px', fontFamily: 'var(--font-mono)', color: DIAGNOSTIC_KINDS[kind].color }}>
+              {DIAGNOSTIC_KINDS[kind].mark} {diagnosticCounts[kind]} {DIAGNOSTIC_KINDS[kind].label}
+            </button>
+          ))}
         </div>
 
         <div style={{ display: "flex", gap: '6px' }}>
+          <NameModeToggle nameMode={nameMode} onChange={onNameModeChange} />
+          <Button variant="secondary" onClick={undo} disabled={historyRef.current.past.length === 0}>undo</Button>
+          <Button variant="secondary" onClick={redo} disabled={historyRef.current.future.length === 0}>redo</Button>
           <Button variant="secondary" onClick={() => addRegister('v')}>+v</Button>
           <Button variant="secondary" onClick={() => addRegister('p')}>+p</Button>
+          <Button variant="secondary" onClick={() => setIsImportingSmali(true)}>smali</Button>
+          <Button variant="secondary" onClick={() => setIsImportingTrace(true)}>trace</Button>
           <Button variant="secondary" onClick={exportJSON}>export</Button>
+          <Button variant="secondary" onClick={exportFrida}>frida</Button>
           <label style={{ cursor: 'pointer', display: 'flex' }}>
             <div style={{ padding: "6px 12px", fontWeight: 400, fontSize: "11px", background: "#111", color: "#666", border: "1px solid #222", fontFamily: 'var(--font-mono)' }}>import</div>
             <input type="file" accept="application/json" style={{ display: "none" }} key={importTrigger}
@@ -736,34 +5490,102 @@ function MethodNotebookView({ methodObject, onBack, onUpdateMethod }) {
       <div style={{ display: "flex", gap: '12px', flex: 1, overflow: 'hidden' }}>
         {/* Main Notebook Area */}
         <div style={{ flex: 1, display: 'flex', flexDirection: 'column', height: '100%' }}>
-          <LiveGrid liveState={method.liveState} onPick={setPickedReg} />
+          <ScenarioPanel
+            method={method}
+            compareId={comparedScenario?.id}
+            diverging={comparison?.diverging}
+            onActivate={activateScenario}
+            onAdd={addScenario}
+            onRename={renameScenario}
+            onDelete={deleteScenario}
+            onInputChange={setScenarioInput}
+            onCompare={setCompareScenarioId}
+            onJump={setSelectedLine}
+          />
+
+          <div style={{ display: 'flex', gap: '12px' }}>
+            <div style={{ flex: 1, minWidth: 0 }}>
+              <LiveGrid
+                liveState={displayedState}
+                heap={displayedHeap}
+                aliases={displayedAliases.byReg}
+                observed={scrubber.observed}
+                onPick={setPickedReg}
+                changedRegs={changedRegs}
+                title={`${comparison ? `${activeScenario(method)?.name} ` : "registers "}${selectedPos === -1 ? "(final)" : `@L${selectedLine}`}${selectedPos !== -1 && !isReached(selectedLine) ? " not reached" : ""}`}
+              >
+                <div style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
+                  <Button variant="secondary" onClick={() => stepLine(-1)} disabled={selectedPos === 0}>{'<'} prev</Button>
+                  <Button variant="secondary" onClick={() => stepLine(1)} disabled={selectedPos === lineIndexes.length - 1}>next {'>'}</Button>
+                  <Button variant="secondary" onClick={() => setSelectedLine(null)} disabled={selectedPos === -1}>final</Button>
+                </div>
+              </LiveGrid>
+            </div>
+            {comparison && (
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <LiveGrid
+                  liveState={comparedState}
+                  heap={comparedHeap}
+                  aliases={displayedAliases.byReg}
+                  onPick={setPickedReg}
+                  changedRegs={comparedRegs}
+                  title={`${comparedScenario.name} ${selectedPos === -1 ? "(final)" : `@L${selectedLine}`}`}
+                />
+              </div>
+            )}
+          </div>
+          {displayedHeap?.classRef && <ClassFieldsGrid heap={displayedHeap} changed={changedFields} />}
 
           <div style={{ flex: 1, border: '1px solid #1a1a1a', display: 'flex', flexDirection: 'column', overflow: 'hidden', background: '#0c0c0c' }}>
-            <div style={{ padding: '8px 12px', borderBottom: "1px solid #1a1a1a", background: '#080808', display: 'grid', gridTemplateColumns: '24px 1fr 1fr', gap: '12px', fontSize: '9px', fontWeight: 400, color: '#444', textTransform: 'uppercase', letterSpacing: '1px' }}>
+            <div style={{ padding: '8px 12px', borderBottom: "1px solid #1a1a1a", background: '#080808', display: 'grid', gridTemplateColumns: showSmali ? '24px 1fr 1fr 1fr' : '24px 1fr 1fr', gap: '12px', fontSize: '9px', fontWeight: 400, color: '#444', textTransform: 'uppercase', letterSpacing: '1px' }}>
               <div>#</div>
+              {showSmali && <div>smali</div>}
               <div>notes</div>
               <div>script</div>
             </div>
+            {opTargets.length > 0 && (
+              <div style={{ padding: '6px 12px', borderBottom: "1px solid #1a1a1a", background: '#0a0a0a', display: 'flex', alignItems: 'center', gap: '4px' }}>
+                <span style={{ fontSize: '10px', color: '#555', marginRight: '8px' }}>
+                  {opTargets.length === 1 ? `L${sortedLines.find((l) => l.id === opTargets[0])?.index}` : `${opTargets.length} lines`}
+                </span>
+                <Button variant="secondary" onClick={() => insertBlankLine(opTargets[0], "above")}>insert above</Button>
+                <Button variant="secondary" onClick={() => insertBlankLine(opTargets[opTargets.length - 1], "below")}>insert below</Button>
+                <Button variant="secondary" onClick={() => changeLines((lines) => duplicateLines(lines, opTargets))}>duplicate</Button>
+                <Button variant="secondary" onClick={() => moveSelectedLines(opTargets, -1)}>up</Button>
+                <Button variant="secondary" onClick={() => moveSelectedLines(opTargets, 1)}>down</Button>
+                <Button variant="danger" onClick={() => removeLines(opTargets)}>delete</Button>
+              </div>
+            )}
             <div style={{ flex: 1, overflowY: 'auto' }}>
-              {(method.lines || []).sort((a, b) => Number(a.index) - Number(b.index)).map((line) => (
-                <div key={line.id} data-line-id={line.id}>
+              {sortedLines.map((line) => (
+                <div key={line.id} data-line-id={line.id} onDragOver={(e) => e.preventDefault()} onDrop={() => handleLineDrop(line.id)}>
                   <NotebookLine
                     line={line}
                     snapshot={method.snapshots ? method.snapshots[Number(line.index)] : {}}
+                    heap={method.heaps?.[Number(line.index)]}
+                    aliases={aliasesAt(method.aliases, Number(line.index))}
                     onUpdate={(patch) => updateLine(line.id, patch)}
                     onKeyDown={handleLineKeyDown}
                     setRegisterHover={setRegisterHover}
+                    showSmali={showSmali}
+                    diagnostics={method.diagnostics?.[Number(line.index)]}
+                    divergence={comparison?.diverging[Number(line.index)]}
+                    isReached={isReached(Number(line.index))}
+                    pathSteps={pathSteps[Number(line.index)]}
+                    jump={method.flow?.jumps[Number(line.index)]}
+                    isSelected={line.id === selectedLineId}
+                    isMarked={markedLineIds.includes(line.id)}
+                    onSelect={(e) => handleLineClick(e, line)}
+                    onDragStart={(e) => {
+                      dragLineIds.current = markedLineIds.includes(line.id) ? markedLineIds : [line.id];
+                      e.dataTransfer.effectAllowed = "move";
+                    }}
+                    focusRequest={pendingFocus?.lineId === line.id ? pendingFocus : null}
                   />
                 </div>
               ))}
               <div style={{ padding: '16px', textAlign: 'center' }}>
-                <Button variant="secondary" onClick={() => {
-                  setMethod(prev => {
-                    const newIndex = prev.lines.length > 0 ? Math.max(...prev.lines.map(l => Number(l.index))) + 1 : 1;
-                    const newLine = { id: uid(), index: newIndex, notes: "", script: "" };
-                    return { ...prev, lines: [...prev.lines, newLine], lastSavedAt: Date.now() };
-                  })
-                }}>+ line</Button>
+                <Button variant="secondary" onClick={() => insertBlankLine(null, "below")}>+ line</Button>
               </div>
             </div>
           </div>
@@ -771,15 +5593,26 @@ function MethodNotebookView({ methodObject, onBack, onUpdateMethod }) {
 
         {/* Inspector Sidebar */}
         <div style={{ width: '220px', display: 'flex', flexDirection: 'column', gap: '10px' }}>
-          <div style={{ padding: '12px', border: '1px solid #1a1a1a', flex: 1, background: '#0c0c0c' }}>
+          <div style={{ padding: '12px', border: '1px solid #1a1a1a', flex: 1, background: '#0c0c0c', overflowY: 'auto' }}>
             <div style={{ fontSize: '9px', fontWeight: 400, color: '#444', marginBottom: '10px', textTransform: 'uppercase', letterSpacing: '1px' }}>inspector</div>
             {pickedReg ? (
               <>
-                <div style={{ fontSize: '13px', color: '#777', marginBottom: '6px', fontFamily: 'var(--font-mono)' }}>{pickedReg}</div>
-                <div style={{ fontSize: '9px', color: '#444', margin: '12px 0 4px 0', textTransform: 'uppercase' }}>value</div>
-                <div style={{ padding: '8px', background: '#111', border: '1px solid #1a1a1a', fontFamily: 'var(--font-mono)', wordBreak: 'break-all', fontSize: '11px', color: '#666' }}>
-                  {JSON.stringify(method.liveState[pickedReg])}
+                <div style={{ fontSize: '13px', color: '#777', marginBottom: '6px', fontFamily: 'var(--font-mono)' }}>
+                  {pickedReg}{displayedAliases.byReg[pickedReg] && <span style={{ color: '#999' }}> {displayedAliases.byReg[pickedReg]}</span>} <span style={{ fontSize: '10px', color: '#444' }}>{selectedPos === -1 ? 'final' : `@L${selectedLine}`}</span>
                 </div>
+                <RegisterValueDetails value={displayedState[pickedReg]} heap={displayedHeap} />
+                {displayedState[pickedReg]?.ref !== undefined && (
+                  <HeapObjectView
+                    value={displayedState[pickedReg]}
+                    heap={displayedHeap}
+                    holders={Object.keys(displayedState).filter((r) => r !== pickedReg && displayedState[r]?.ref === displayedState[pickedReg].ref)}
+                    history={method.heapHistory?.[displayedState[pickedReg].ref]}
+                    selectedLine={selectedLine}
+                    onJump={setSelectedLine}
+                  />
+                )}
+                <RegisterHistory history={method.provenance?.[pickedReg]} selectedLine={selectedLine} onJump={setSelectedLine} />
+                <RegisterAliases key={pickedReg} reg={pickedReg} aliases={method.aliases} defaultFrom={selectedLine ?? 1} onAdd={addAlias} onRemove={removeAlias} />
               </>
             ) : (
               <div style={{ color: '#333', fontSize: '10px', lineHeight: '1.4' }}>
@@ -799,33 +5632,151 @@ function MethodNotebookView({ methodObject, onBack, onUpdateMethod }) {
           zIndex: 2000, pointerEvents: "none",
           maxWidth: '240px', wordBreak: 'break-word'
         }}>
-          <div style={{ color: '#666', marginBottom: '2px' }}>{registerHover.reg} @L{registerHover.line}</div>
-          <div style={{ color: '#888' }}>{JSON.stringify(registerHover.value)}</div>
+          <div style={{ color: '#666', marginBottom: '2px' }}>{registerHover.reg}{registerHover.alias && ` (${registerHover.alias})`} @L{registerHover.line}</div>
+          <div style={{ color: '#888' }}>{hoverValue.type} {hoverValue.text}</div>
+          {hoverValue.hex && <div style={{ color: '#555' }}>{hoverValue.hex}</div>}
+          {registerHover.observed !== undefined && (
+            <div style={{ color: observedValueMatches(registerHover.observed, derefValue(registerHover.value ?? null, registerHover.heap)) ? '#555' : '#a66' }}>
+              observed {formatRegisterValue(registerHover.observed).type} {formatRegisterValue(registerHover.observed).text}
+            </div>
+          )}
         </div>
       )}
+
+      {isImportingSmali && (
+        <SmaliImportModal
+          title="import smali method"
+          onClose={() => setIsImportingSmali(false)}
+          onImport={importSmali}
+        />
+      )}
+
+      {isImportingTrace && (
+        <TraceImportModal
+          hasObserved={(method.lines || []).some((l) => l.observed)}
+          onClose={() => setIsImportingTrace(false)}
+          onImport={importTrace}
+        />
+      )}
     </div>
   );
 }
 
 // === 5. APP ENTRY ===
 
+// --- Hash Routes ---
+// #/  #/dex  #/class/<id>  #/class/<id>/method/<id>  #/class/<id>/method/<id>/line/<n>
+function viewToHash(view) {
+  if (view.view === 'dexBrowser') return "#/dex";
+  if (view.view === 'classDetail') return `#/class/${encodeURIComponent(view.classId)}`;
+  if (view.view === 'methodNotebook') {
+    const base = `#/class/${encodeURIComponent(view.classId)}/method/${encodeURIComponent(view.methodId)}`;
+    return view.focusLine ? `${base}/line/${view.focusLine.index}` : base;
+  }
+  return "#/";
+}
+
+function hashToView(hash) {
+  const parts = hash.replace(/^#\/?/, "").split("/").filter(Boolean).map(decodeURIComponent);
+  if (parts[0] === "dex") return { view: 'dexBrowser' };
+  if (parts[0] !== "class" || !parts[1]) return { view: 'classList' };
+  if (parts[2] !== "method" || !parts[3]) return { view: 'classDetail', classId: parts[1] };
+  const line = parts[4] === "line" ? Number(parts[5]) : NaN;
+  return { view: 'methodNotebook', classId: parts[1], methodId: parts[3], focusLine: Number.isFinite(line) ? { index: line } : null };
+}
+
 export default function App() {
   const [classes, setClasses] = useState([]);
-  const [currentView, setCurrentView] = useState({ view: 'classList' });
+  const [trash, setTrash] = useState([]);
+  const [isLoaded, setIsLoaded] = useState(false);
+  const [currentView, setCurrentView] = useState(() => hashToView(window.location.hash));
+  const [nameMode, setNameMode] = useState(() => {
+    const saved = window.localStorage.getItem(NAME_MODE_KEY);
+    return NAME_MODES.includes(saved) ? saved : "friendly";
+  });
+
+  const [dexArchive, setDexArchive] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+
+  useEffect(() => {
+    function handleKeyDown(e) {
+      if ((e.ctrlKey || e.metaKey) && !e.shiftKey && e.key.toLowerCase() === "k") {
+        e.preventDefault();
+        setIsSearching(true);
+      }
+    }
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, []);
+
+  function handleSearchJump(result) {
+    setIsSearching(false);
+    if (result.kind === "class") navigate({ view: 'classDetail', classId: result.classId });
+    else navigate({ view: 'methodNotebook', classId: result.classId, methodId: result.methodId, focusLine: result.lineId ? { index: result.lineIndex } : null });
+  }
+
+  function handleNameModeChange(mode) {
+    setNameMode(mode);
+    window.localStorage.setItem(NAME_MODE_KEY, mode);
+  }
 
   useEffect(() => {
     (async () => {
       const data = await getDBData();
       if (data) setClasses(data);
+      setTrash(await getDBTrash());
+      setIsLoaded(true);
     })();
   }, []);
 
+  useEffect(() => {
+    const handleHashChange = () => setCurrentView(hashToView(window.location.hash));
+    window.addEventListener("hashchange", handleHashChange);
+    return () => window.removeEventListener("hashchange", handleHashChange);
+  }, []);
+
+  // Pushes a history entry; the hashchange listener then updates currentView.
+  // replace is for redirects and for tracking the selected line, which should
+  // not add back-button stops.
+  function navigate(view, { replace = false } = {}) {
+    const hash = viewToHash(view);
+    if (replace) {
+      window.history.replaceState(null, "", hash);
+      setCurrentView(view);
+    } else if (window.location.hash === hash) {
+      setCurrentView(view);
+    } else {
+      window.location.hash = hash;
+    }
+  }
+
+  // A link to a class or method that no longer exists falls back to the class
+  // list; the redirect waits for the workspace to load
+  const viewClass = classes.find(c => c.id === currentView.classId);
+  const viewMethod = viewClass?.methods.find(m => m.id === currentView.methodId);
+  const isMissingTarget = isLoaded && ((currentView.view === 'classDetail' && !viewClass) || (currentView.view === 'methodNotebook' && !viewMethod));
+  useEffect(() => {
+    if (!isMissingTarget) return;
+    const fallback = { view: 'classList' };
+    window.history.replaceState(null, "", viewToHash(fallback));
+    setCurrentView(fallback);
+  }, [isMissingTarget]);
+
+  function handleSelectLine(index) {
+    const focusLine = index == null ? null : { index };
+    window.history.replaceState(null, "", viewToHash({ ...currentView, focusLine }));
+  }
+
   useEffect(() => {
     const handler = setTimeout(() => {
-      if (classes.length > 0) setDBData(classes);
+      if (isLoaded) setDBData(classes);
     }, 1000);
     return () => clearTimeout(handler);
-  }, [classes]);
+  }, [classes, isLoaded]);
+
+  useEffect(() => {
+    if (isLoaded) setDBTrash(trash);
+  }, [trash, isLoaded]);
 
   function handleCreateClass(classData) {
     setClasses(prev => [...prev, createNewClass(classData)]);
@@ -835,39 +5786,178 @@ export default function App() {
     setClasses(prev => prev.map(cls => cls.id === classId ? { ...cls, methods: [...cls.methods, createNewMethod(methodName)] } : cls));
   }
 
+  // Names, field declarations and chaining all change what the methods start from
+  function handleEditClass(classId, fields) {
+    setClasses(prev => prev.map(cls => cls.id === classId ? recomputeClassMethods({ ...cls, ...fields }) : cls));
+  }
+
+  function handleDeleteClass(classId) {
+    const cls = classes.find(c => c.id === classId);
+    if (!cls || !window.confirm(`Move class "${cls.friendlyName}" and its ${cls.methods.length} methods to the trash?`)) return;
+    setTrash(prev => [createTrashEntry("class", cls, cls), ...prev]);
+    setClasses(prev => prev.filter(c => c.id !== classId));
+  }
+
+  function handleDuplicateClass(classId) {
+    setClasses(prev => {
+      const idx = prev.findIndex(c => c.id === classId);
+      return idx === -1 ? prev : [...prev.slice(0, idx + 1), duplicateClass(prev[idx]), ...prev.slice(idx + 1)];
+    });
+  }
+
+  function handleMoveClass(classId, delta) {
+    setClasses(prev => moveItem(prev, classId, delta));
+  }
+
+  function handleEditMethod(classId, methodId, { name, classId: targetClassId }) {
+    setClasses(prev => {
+      const renamed = prev.map(cls => cls.id !== classId ? cls : {
+        ...cls,
+        methods: cls.methods.map(m => m.id === methodId ? { ...m, name } : m),
+      });
+      return targetClassId === classId ? renamed : moveMethodToClass(renamed, methodId, targetClassId);
+    });
+  }
+
+  function handleDeleteMethod(classId, methodId) {
+    const cls = classes.find(c => c.id === classId);
+    const method = cls?.methods.find(m => m.id === methodId);
+    if (!method || !window.confirm(`Move method "${method.name}" to the trash?`)) return;
+    setTrash(prev => [createTrashEntry("method", method, cls), ...prev]);
+    setClasses(prev => removeMethodFromClass(prev, classId, methodId));
+  }
+
+  function handleDuplicateMethod(classId, methodId) {
+    setClasses(prev => duplicateMethodInClass(prev, classId, methodId));
+  }
+
+  function handleMoveMethod(classId, methodId, delta) {
+    setClasses(prev => prev.map(cls => {
+      if (cls.id !== classId) return cls;
+      const moved = { ...cls, methods: moveItem(cls.methods, methodId, delta) };
+      return cls.chainMethods ? recomputeClassMethods(moved) : moved;
+    }));
+  }
+
+  function handleRestoreTrash(entryId) {
+    const entry = trash.find(e => e.id === entryId);
+    if (!entry) return;
+    setClasses(prev => restoreTrashEntry(prev, entry));
+    setTrash(prev => prev.filter(e => e.id !== entryId));
+  }
+
+  // entryId null empties the whole trash
+  function handlePurgeTrash(entryId) {
+    const message = entryId ? "Permanently delete this item?" : `Permanently delete all ${trash.length} items in the trash?`;
+    if (!window.confirm(message)) return;
+    setTrash(prev => entryId ? prev.filter(e => e.id !== entryId) : []);
+  }
+
+  function handleImportSmaliMethods(classId, parsedMethods) {
+    const methods = parsedMethods.map(createMethodFromSmali);
+    setClasses(prev => prev.map(cls => cls.id === classId ? { ...cls, methods: [...cls.methods, ...methods] } : cls));
+  }
+
+  function handleImportWorkspace(incoming, mode, onConflict) {
+    setClasses(prev => mode === "replace" ? incoming : mergeWorkspace(prev, incoming, onConflict));
+  }
+
+  function handleImportMapping(mapping, trackPrefix) {
+    setClasses(prev => applyProguardMapping(prev, mapping, trackPrefix).classes);
+  }
+
+  function handleTrackDexClass(dexClass, dexMethods) {
+    setClasses(prev => addTrackedMethods(prev, dexClass.descriptor, dexMethods.map(createMethodFromDex)));
+  }
+
+  function handleImportSmaliClasses(selection) {
+    setClasses(prev => selection.reduce(
+      (acc, { descriptor, methods }) => addTrackedMethods(acc, descriptor, methods.map(createMethodFromSmali)),
+      prev,
+    ));
+  }
+
   function handleUpdateMethod(updatedMethod) {
     setClasses(prev => prev.map(cls => {
       const idx = cls.methods.findIndex(m => m.id === updatedMethod.id);
       if (idx === -1) return cls;
       const newMethods = [...cls.methods];
       newMethods[idx] = updatedMethod;
-      return { ...cls, methods: newMethods };
+      // Chained methods after this one start from its new final fields
+      return cls.chainMethods ? recomputeClassMethods({ ...cls, methods: newMethods }, idx + 1) : { ...cls, methods: newMethods };
     }));
   }
 
   function renderCurrentView() {
+    if (!isLoaded || isMissingTarget) return null;
     if (currentView.view === 'methodNotebook') {
-      const cls = classes.find(c => c.id === currentView.classId);
-      const method = cls?.methods.find(m => m.id === currentView.methodId);
-      if (!method) return setCurrentView({ view: 'classList' });
-      return <MethodNotebookView methodObject={method} onUpdateMethod={handleUpdateMethod} onBack={() => setCurrentView({ view: 'classDetail', classId: cls.id })} />;
+      const cls = viewClass;
+      const method = viewMethod;
+      return <MethodNotebookView key={method.id} methodObject={method} classObject={cls} focusLine={currentView.focusLine} onSelectLine={handleSelectLine} nameMode={nameMode} onNameModeChange={handleNameModeChange} onUpdateMethod={handleUpdateMethod} onBack={() => navigate({ view: 'classDetail', classId: cls.id })} />;
+    }
+    if (currentView.view === 'dexBrowser') {
+      return <DexBrowserView dexArchive={dexArchive} classes={classes} onLoad={setDexArchive} onTrack={handleTrackDexClass} onBack={() => navigate({ view: 'classList' })} />;
     }
     if (currentView.view === 'classDetail') {
-      const cls = classes.find(c => c.id === currentView.classId);
-      if (!cls) return setCurrentView({ view: 'classList' });
+      const cls = viewClass;
       return <ClassDetailView
         classObject={cls}
-        onBack={() => setCurrentView({ view: 'classList' })}
+        classes={classes}
+        nameMode={nameMode}
+        onNameModeChange={handleNameModeChange}
+        onBack={() => navigate({ view: 'classList' })}
         onCreateMethod={(name) => handleCreateMethod(cls.id, name)}
-        onSelectMethod={(mId) => setCurrentView({ view: 'methodNotebook', classId: cls.id, methodId: mId })}
+        onImportSmali={(parsed) => handleImportSmaliMethods(cls.id, parsed)}
+        onEditClass={(fields) => handleEditClass(cls.id, fields)}
+        onEditMethod={(methodId, changes) => handleEditMethod(cls.id, methodId, changes)}
+        onDuplicateMethod={(methodId) => handleDuplicateMethod(cls.id, methodId)}
+        onMoveMethod={(methodId, delta) => handleMoveMethod(cls.id, methodId, delta)}
+        onDeleteMethod={(methodId) => handleDeleteMethod(cls.id, methodId)}
+        onSelectMethod={(mId) => navigate({ view: 'methodNotebook', classId: cls.id, methodId: mId })}
       />;
     }
-    return <ClassListView classes={classes} onCreateClass={handleCreateClass} onSelectClass={(id) => setCurrentView({ view: 'classDetail', classId: id })} />;
+    return <ClassListView
+      classes={classes}
+      trash={trash}
+      nameMode={nameMode}
+      onNameModeChange={handleNameModeChange}
+      onCreateClass={handleCreateClass}
+      onEditClass={handleEditClass}
+      onDeleteClass={handleDeleteClass}
+      onDuplicateClass={handleDuplicateClass}
+      onMoveClass={handleMoveClass}
+      onRestoreTrash={handleRestoreTrash}
+      onPurgeTrash={handlePurgeTrash}
+      onImportWorkspace={handleImportWorkspace}
+      onImportMapping={handleImportMapping}
+      onImportSmaliClasses={handleImportSmaliClasses}
+      onOpenDex={() => navigate({ view: 'dexBrowser' })}
+      onSearch={() => setIsSearching(true)}
+      onSelectClass={(id) => navigate({ view: 'classDetail', classId: id })}
+    />;
   }
 
   return (
     <div style={{ minHeight: '100vh', padding: currentView.view === 'methodNotebook' ? 0 : '40px' }}>
       {renderCurrentView()}
+      {isSearching && (
+        <GlobalSearchModal classes={classes} nameMode={nameMode} onJump={handleSearchJump} onClose={() => setIsSearching(false)} />
+      )}
     </div>
   );
-}
\ No newline at end of file
+}
+// The pure helpers below are exported for the tests alongside the app
+export {
+  createNewMethod, createNewClass, recomputeAllSnapshots, recomputeClassMethods, moveMethodToClass, removeMethodFromClass, duplicateMethodInClass,
+  createTrashEntry, restoreTrashEntry,
+  createScenario, runScenario, compareScenarioRuns,
+  executeInstruction, formatRegisterValue, evaluateExpression, migrateLegacyScript, parseSmaliMethods, createMethodFromSmali,
+  parseSmaliClass, loadSmaliClasses, addTrackedMethods,
+  createHistory, recordEdit, undoEdit, redoEdit, scrubberView, stepSelection,
+  insertLines, deleteLines, duplicateLines, moveLines, moveLinesTo, workspaceToRecords, recordsToWorkspace,
+  searchWorkspace, validateAlias, resolveAliases,
+  buildFridaHook, instructionUnits, parseTrace, applyTrace, buildAnnotatedSmali, buildMarkdownReport, buildHtmlReport,
+  exportWorkspace, parseWorkspaceFile, exportNotebook, parseNotebookFile, findWorkspaceConflicts, mergeWorkspace, parseProguardMapping, applyProguardMapping,
+  parseDex, readZipEntries, createMethodFromDex,
+  viewToHash, hashToView,
+};
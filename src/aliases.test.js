@@ -0,0 +1,33 @@
+import { createNewMethod, recomputeAllSnapshots, resolveAliases, validateAlias } from "./App";
+
+function methodWithAliases(aliases, scripts) {
+  const method = { ...createNewMethod(), aliases };
+  method.lines = scripts.map((script, i) => ({ id: `l${i}`, index: i + 1, notes: "", script }));
+  recomputeAllSnapshots(method);
+  return method;
+}
+
+describe("register aliases", () => {
+  test("names are replaced outside literals and member references", () => {
+    const byName = { key: "v1", a: "v2" };
+    expect(resolveAliases('key = key + 1; v0 = "key"', byName)).toBe('v1 = v1 + 1; v0 = "key"');
+    expect(resolveAliases("iget v0, a, Lfoo;->a:I", byName)).toBe("iget v0, v2, Lfoo;->a:I");
+    expect(resolveAliases("keys = 1", byName)).toBe("keys = 1");
+  });
+
+  test("aliases are only valid for declared registers and free ranges", () => {
+    const method = { ...createNewMethod(), aliases: [{ id: "a1", reg: "v1", name: "key", from: 1, to: 4 }] };
+    expect(validateAlias({ id: "a2", reg: "v2", name: "null", from: 1, to: null }, method)).toBe('"null" cannot be used as an alias');
+    expect(validateAlias({ id: "a2", reg: "v9", name: "iv", from: 1, to: null }, method)).toMatch(/^v9 is outside/);
+    expect(validateAlias({ id: "a2", reg: "v2", name: "iv", from: 3, to: 2 }, method)).toBe("the range must end at or after its first line");
+    expect(validateAlias({ id: "a2", reg: "v2", name: "key", from: 4, to: null }, method)).toBe('overlaps "key" (v1, L1-4)');
+    expect(validateAlias({ id: "a2", reg: "v2", name: "key", from: 5, to: null }, method)).toBeNull();
+  });
+
+  test("scripts use an alias only on the lines it covers", () => {
+    const method = methodWithAliases([{ id: "a1", reg: "v1", name: "key", from: 1, to: 1 }], ["key = 7", "key = 8"]);
+    expect(method.snapshots[1].v1).toEqual({ type: "int", value: 7 });
+    expect(method.snapshots[2].v1).toEqual({ type: "int", value: 7 });
+    expect(method.diagnostics[2]).toEqual([{ kind: "range", message: '"key" names v1 only on lines 1-1' }]);
+  });
+});
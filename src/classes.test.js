@@ -0,0 +1,147 @@
+import {
+  createNewClass, createNewMethod, createTrashEntry, duplicateMethodInClass, moveMethodToClass, recomputeAllSnapshots, recomputeClassMethods,
+  removeMethodFromClass, restoreTrashEntry,
+} from "./App";
+
+function classWithCounter(name, start, { chainMethods = false, methods = [] } = {}) {
+  const cls = { ...createNewClass({ realName: `L${name};`, obfuscatedName: name, friendlyName: name }), chainMethods, methods };
+  cls.fields = [{ name: "count", type: "int", value: String(start), isStatic: true }];
+  return recomputeClassMethods(cls);
+}
+
+function counterMethod(name) {
+  const method = { ...createNewMethod(name), modifiers: ["static"] };
+  method.lines = [
+    { id: `${name}1`, index: 1, notes: "", script: "v0 = count" },
+    { id: `${name}2`, index: 2, notes: "", script: "count = count + 1" },
+  ];
+  recomputeAllSnapshots(method);
+  return method;
+}
+
+const countAtEntry = (method) => method.snapshots[1].v0;
+
+describe("moving a method to another class", () => {
+  test("recomputes the moved method against the target class's fields", () => {
+    const method = counterMethod("m");
+    const source = classWithCounter("A", 1, { methods: [method] });
+    const target = classWithCounter("B", 5);
+    expect(countAtEntry(source.methods[0])).toEqual({ type: "int", value: 1 });
+    const [movedFrom, movedTo] = moveMethodToClass([source, target], method.id, target.id);
+    expect(movedFrom.methods).toEqual([]);
+    expect(movedTo.methods.map((m) => m.id)).toEqual([method.id]);
+    expect(countAtEntry(movedTo.methods[0])).toEqual({ type: "int", value: 5 });
+  });
+
+  test("recomputes the chained methods left behind in the source class", () => {
+    const source = classWithCounter("A", 1, { chainMethods: true, methods: [counterMethod("m"), counterMethod("n")] });
+    const target = classWithCounter("B", 5);
+    expect(countAtEntry(source.methods[1])).toEqual({ type: "int", value: 2 });
+    const chained = moveMethodToClass([source, target], source.methods[0].id, target.id);
+    expect(chained[0].methods).toHaveLength(1);
+    expect(countAtEntry(chained[0].methods[0])).toEqual({ type: "int", value: 1 });
+  });
+
+  test("leaves the workspace alone for an unknown method or class", () => {
+    const source = classWithCounter("A", 1, { methods: [counterMethod("m")] });
+    const classes = [source];
+    expect(moveMethodToClass(classes, "meth_missing", source.id)).toBe(classes);
+    expect(moveMethodToClass(classes, source.methods[0].id, "cls_missing")).toBe(classes);
+  });
+});
+
+describe("deleting and duplicating methods", () => {
+  test("the chained methods after a deleted one are recomputed", () => {
+    const cls = classWithCounter("A", 1, { chainMethods: true, methods: [counterMethod("m"), counterMethod("n"), counterMethod("o")] });
+    const [after] = removeMethodFromClass([cls], cls.id, cls.methods[0].id);
+    expect(after.methods.map((m) => m.name)).toEqual(["n", "o"]);
+    expect(after.methods.map(countAtEntry)).toEqual([{ type: "int", value: 1 }, { type: "int", value: 2 }]);
+  });
+
+  test("a copy in a chained class starts from the original's fields and shifts the rest", () => {
+    const cls = classWithCounter("A", 1, { chainMethods: true, methods: [counterMethod("m"), counterMethod("n")] });
+    const [after] = duplicateMethodInClass([cls], cls.id, cls.methods[0].id);
+    expect(after.methods.map((m) => m.name)).toEqual(["m", "m_copy", "n"]);
+    expect(after.methods.map(countAtEntry)).toEqual([1, 2, 3].map((value) => ({ type: "int", value })));
+  });
+
+  test("unchained classes keep each method's snapshots", () => {
+    const cls = classWithCounter("A", 1, { methods: [counterMethod("m"), counterMethod("n")] });
+    const [removed] = removeMethodFromClass([cls], cls.id, cls.methods[0].id);
+    const [copied] = duplicateMethodInClass([cls], cls.id, cls.methods[0].id);
+    expect(removed.methods[0]).toBe(cls.methods[1]);
+    expect(copied.methods[2]).toBe(cls.methods[1]);
+  });
+});
+
+describe("restoring from the trash", () => {
+  test("a trashed method returns to its class and is recomputed against its fields", () => {
+    const cls = classWithCounter("A", 3);
+    const entry = createTrashEntry("method", counterMethod("m"), cls);
+    const [restored] = restoreTrashEntry([cls], entry);
+    expect(restored.methods).toHaveLength(1);
+    expect(countAtEntry(restored.methods[0])).toEqual({ type: "int", value: 3 });
+  });
+
+  test("a method whose class is gone brings the class back with its fields", () => {
+    const cls = classWithCounter("A", 7);
+    const entry = createTrashEntry("method", counterMethod("m"), cls);
+    const [restored] = restoreTrashEntry([], entry);
+    expect(restored.id).toBe(cls.id);
+    expect(restored.fields).toEqual(cls.fields);
+    expect(countAtEntry(restored.methods[0])).toEqual({ type: "int", value: 7 });
+  });
+
+  test("a restored class whose id is taken gets a new one", () => {
+    const cls = classWithCounter("A", 1, { methods: [counterMethod("m")] });
+    const entry = createTrashEntry("class", cls, cls);
+    const restored = restoreTrashEntry([cls], entry);
+    expect(restored).toHaveLength(2);
+    expect(restored[1].id).not.toBe(cls.id);
+  });
+});
+
+describe("class fields", () => {
+  function fieldClass(fields, methods, { chainMethods = false } = {}) {
+    const cls = { ...createNewClass({ realName: "Lcom/app/Config;", obfuscatedName: "a", friendlyName: "Config" }), chainMethods, methods };
+    cls.fields = fields;
+    return recomputeClassMethods(cls);
+  }
+
+  function scriptMethod(name, scripts, modifiers = ["static"]) {
+    const method = { ...createNewMethod(name), modifiers };
+    method.lines = scripts.map((script, i) => ({ id: `${name}${i}`, index: i + 1, notes: "", script }));
+    return method;
+  }
+
+  test("sget and sput reach the same static field under either class name", () => {
+    const cls = fieldClass([{ name: "level", type: "int", value: "3", isStatic: true }], [scriptMethod("m", [
+      "sget v0, Lcom/app/Config;->level:I",
+      "add-int/lit8 v0, v0, 0x1\nsput v0, La;->level:I",
+      "v1 = level",
+    ])]);
+    expect(cls.methods[0].snapshots[1].v0).toEqual({ type: "int", value: 3 });
+    expect(cls.methods[0].snapshots[3].v1).toEqual({ type: "int", value: 4 });
+  });
+
+  test("assigning a field converts to its declared type", () => {
+    const cls = fieldClass([{ name: "flags", type: "byte", value: "", isStatic: true }], [scriptMethod("m", ["flags = 0x1ff", "v0 = flags"])]);
+    expect(cls.methods[0].snapshots[2].v0).toEqual({ type: "int", value: -1 });
+  });
+
+  test("a static method cannot read an instance field", () => {
+    const cls = fieldClass([{ name: "name", type: "String", value: '"x"', isStatic: false }], [
+      scriptMethod("s", ["v0 = name"]),
+      scriptMethod("i", ["v0 = name"], []),
+    ]);
+    expect(cls.methods[0].diagnostics[1]).toEqual([{ kind: "type", message: "v0: name is an instance field and a static method has no this" }]);
+    expect(cls.methods[1].snapshots[1].v0).toEqual({ type: "String", value: "x" });
+  });
+
+  test("without chaining every method starts from the declared values", () => {
+    const fields = [{ name: "count", type: "int", value: "1", isStatic: true }];
+    const methods = () => [scriptMethod("m", ["count = count + 1"]), scriptMethod("n", ["v0 = count"])];
+    expect(fieldClass(fields, methods()).methods[1].snapshots[1].v0).toEqual({ type: "int", value: 1 });
+    expect(fieldClass(fields, methods(), { chainMethods: true }).methods[1].snapshots[1].v0).toEqual({ type: "int", value: 2 });
+  });
+});
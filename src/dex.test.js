@@ -0,0 +1,146 @@
+/**
+ * @jest-environment node
+ */
+// The zip reader needs TextDecoder, which jsdom does not provide
+import { createMethodFromDex, parseDex, readZipEntries } from "./App";
+
+// Lays out just the sections parseDex reads: string, type, proto and method
+// ids, class defs, class data and code item headers
+function buildDex({ strings, types, protos, methods, classes }) {
+  const bytes = [];
+  const u8 = (...b) => bytes.push(...b);
+  const u16 = (n) => u8(n & 0xff, (n >> 8) & 0xff);
+  const u32 = (n) => u8(n & 0xff, (n >>> 8) & 0xff, (n >>> 16) & 0xff, (n >>> 24) & 0xff);
+  const uleb = (n) => {
+    do {
+      const b = n & 0x7f;
+      n >>>= 7;
+      u8(n ? b | 0x80 : b);
+    } while (n);
+  };
+  const patch32 = (at, n) => [n & 0xff, (n >>> 8) & 0xff, (n >>> 16) & 0xff, (n >>> 24) & 0xff].forEach((b, i) => { bytes[at + i] = b; });
+  const align = () => { while (bytes.length % 4) u8(0); };
+
+  u8(...Array.from("dex\n035\0", (c) => c.charCodeAt(0)));
+  while (bytes.length < 0x70) u8(0);
+
+  const stringData = strings.map((s) => {
+    const at = bytes.length;
+    uleb(s.length);
+    u8(...Array.from(s, (c) => c.charCodeAt(0)), 0);
+    return at;
+  });
+  align();
+  patch32(0x3c, bytes.length);
+  stringData.forEach(u32);
+  patch32(0x44, bytes.length);
+  types.forEach(u32);
+
+  const paramLists = protos.map(({ params }) => {
+    if (!params.length) return 0;
+    align();
+    const at = bytes.length;
+    u32(params.length);
+    params.forEach(u16);
+    return at;
+  });
+  align();
+  patch32(0x4c, bytes.length);
+  protos.forEach(({ shorty, ret }, i) => { u32(shorty); u32(ret); u32(paramLists[i]); });
+  patch32(0x5c, bytes.length);
+  methods.forEach(({ cls, proto, name }) => { u16(cls); u16(proto); u32(name); });
+
+  const codeItems = classes.flatMap((c) => c.methods).map(({ registers, ins }) => {
+    if (registers === undefined) return 0;
+    align();
+    const at = bytes.length;
+    u16(registers);
+    u16(ins);
+    for (let i = 0; i < 12; i++) u8(0);
+    return at;
+  });
+  let codeIndex = 0;
+  const classData = classes.map(({ methods: encoded }) => {
+    const at = bytes.length;
+    uleb(0);
+    uleb(0);
+    uleb(encoded.length);
+    uleb(0);
+    let previous = 0;
+    for (const { method, flags } of encoded) {
+      uleb(method - previous);
+      previous = method;
+      uleb(flags);
+      uleb(codeItems[codeIndex++]);
+    }
+    return at;
+  });
+  align();
+  patch32(0x60, classes.length);
+  patch32(0x64, bytes.length);
+  classes.forEach(({ type, flags, superclass, sourceFile }, i) => {
+    [type, flags, superclass, 0, sourceFile, 0, classData[i], 0].forEach(u32);
+  });
+  return new Uint8Array(bytes);
+}
+
+const SAMPLE = {
+  strings: ["I", "II", "LFoo;", "Ljava/lang/Object;", "Foo.java", "add", "V", "init"],
+  types: [0, 2, 3, 6],
+  protos: [{ shorty: 1, ret: 0, params: [0, 0] }, { shorty: 6, ret: 3, params: [] }],
+  methods: [{ cls: 1, proto: 0, name: 5 }, { cls: 1, proto: 1, name: 7 }],
+  classes: [{
+    type: 1,
+    flags: 0x1,
+    superclass: 2,
+    sourceFile: 4,
+    methods: [
+      { method: 0, flags: 0x9, registers: 5, ins: 2 },
+      { method: 1, flags: 0x401 },
+    ],
+  }],
+};
+
+describe("dex parsing", () => {
+  test("reads classes with their methods, signatures and register counts", () => {
+    expect(parseDex(buildDex(SAMPLE))).toEqual([{
+      descriptor: "LFoo;",
+      source: "classes.dex",
+      modifiers: ["public"],
+      superclass: "Ljava/lang/Object;",
+      sourceFile: "Foo.java",
+      methods: [
+        { name: "add", signature: "(II)I", modifiers: ["public", "static"], isStatic: true, hasCode: true, params: 2, locals: 3 },
+        { name: "init", signature: "()V", modifiers: ["public", "abstract"], isStatic: false, hasCode: false, params: 1, locals: 0 },
+      ],
+    }]);
+  });
+
+  test("a tracked dex method starts with its declared registers", () => {
+    const [dexClass] = parseDex(buildDex(SAMPLE));
+    const method = createMethodFromDex(dexClass.methods[0]);
+    expect(method).toMatchObject({ name: "add", signature: "(II)I", params: 2, locals: 3 });
+    expect(Object.keys(method.snapshots[1])).toEqual(["p0", "p1", "v0", "v1", "v2"]);
+  });
+
+  test("other files are rejected", () => {
+    expect(() => parseDex(new Uint8Array(0x70), "notes.txt")).toThrow("notes.txt is not a dex file");
+  });
+});
+
+describe("zip archives", () => {
+  test("lists entries from the central directory", () => {
+    const name = Array.from("classes.dex", (c) => c.charCodeAt(0));
+    const central = [0x50, 0x4b, 0x01, 0x02, ...new Array(42).fill(0), ...name];
+    central[10] = 8;
+    central[20] = 3;
+    central[24] = 9;
+    central[28] = name.length;
+    const eocd = [0x50, 0x4b, 0x05, 0x06, 0, 0, 0, 0, 1, 0, 1, 0, central.length, 0, 0, 0, 0, 0, 0, 0, 0, 0];
+    const buffer = new Uint8Array([...central, ...eocd]).buffer;
+    expect(readZipEntries(buffer)).toEqual([
+      { name: "classes.dex", method: 8, flags: 0, compressedSize: 3, size: 9, headerOffset: 0 },
+    ]);
+    expect(() => readZipEntries(new ArrayBuffer(30))).toThrow("Not a zip archive");
+  });
+});
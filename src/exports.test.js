@@ -0,0 +1,48 @@
+import { Script } from "vm";
+import { buildFridaHook } from "./App";
+
+const loginClass = { realName: "Lcom/example/Login;", obfuscatedName: "a.b", friendlyName: "Login" };
+
+function checkPin(fields = {}) {
+  return {
+    name: "checkPin",
+    realName: "checkPin",
+    obfuscatedName: "c",
+    signature: "(Ljava/lang/String;J[I)Z",
+    modifiers: ["public"],
+    aliases: [{ id: "a1", reg: "p1", name: "pin", from: 1, to: null }],
+    lines: [{ id: "l1", index: 1, notes: "compares\nthe pin", script: "" }],
+    ...fields,
+  };
+}
+
+describe("Frida hooks", () => {
+  test("hooks the runtime overload and names arguments after their p registers", () => {
+    const script = buildFridaHook(loginClass, checkPin());
+    expect(script).toContain('const Target = Java.use("a.b");');
+    expect(script).toContain('const method = Target["c"].overload("java.lang.String", "long", "[I");');
+    // A long takes two registers, so the array is p4
+    expect(script).toContain("method.implementation = function (p1, p2, p4) {");
+    expect(script).toContain('console.log("  p1 pin = " + show(p1));');
+    expect(script).toContain("const result = method.call(this, p1, p2, p4);");
+    expect(script).toContain("//   L1 compares\n//      the pin");
+    expect(() => new Script(script)).not.toThrow();
+  });
+
+  test("static methods start at p0 and constructors hook $init", () => {
+    const script = buildFridaHook(loginClass, checkPin({ name: "<init>", realName: "<init>", obfuscatedName: undefined, signature: "(I)V", modifiers: ["static"] }));
+    expect(script).toContain('Target["$init"].overload("int")');
+    expect(script).toContain("method.call(this, p0);");
+    expect(() => new Script(script)).not.toThrow();
+  });
+
+  test("without a signature every overload is hooked", () => {
+    const script = buildFridaHook(loginClass, checkPin({ signature: undefined }));
+    expect(script).toContain('Target["c"].overloads.forEach(function (method) {');
+    expect(() => new Script(script)).not.toThrow();
+  });
+
+  test("static initializers cannot be hooked", () => {
+    expect(() => buildFridaHook(loginClass, checkPin({ name: "<clinit>", obfuscatedName: undefined }))).toThrow("static initializers cannot be hooked");
+  });
+});
@@ -0,0 +1,46 @@
+import { evaluateExpression, migrateLegacyScript } from "./App";
+
+const int = (value) => ({ type: "int", value });
+
+describe("script expressions", () => {
+  test("arithmetic follows Java precedence and int overflow", () => {
+    expect(evaluateExpression("1 + 2 * 3", {})).toEqual(int(7));
+    expect(evaluateExpression("(1 + 2) * 3", {})).toEqual(int(9));
+    expect(evaluateExpression("2147483647 + 1", {})).toEqual(int(-2147483648));
+    expect(evaluateExpression("-7 / 2", {})).toEqual(int(-3));
+    expect(evaluateExpression("-1 >>> 28", {})).toEqual(int(15));
+  });
+
+  test("registers are read with their types", () => {
+    const regs = { v0: int(5), v1: { type: "long", value: "10" } };
+    expect(evaluateExpression("v0 * 2", regs)).toEqual(int(10));
+    expect(evaluateExpression("v0 + v1", regs)).toEqual({ type: "long", value: "15" });
+    expect(evaluateExpression('"n=" + v0', regs)).toEqual({ type: "String", value: "n=5" });
+  });
+
+  test("literals keep their Java types", () => {
+    expect(evaluateExpression("0xffffffff", {})).toEqual(int(-1));
+    expect(evaluateExpression("1.5f", {})).toEqual({ type: "float", value: 1.5 });
+    expect(evaluateExpression("'a'", {})).toEqual({ type: "char", value: 97 });
+    expect(evaluateExpression("true", {})).toEqual({ type: "boolean", value: true });
+    expect(evaluateExpression("null", {})).toEqual({ type: "null", value: null });
+  });
+
+  test("unset registers and unknown names are errors", () => {
+    expect(() => evaluateExpression("v2 + 1", { v2: null })).toThrow("v2 is not set");
+    expect(() => evaluateExpression("foo", {})).toThrow('unknown name "foo"; quote it ("foo") for a string');
+    expect(() => evaluateExpression("1 +", {})).toThrow("unexpected end of expression");
+  });
+});
+
+describe("legacy scripts", () => {
+  test("bare words and other unparsed values become string literals", () => {
+    expect(migrateLegacyScript("v0 = foo")).toBe('v0 = "foo"');
+    expect(migrateLegacyScript("v0 = hello world;v1 = 'abc'")).toBe('v0 = "hello world";v1 = "abc"');
+  });
+
+  test("values that already evaluate to the same thing are kept", () => {
+    const script = 'v0 = 42\nv1 = "text"; p0 = true\nv2 = null\nv3 = v0\nnot an assignment';
+    expect(migrateLegacyScript(script)).toBe(script);
+  });
+});
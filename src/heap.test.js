@@ -0,0 +1,80 @@
+import { createMethodFromSmali, formatRegisterValue, parseSmaliMethods } from "./App";
+
+const int = (value) => ({ type: "int", value });
+
+function methodFromSmali(body, registers = 4) {
+  const text = `.method public static run()V\n    .registers ${registers}\n${body}\n.end method`;
+  return createMethodFromSmali(parseSmaliMethods(text)[0]);
+}
+
+describe("the heap", () => {
+  test("registers holding one reference see the same object", () => {
+    const method = methodFromSmali([
+      "new-instance v0, Lcom/app/Point;",
+      "move-object v1, v0",
+      "const/16 v2, 0x2a",
+      "iput v2, v1, Lcom/app/Point;->x:I",
+      "iget v3, v0, Lcom/app/Point;->x:I",
+      "iget v2, v0, Lcom/app/Point;->y:I",
+    ].join("\n"));
+    const last = method.snapshots[6];
+    expect(last.v0).toEqual({ type: "object", className: "Lcom/app/Point;", ref: 1 });
+    expect(last.v1).toEqual(last.v0);
+    expect(last.v3).toEqual(int(42));
+    expect(last.v2).toEqual(int(0));
+    expect(method.diagnostics).toEqual({});
+  });
+
+  test("array stores narrow to the element type and check their bounds", () => {
+    const method = methodFromSmali([
+      "const/4 v0, 0x2",
+      "new-array v1, v0, [B",
+      "const/16 v2, 0x1ff",
+      "const/4 v3, 0x1",
+      "aput-byte v2, v1, v3",
+      "aget-byte v2, v1, v3",
+      "aput-byte v2, v1, v0",
+    ].join("\n"));
+    expect(method.snapshots[6].v2).toEqual(int(-1));
+    expect(formatRegisterValue(method.snapshots[6].v1, method.heaps[6]).text).toBe("@1 [0, -1]");
+    expect(method.diagnostics[7]).toEqual([{ kind: "error", message: "ArrayIndexOutOfBoundsException: length=2; index=2" }]);
+  });
+
+  test("filled-new-array hands its array to the next move-result only", () => {
+    const method = methodFromSmali([
+      "const/4 v0, 0x7",
+      "filled-new-array {v0, v0}, [I",
+      "move-result-object v1",
+      "move-result-object v2",
+    ].join("\n"));
+    expect(formatRegisterValue(method.snapshots[3].v1, method.heaps[3]).text).toBe("@1 [7, 7]");
+    expect(method.snapshots[4].v2).toBeNull();
+    expect(method.diagnostics[4]).toEqual([{ kind: "unmodelled", message: "unmodelled: move-result-object" }]);
+  });
+
+  test("fill-array-data copies the labelled payload", () => {
+    const method = methodFromSmali([
+      "const/4 v0, 0x3",
+      "new-array v1, v0, [I",
+      "fill-array-data v1, :array_0",
+      "return-void",
+      ":array_0",
+      ".array-data 4\n0x1\n0x2\n0x3\n.end array-data",
+    ].join("\n"));
+    expect(formatRegisterValue(method.snapshots[3].v1, method.heaps[3]).text).toBe("@1 [1, 2, 3]");
+  });
+
+  test("each line keeps the heap as it was after its own run", () => {
+    const method = methodFromSmali([
+      "new-instance v0, Lcom/app/Box;",
+      "const/4 v1, 0x1",
+      "iput v1, v0, Lcom/app/Box;->n:I",
+      "const/4 v1, 0x2",
+      "iput v1, v0, Lcom/app/Box;->n:I",
+    ].join("\n"));
+    const n = (index) => method.heaps[index].objects[1].fields.n;
+    expect(method.heaps[2].objects[1].fields).toEqual({});
+    expect(n(3)).toEqual(int(1));
+    expect(n(5)).toEqual(int(2));
+  });
+});
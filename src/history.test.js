@@ -0,0 +1,56 @@
+import { createHistory, recordEdit, redoEdit, undoEdit } from "./App";
+
+// Records edits from state to state, each `at` ms, returning the history
+function edit(history, steps) {
+  return steps.reduce((h, { from, key = null, at }) => recordEdit(h, from, key, at), history);
+}
+
+describe("edit history", () => {
+  test("typing into one field within the window is one step", () => {
+    const history = edit(createHistory(), [
+      { from: "", key: "l1:script", at: 0 },
+      { from: "v", key: "l1:script", at: 400 },
+      { from: "v0", key: "l1:script", at: 900 },
+    ]);
+    expect(history.past).toEqual([""]);
+    expect(undoEdit(history, "v0 ").state).toBe("");
+  });
+
+  test("a pause, another field or a structural edit starts a new step", () => {
+    expect(edit(createHistory(), [{ from: "a", key: "l1:script", at: 0 }, { from: "b", key: "l1:script", at: 1500 }]).past).toEqual(["a", "b"]);
+    expect(edit(createHistory(), [{ from: "a", key: "l1:script", at: 0 }, { from: "b", key: "l1:notes", at: 10 }]).past).toEqual(["a", "b"]);
+    expect(edit(createHistory(), [{ from: "a", key: "l1:script", at: 0 }, { from: "b", at: 10 }, { from: "c", key: "l1:script", at: 20 }]).past)
+      .toEqual(["a", "b", "c"]);
+  });
+
+  test("imports and other keyless edits are a step each", () => {
+    expect(edit(createHistory(), [{ from: "a", at: 0 }, { from: "b", at: 0 }]).past).toEqual(["a", "b"]);
+  });
+
+  test("undo and redo walk back and forth and stop at the ends", () => {
+    const history = edit(createHistory(), [{ from: "a", at: 0 }, { from: "b", at: 0 }]);
+    const back = undoEdit(history, "c");
+    expect(back.state).toBe("b");
+    const first = undoEdit(back.history, back.state);
+    expect(first.state).toBe("a");
+    expect(undoEdit(first.history, first.state)).toBeNull();
+    const forward = redoEdit(first.history, first.state);
+    expect(forward.state).toBe("b");
+    expect(redoEdit(forward.history, forward.state).state).toBe("c");
+    expect(redoEdit(createHistory(), "a")).toBeNull();
+  });
+
+  test("typing right after an undo is a new step", () => {
+    const history = edit(createHistory(), [{ from: "a", key: "l1:script", at: 0 }]);
+    const back = undoEdit(history, "ab");
+    expect(recordEdit(back.history, "a", "l1:script", 10).past).toEqual(["a"]);
+  });
+
+  test("a new edit drops what could be redone", () => {
+    const history = edit(createHistory(), [{ from: "a", at: 0 }, { from: "b", at: 0 }]);
+    const back = undoEdit(history, "c");
+    const edited = recordEdit(back.history, back.state, null, 10);
+    expect(edited.future).toEqual([]);
+    expect(redoEdit(edited, "d")).toBeNull();
+  });
+});
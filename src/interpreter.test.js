@@ -0,0 +1,76 @@
+import { executeInstruction, formatRegisterValue } from "./App";
+
+const int = (value) => ({ type: "int", value });
+
+function run(instructions, regs = {}) {
+  for (const text of instructions) executeInstruction(text, regs);
+  return regs;
+}
+
+describe("Dalvik instructions", () => {
+  test("constants and moves", () => {
+    const regs = run(["const/4 v0, 0x7", "const/16 v1, -0x1", "const-string v2, \"hi\\n\"", "move v3, v0"]);
+    expect(regs).toEqual({ v0: int(7), v1: int(-1), v2: { type: "String", value: "hi\n" }, v3: int(7) });
+  });
+
+  test("int arithmetic wraps and truncates like the VM", () => {
+    const regs = run(["const v0, 0x7fffffff", "add-int/lit8 v1, v0, 0x1", "const/4 v2, -0x7", "div-int/lit8 v3, v2, 0x2", "rem-int/lit8 v4, v2, 0x2"]);
+    expect(regs.v1).toEqual(int(-2147483648));
+    expect(regs.v3).toEqual(int(-3));
+    expect(regs.v4).toEqual(int(-1));
+  });
+
+  test("2addr forms read and write their first register", () => {
+    const regs = run(["const/4 v0, 0x3", "const/4 v1, 0x4", "mul-int/2addr v0, v1", "shl-int/lit8 v1, v1, 0x1"]);
+    expect(regs.v0).toEqual(int(12));
+    expect(regs.v1).toEqual(int(8));
+  });
+
+  test("runtime faults and malformed operands throw", () => {
+    expect(() => run(["const/4 v0, 0x1", "const/4 v1, 0x0", "div-int v2, v0, v1"])).toThrow("ArithmeticException: divide by zero");
+    expect(() => run(["add-int v0, v1"])).toThrow();
+    expect(() => run(["add-int/lit8 v0, v1, 0x1"], { v0: null, v1: null })).toThrow("v1 is not set");
+  });
+
+  test("unmodelled opcodes report false and leave registers alone", () => {
+    const regs = { v0: int(1) };
+    expect(executeInstruction("invoke-virtual {v0}, Ljava/lang/Object;->hashCode()I", regs)).toBe(false);
+    expect(executeInstruction("return v0", regs)).toBe(true);
+    expect(regs).toEqual({ v0: int(1) });
+  });
+});
+
+describe("typed register values", () => {
+  test("wide values take a register pair", () => {
+    const regs = run(["const-wide v0, 0x100000000L", "const-wide/16 v2, 0x2", "add-long v0, v0, v2"], { v0: null, v1: null, v2: null, v3: null });
+    expect(regs.v0).toEqual({ type: "long", value: "4294967298" });
+    expect(regs.v1).toEqual({ type: "wide-hi", of: "v0" });
+  });
+
+  test("overwriting either half of a pair clears the other", () => {
+    const regs = run(["const-wide/16 v0, 0x1", "const/4 v1, 0x0"], { v0: null, v1: null });
+    expect(regs).toEqual({ v0: null, v1: int(0) });
+    const pair = run(["const-wide/16 v0, 0x1"], { v0: null, v1: null, v2: null });
+    expect(() => run(["move v2, v1"], pair)).toThrow("v1 is the upper half of v0");
+  });
+
+  test("the last local pairs with p0", () => {
+    const regs = run(["const-wide/16 v1, 0x1"], { v0: null, v1: null, p0: null });
+    expect(regs.p0).toEqual({ type: "wide-hi", of: "v1" });
+  });
+
+  test("conversions follow Java rounding and saturation", () => {
+    const regs = run(["const v0, 0x4f000000", "float-to-int v1, v0", "const/16 v2, 0x41", "int-to-char v3, v2", "int-to-double v4, v2"]);
+    expect(regs.v1).toEqual(int(2147483647));
+    expect(regs.v3).toEqual({ type: "char", value: 65 });
+    expect(regs.v4).toEqual({ type: "double", value: 65 });
+  });
+
+  test("values format with their type and raw bits", () => {
+    expect(formatRegisterValue(int(-1))).toEqual({ type: "int", text: "-1", hex: "0xffffffff" });
+    expect(formatRegisterValue({ type: "long", value: "-1" })).toEqual({ type: "long", text: "-1", hex: "0xffffffffffffffff" });
+    expect(formatRegisterValue({ type: "float", value: 0.1 }).text).toBe("0.1");
+    expect(formatRegisterValue({ type: "char", value: 10 }).text).toBe("'\\n' (10)");
+    expect(formatRegisterValue(null).text).toBe("unset");
+  });
+});
@@ -0,0 +1,48 @@
+import { deleteLines, duplicateLines, insertLines, moveLines, moveLinesTo } from "./App";
+
+// Lines given out of order, as they may be stored
+const lines = () => [
+  { id: "c", index: 3, script: "v2 = 3" },
+  { id: "a", index: 1, script: "v0 = 1", labels: [":start"] },
+  { id: "b", index: 2, script: "v1 = 2" },
+];
+
+const order = (result) => result.map((l) => `${l.index}:${l.id}`);
+
+describe("line operations", () => {
+  test("insert above or below a line, or at the end for an unknown anchor", () => {
+    expect(order(insertLines(lines(), "b", "above", [{ id: "x" }]))).toEqual(["1:a", "2:x", "3:b", "4:c"]);
+    expect(order(insertLines(lines(), "b", "below", [{ id: "x" }, { id: "y" }]))).toEqual(["1:a", "2:b", "3:x", "4:y", "5:c"]);
+    expect(order(insertLines(lines(), "missing", "below", [{ id: "x" }]))).toEqual(["1:a", "2:b", "3:c", "4:x"]);
+  });
+
+  test("delete renumbers what is left", () => {
+    expect(order(deleteLines(lines(), ["a", "c"]))).toEqual(["1:b"]);
+  });
+
+  test("duplicates go after the last selected line without labels", () => {
+    const result = duplicateLines(lines(), ["a", "b"]);
+    expect(result.map((l) => l.script)).toEqual(["v0 = 1", "v1 = 2", "v0 = 1", "v1 = 2", "v2 = 3"]);
+    expect(result[2].id).not.toBe("a");
+    expect(result[2].labels).toBeUndefined();
+    expect(result[0].labels).toEqual([":start"]);
+  });
+
+  test("move shifts a selection by one and stops at the edges", () => {
+    expect(order(moveLines(lines(), ["a"], 1))).toEqual(["1:b", "2:a", "3:c"]);
+    expect(order(moveLines(lines(), ["b", "c"], -1))).toEqual(["1:b", "2:c", "3:a"]);
+    expect(order(moveLines(lines(), ["b", "c"], 1))).toEqual(["1:a", "2:b", "3:c"]);
+  });
+
+  test("drag and drop lands after the target going down and before it going up", () => {
+    expect(order(moveLinesTo(lines(), ["a"], "c"))).toEqual(["1:b", "2:c", "3:a"]);
+    expect(order(moveLinesTo(lines(), ["c"], "a"))).toEqual(["1:c", "2:a", "3:b"]);
+    expect(order(moveLinesTo(lines(), ["a"], "a"))).toEqual(["1:a", "2:b", "3:c"]);
+  });
+
+  test("lines already numbered in place are kept as they are", () => {
+    const input = lines();
+    const result = deleteLines(input, ["c"]);
+    expect(result[0]).toBe(input[1]);
+  });
+});
@@ -0,0 +1,49 @@
+import { applyProguardMapping, createNewClass, createNewMethod, parseProguardMapping } from "./App";
+
+const MAPPING = `# compiler: R8
+com.example.app.LoginActivity -> a.b:
+    java.lang.String token -> a
+    1:4:boolean checkPin(java.lang.String,int[]):12:15 -> a
+    5:9:void onCreate(android.os.Bundle) -> onCreate
+    10:12:boolean checkPin(java.lang.String,int[]):20:22 -> a
+    void other$lambda() -> b
+    int com.example.Util.inlined() -> c
+com.example.Util -> a.c:
+`;
+
+describe("ProGuard mapping import", () => {
+  test("reads classes and methods with descriptor signatures", () => {
+    const [login, util] = parseProguardMapping(MAPPING);
+    expect(login.realName).toBe("Lcom/example/app/LoginActivity;");
+    expect(login.obfuscatedName).toBe("a.b");
+    expect(login.methods).toEqual([
+      { realName: "checkPin", obfuscatedName: "a", signature: "(Ljava/lang/String;[I)Z" },
+      { realName: "onCreate", obfuscatedName: "onCreate", signature: "(Landroid/os/Bundle;)V" },
+      { realName: "other$lambda", obfuscatedName: "b", signature: "()V" },
+    ]);
+    expect(util).toEqual({ realName: "Lcom/example/Util;", obfuscatedName: "a.c", methods: [] });
+  });
+
+  test("malformed class lines are reported with their line number", () => {
+    expect(() => parseProguardMapping("not a mapping")).toThrow('Line 1: expected "original -> obfuscated:"');
+    expect(() => parseProguardMapping("    void f() -> a")).toThrow("Line 1: member before any class");
+  });
+
+  test("renames tracked classes and methods found in the mapping", () => {
+    const cls = createNewClass({ realName: "La/b;", obfuscatedName: "", friendlyName: "La/b;" });
+    const method = { ...createNewMethod("a"), signature: "(Ljava/lang/String;[I)Z" };
+    cls.methods = [method, { ...createNewMethod("a"), signature: "()V" }];
+    const { classes, summary } = applyProguardMapping([cls], parseProguardMapping(MAPPING));
+    expect(summary).toEqual({ updatedClasses: 1, renamedMethods: 1, createdClasses: 0 });
+    expect(classes[0]).toMatchObject({ realName: "Lcom/example/app/LoginActivity;", obfuscatedName: "a.b", friendlyName: "LoginActivity" });
+    expect(classes[0].methods[0]).toMatchObject({ name: "checkPin", realName: "checkPin", obfuscatedName: "a" });
+    expect(classes[0].methods[1].name).toBe("a");
+  });
+
+  test("starts tracking unmatched classes under the given prefix", () => {
+    const { classes, summary } = applyProguardMapping([], parseProguardMapping(MAPPING), "com.example.app");
+    expect(summary.createdClasses).toBe(1);
+    expect(classes[0]).toMatchObject({ realName: "Lcom/example/app/LoginActivity;", friendlyName: "LoginActivity" });
+    expect(applyProguardMapping([], parseProguardMapping(MAPPING)).classes).toEqual([]);
+  });
+});
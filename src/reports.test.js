@@ -0,0 +1,67 @@
+import {
+  buildAnnotatedSmali, buildHtmlReport, buildMarkdownReport, createMethodFromSmali, createNewClass, parseSmaliMethods,
+} from "./App";
+
+const SMALI = `
+.method public static check(I)Z
+    .registers 2
+    const/4 v0, 0x1
+    if-eqz p0, :end
+    const/4 v0, 0x0
+    :end
+.end method
+`;
+
+function reportClass() {
+  const method = createMethodFromSmali(parseSmaliMethods(SMALI)[0]);
+  method.realName = "isRooted";
+  method.lines[0] = { ...method.lines[0], notes: "assume rooted | unless <proven>" };
+  method.aliases = [{ reg: "v0", name: "rooted", from: 1, to: null }];
+  return { ...createNewClass({ realName: "Lcom/app/Guard;", obfuscatedName: "a.b", friendlyName: "Guard" }), methods: [method] };
+}
+
+describe("class reports", () => {
+  test("annotated smali keeps runtime names, notes, changed registers and trailing labels", () => {
+    expect(buildAnnotatedSmali(reportClass())).toBe([
+      ".class La/b;",
+      "# real name: Lcom/app/Guard;",
+      "# obfuscated name: La/b;",
+      "# friendly name: Guard",
+      "",
+      ".method public static check(I)Z",
+      "    # real name: isRooted",
+      "    .registers 2",
+      "    # scenario: default",
+      "    # alias v0 = rooted (L1+)",
+      "",
+      "    # L1: assume rooted | unless <proven>",
+      "    const/4 v0, 0x1",
+      "    # => v0 (rooted) = int 1",
+      "",
+      "    if-eqz p0, :end",
+      "",
+      "    const/4 v0, 0x0",
+      "    # => v0 (rooted) = int 0",
+      "",
+      "    :end",
+      ".end method",
+      "",
+    ].join("\n"));
+  });
+
+  test("markdown escapes table cells and skips empty lines", () => {
+    const markdown = buildMarkdownReport(reportClass());
+    expect(markdown).toContain("# Guard\n");
+    expect(markdown).toContain("## isRooted\n");
+    expect(markdown).toContain("- **aliases:** v0 = rooted (L1+)\n");
+    expect(markdown).toContain("| 1 | `const/4 v0, 0x1` | assume rooted \\| unless <proven> |   | v0 (rooted) = int 1 |\n");
+    expect(markdown).not.toContain("| 4 |");
+  });
+
+  test("HTML escapes notes and values", () => {
+    const html = buildHtmlReport(reportClass());
+    expect(html).toContain("<title>Guard</title>");
+    expect(html).toContain("<td>assume rooted | unless &lt;proven&gt;</td>");
+    expect(html).not.toContain("<proven>");
+  });
+});
@@ -0,0 +1,21 @@
+import { hashToView, viewToHash } from "./App";
+
+describe("hash routes", () => {
+  test("views round-trip through their hash", () => {
+    const views = [
+      { view: "classList" },
+      { view: "dexBrowser" },
+      { view: "classDetail", classId: "cls_a/b" },
+      { view: "methodNotebook", classId: "cls_a", methodId: "meth_b", focusLine: { index: 12 } },
+      { view: "methodNotebook", classId: "cls_a", methodId: "meth_b", focusLine: null },
+    ];
+    for (const view of views) expect(hashToView(viewToHash(view))).toEqual(view);
+  });
+
+  test("unknown or partial hashes fall back to the nearest view", () => {
+    expect(hashToView("")).toEqual({ view: "classList" });
+    expect(hashToView("#/nowhere")).toEqual({ view: "classList" });
+    expect(hashToView("#/class/cls_a/method")).toEqual({ view: "classDetail", classId: "cls_a" });
+    expect(hashToView("#/class/cls_a/method/meth_b/line/x").focusLine).toBeNull();
+  });
+});
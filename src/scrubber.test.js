@@ -0,0 +1,64 @@
+import { createNewMethod, recomputeAllSnapshots, scrubberView, stepSelection } from "./App";
+
+const int = (value) => ({ type: "int", value });
+
+function sampleMethod() {
+  const method = createNewMethod("scrub");
+  method.lines = [
+    { id: "c", index: 3, notes: "", script: "v0 = v0 + v1" },
+    { id: "a", index: 1, notes: "", script: "v0 = 1" },
+    { id: "b", index: 2, notes: "", script: "v1 = 2", observed: { v1: int(2) } },
+  ];
+  recomputeAllSnapshots(method);
+  return method;
+}
+
+describe("line scrubber", () => {
+  test("a selected line shows its snapshot and the registers it changed", () => {
+    const view = scrubberView(sampleMethod(), "b");
+    expect(view).toMatchObject({ lineIndexes: [1, 2, 3], selectedLine: 2, selectedPos: 1, changedRegs: ["v1"], observed: { v1: int(2) } });
+    expect(view.state).toMatchObject({ v0: int(1), v1: int(2) });
+  });
+
+  test("no selection, or a line that is gone, shows the final state with nothing highlighted", () => {
+    const method = sampleMethod();
+    for (const id of [null, "deleted"]) {
+      const view = scrubberView(method, id);
+      expect(view).toMatchObject({ selectedLine: null, selectedPos: -1, changedRegs: [], changedFields: [] });
+      expect(view.state.v0).toEqual(int(3));
+    }
+  });
+
+  test("an unreached line has an empty snapshot", () => {
+    const method = createNewMethod("early");
+    method.lines = [
+      { id: "a", index: 1, notes: "", script: "v0 = 1\nreturn v0" },
+      { id: "b", index: 2, notes: "", script: "v0 = 2" },
+    ];
+    recomputeAllSnapshots(method);
+    expect(scrubberView(method, "b")).toMatchObject({ selectedLine: 2, state: {}, changedRegs: [] });
+  });
+
+  test("heap writes are highlighted on the line that made them", () => {
+    const method = createNewMethod("heap");
+    method.lines = [
+      { id: "a", index: 1, notes: "", script: "new-instance v0, Lcom/app/Box;" },
+      { id: "b", index: 2, notes: "", script: "const/4 v1, 0x1\niput v1, v0, Lcom/app/Box;->n:I" },
+    ];
+    recomputeAllSnapshots(method);
+    expect(scrubberView(method, "a").changedFields).toEqual([]);
+    expect(scrubberView(method, "b").changedFields).toEqual([{ ref: 1, key: "n" }]);
+  });
+
+  test("stepping stops at the first and last lines", () => {
+    expect(stepSelection([1, 2, 3], 2, 1)).toBe(3);
+    expect(stepSelection([1, 2, 3], 3, 1)).toBe(3);
+    expect(stepSelection([1, 2, 3], 1, -1)).toBe(1);
+  });
+
+  test("stepping from the final state enters at the top or bottom", () => {
+    expect(stepSelection([1, 2, 3], null, 1)).toBe(1);
+    expect(stepSelection([1, 2, 3], null, -1)).toBe(3);
+    expect(stepSelection([], null, 1)).toBeNull();
+  });
+});
@@ -0,0 +1,43 @@
+import { createNewClass, searchWorkspace } from "./App";
+
+function workspace() {
+  const cls = createNewClass({ realName: "Lcom/example/Crypto;", obfuscatedName: "a.b", friendlyName: "Crypto" });
+  cls.methods = [{
+    id: "meth_decrypt",
+    name: "decrypt",
+    aliases: [{ id: "al1", reg: "v1", name: "key", from: 2, to: null }],
+    lines: [
+      { id: "l2", index: 2, notes: "xor with the key", script: "key = 0x5a", smali: "" },
+      { id: "l1", index: 1, notes: "", script: "", smali: "const-string v0, \"secret\"" },
+      { id: "l3", index: 3, notes: "v0 holds the result", script: "", smali: "" },
+    ],
+  }];
+  return [cls];
+}
+
+const summary = (results) => results.map((r) => (r.kind === "line" ? `L${r.lineIndex}:${r.field}` : `${r.kind}:${r.field}`));
+
+describe("global search", () => {
+  test("finds class and method names and line text, case-insensitively", () => {
+    const results = searchWorkspace(workspace(), { query: "CRYPT", useRegex: false, register: "" });
+    expect(summary(results)).toEqual(["class:friendlyName", "method:name"]);
+    expect(results[1].range).toEqual([2, 7]);
+    expect(summary(searchWorkspace(workspace(), { query: "secret", useRegex: false, register: "" }))).toEqual(["L1:smali"]);
+  });
+
+  test("regex queries match anywhere in a field", () => {
+    const results = searchWorkspace(workspace(), { query: "0x[0-9a-f]+", useRegex: true, register: "" });
+    expect(summary(results)).toEqual(["L2:script"]);
+    expect(results[0].range).toEqual([6, 10]);
+  });
+
+  test("a register filter keeps lines that use the register, through aliases too", () => {
+    expect(summary(searchWorkspace(workspace(), { query: "", useRegex: false, register: "v1" }))).toEqual(["L2:notes", "L2:script"]);
+    expect(summary(searchWorkspace(workspace(), { query: "", useRegex: false, register: "v0" }))).toEqual(["L1:smali", "L3:notes"]);
+    expect(summary(searchWorkspace(workspace(), { query: "crypt", useRegex: false, register: "v0" }))).toEqual([]);
+  });
+
+  test("an empty search finds nothing", () => {
+    expect(searchWorkspace(workspace(), { query: "  ", useRegex: false, register: "" })).toEqual([]);
+  });
+});
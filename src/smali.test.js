@@ -0,0 +1,117 @@
+import {
+  addTrackedMethods, createMethodFromSmali, loadSmaliClasses, parseSmaliClass, parseSmaliMethods, recomputeAllSnapshots,
+} from "./App";
+
+const ABS = `
+.method public static abs(I)I
+    .registers 2
+    .annotation runtime Ljava/lang/Deprecated;
+    .end annotation
+
+    if-gez p0, :cond_0   # already positive
+    neg-int p0, p0
+
+    :cond_0
+    return p0
+.end method
+`;
+
+const COUNT_DOWN = `
+.method public static countDown(I)V
+    .locals 0
+
+    :goto_0
+    if-lez p0, :cond_0
+    add-int/lit8 p0, p0, -0x1
+    goto :goto_0
+
+    :cond_0
+.end method
+`;
+
+describe("smali method import", () => {
+  test("reads the header, register counts and instructions with their labels", () => {
+    const [method] = parseSmaliMethods(ABS);
+    expect(method).toEqual({
+      name: "abs",
+      signature: "(I)I",
+      modifiers: ["public", "static"],
+      isStatic: true,
+      params: 1,
+      locals: 1,
+      instructions: [
+        { text: "if-gez p0, :cond_0", labels: [] },
+        { text: "neg-int p0, p0", labels: [] },
+        { text: "return p0", labels: [":cond_0"] },
+      ],
+    });
+  });
+
+  test("labels right before .end method get a line of their own", () => {
+    const [method] = parseSmaliMethods(COUNT_DOWN);
+    expect(method.instructions[method.instructions.length - 1]).toEqual({ text: "", labels: [":cond_0"] });
+  });
+
+  test("branches to a trailing label resolve", () => {
+    const method = createMethodFromSmali(parseSmaliMethods(COUNT_DOWN)[0]);
+    method.scenarios[0].inputs = { p0: "3" };
+    recomputeAllSnapshots(method);
+    expect(method.diagnostics).toEqual({});
+    expect(method.snapshots[4].p0).toEqual({ type: "int", value: 0 });
+    expect(method.lines[3]).toMatchObject({ index: 4, smali: "", labels: [":cond_0"] });
+    expect(method.flow.jumps[1]).toEqual({ to: 4, taken: 1 });
+  });
+
+  test("a method without .end method is an error", () => {
+    expect(() => parseSmaliMethods(".method public f()V\n    return-void")).toThrow('Method "f" is missing .end method');
+    expect(() => parseSmaliMethods("nop")).toThrow("No .method block found");
+  });
+});
+
+const UTIL_CLASS = `
+.class public final Lcom/example/Util;
+.super Ljava/lang/Object;
+.source "Util.java"
+${ABS}
+${COUNT_DOWN}
+`;
+
+const smaliFile = (path, text) => ({ name: path.split("/").pop(), webkitRelativePath: path, text: async () => text });
+
+describe("apktool smali folder import", () => {
+  test("reads the class header and every method", () => {
+    const cls = parseSmaliClass(UTIL_CLASS);
+    expect(cls).toMatchObject({
+      descriptor: "Lcom/example/Util;",
+      modifiers: ["public", "final"],
+      superclass: "Ljava/lang/Object;",
+      sourceFile: "Util.java",
+    });
+    expect(cls.methods.map((m) => m.name)).toEqual(["abs", "countDown"]);
+    expect(parseSmaliClass(".class interface abstract LMarker;").methods).toEqual([]);
+  });
+
+  test("collects smali files in descriptor order and reports the ones that fail", async () => {
+    const { classes, errors } = await loadSmaliClasses([
+      smaliFile("out/smali/com/example/Util.smali", UTIL_CLASS),
+      smaliFile("out/smali/com/example/A.smali", ".class public Lcom/example/A;"),
+      smaliFile("out/smali/broken.smali", ".method f()V"),
+      smaliFile("out/AndroidManifest.xml", "<manifest/>"),
+    ]);
+    expect(classes.map((c) => [c.descriptor, c.path])).toEqual([
+      ["Lcom/example/A;", "out/smali/com/example/A.smali"],
+      ["Lcom/example/Util;", "out/smali/com/example/Util.smali"],
+    ]);
+    expect(errors).toEqual(["out/smali/broken.smali: No .class directive found"]);
+    await expect(loadSmaliClasses([smaliFile("readme.txt", "")])).rejects.toThrow("No .smali files found");
+  });
+
+  test("importing a class again only adds the methods it does not have", () => {
+    const { descriptor, methods } = parseSmaliClass(UTIL_CLASS);
+    const once = addTrackedMethods([], descriptor, methods.map(createMethodFromSmali));
+    expect(once).toHaveLength(1);
+    expect(once[0]).toMatchObject({ realName: "Lcom/example/Util;", friendlyName: "Util" });
+    const twice = addTrackedMethods(once, descriptor, methods.map(createMethodFromSmali));
+    expect(twice[0].methods.map((m) => m.name)).toEqual(["abs", "countDown"]);
+  });
+});
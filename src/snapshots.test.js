@@ -0,0 +1,146 @@
+import { compareScenarioRuns, createNewMethod, createScenario, recomputeAllSnapshots, runScenario } from "./App";
+
+function methodWithScripts(scripts, fields = {}) {
+  const method = { ...createNewMethod(), ...fields };
+  method.lines = scripts.map((script, i) => ({ id: `l${i}`, index: i + 1, notes: "", script }));
+  recomputeAllSnapshots(method);
+  return method;
+}
+
+function countingLoop(times) {
+  return methodWithScripts([
+    "v0 = 0",
+    ":loop",
+    `const/16 v1, ${times}\nif-ge v0, v1, :done`,
+    "add-int/lit8 v0, v0, 1\ngoto :loop",
+    ":done\nreturn v0",
+  ]);
+}
+
+describe("control flow", () => {
+  test("a loop runs to its exit however long each step takes", () => {
+    const method = countingLoop(2000);
+    expect(method.snapshots[5].v0).toEqual({ type: "int", value: 2000 });
+    expect(method.flow.path).toHaveLength(6004);
+    expect(method.diagnostics).toEqual({});
+  });
+
+  test("a loop that never exits is stopped at the step limit", () => {
+    const method = methodWithScripts(["v0 = 0", ":loop\nv0 = v0 + 1\ngoto :loop", "return v0"]);
+    expect(method.flow.path).toHaveLength(10000);
+    expect(method.snapshots[2].v0).toEqual({ type: "int", value: 9999 });
+    expect(method.diagnostics[2]).toEqual([{ kind: "error", message: "stopped after 10000 steps; the path never leaves this loop" }]);
+    expect(method.snapshots[3]).toBeUndefined();
+  });
+
+  test("recomputing gives the same snapshots", () => {
+    const method = countingLoop(3);
+    const first = JSON.stringify(method.snapshots);
+    recomputeAllSnapshots(method);
+    expect(JSON.stringify(method.snapshots)).toBe(first);
+    expect(method.flow.jumps[4]).toEqual({ to: 2, taken: 3 });
+  });
+
+  test("a jump to a missing label is reported", () => {
+    const method = methodWithScripts(["goto :nowhere", "v0 = 1"]);
+    expect(method.diagnostics[1]).toEqual([{ kind: "error", message: "no line is labelled :nowhere" }]);
+  });
+});
+
+describe("register provenance", () => {
+  test("records the lines that write, read and mention each register", () => {
+    const method = methodWithScripts(["v0 = 1", "v1 = v0 + 1", "v0 = v1 * 2", ""]);
+    method.lines[3].notes = "v0 is the result";
+    recomputeAllSnapshots(method);
+    expect(method.provenance.v0).toEqual({
+      writes: [{ line: 1, value: { type: "int", value: 1 } }, { line: 3, value: { type: "int", value: 4 } }],
+      reads: [2],
+      mentions: [4],
+    });
+    expect(method.provenance.v1.reads).toEqual([3]);
+  });
+
+  test("a line run again by a loop keeps its latest write", () => {
+    const method = countingLoop(3);
+    expect(method.provenance.v0.writes).toEqual([
+      { line: 1, value: { type: "int", value: 0 } },
+      { line: 4, value: { type: "int", value: 3 } },
+    ]);
+  });
+});
+
+describe("line diagnostics", () => {
+  const diagnosticsOf = (scripts) => methodWithScripts(scripts).diagnostics;
+
+  test("statements that are neither assignments nor instructions are unparsed", () => {
+    expect(diagnosticsOf(["v0 + 1", "foo v0"])).toEqual({
+      1: [{ kind: "unparsed", message: "not an assignment or instruction: v0 + 1" }],
+      2: [{ kind: "unparsed", message: "not an assignment or instruction: foo v0" }],
+    });
+  });
+
+  test("registers outside the declared ones are out of range", () => {
+    // createNewMethod declares p0 and v0..v3
+    expect(diagnosticsOf(["v4 = 1", "v9 = 1", "p1 = 1"])).toEqual({
+      1: [{ kind: "range", message: "v4 is p0 in this method; use p0" }],
+      2: [{ kind: "range", message: "v9 is outside the declared registers (v0..v3, p0..p0)" }],
+      3: [{ kind: "range", message: "p1 is outside the declared registers (v0..v3, p0..p0)" }],
+    });
+  });
+
+  test("unset reads and type mismatches get their own kinds", () => {
+    const diagnostics = diagnosticsOf(["v1 = v0 + 1", 'v2 = "x"\nadd-int/lit8 v3, v2, 0x1']);
+    expect(diagnostics[1]).toEqual([{ kind: "unset", message: "v1: v0 is not set" }]);
+    expect(diagnostics[2]).toEqual([{ kind: "type", message: "v2 holds String, not int" }]);
+  });
+
+  test("known but unmodelled opcodes are not errors", () => {
+    expect(diagnosticsOf(["invoke-virtual {p0}, Ljava/lang/Object;->hashCode()I"])).toEqual({
+      1: [{ kind: "unmodelled", message: "unmodelled: invoke-virtual" }],
+    });
+  });
+});
+
+describe("input scenarios", () => {
+  const branchOnInput = () => methodWithScripts(["if-eqz p0, :zero", "v0 = 1\ngoto :end", ":zero\nv0 = 2", ":end\nreturn v0"]);
+
+  test("methods saved without scenarios get a default one from their p registers", () => {
+    const method = createNewMethod();
+    delete method.scenarios;
+    method.liveState = { p0: 5, v0: 9 };
+    recomputeAllSnapshots(method);
+    expect(method.scenarios).toEqual([{ id: method.activeScenarioId, name: "default", inputs: { p0: "5" } }]);
+    expect(method.entryState).toMatchObject({ p0: { type: "int", value: 5 }, v0: null });
+  });
+
+  test("the active scenario's inputs are the entry state", () => {
+    const method = branchOnInput();
+    const zero = createScenario("zero", { p0: "0" });
+    method.scenarios.push(zero);
+    method.activeScenarioId = zero.id;
+    recomputeAllSnapshots(method);
+    expect(method.snapshots[4].v0).toEqual({ type: "int", value: 2 });
+    expect(method.snapshots[2]).toBeUndefined();
+  });
+
+  test("bad inputs are reported and left unset", () => {
+    const method = branchOnInput();
+    method.scenarios[0].inputs = { p0: "1 +", v9: "1" };
+    recomputeAllSnapshots(method);
+    expect(method.inputErrors).toEqual(["p0: unexpected end of expression"]);
+    expect(method.entryState.p0).toBeNull();
+  });
+
+  test("comparing two runs lists the lines and registers that differ", () => {
+    const method = branchOnInput();
+    const one = runScenario(method, createScenario("one", { p0: "1" }));
+    const zero = runScenario(method, createScenario("zero", { p0: "0" }));
+    expect(compareScenarioRuns(one, zero)).toEqual({
+      1: ["p0"],
+      2: ["p0", "v0"],
+      3: ["p0", "v0"],
+      4: ["p0", "v0"],
+    });
+    expect(compareScenarioRuns(one, one)).toEqual({});
+  });
+});
@@ -0,0 +1,80 @@
+import { applyTrace, createMethodFromSmali, instructionUnits, parseSmaliMethods, parseTrace, recomputeAllSnapshots } from "./App";
+
+const int = (value) => ({ type: "int", value });
+
+const SUM = `
+.method public static sum([I)I
+    .registers 4
+    const/4 v0, 0x0
+    const-wide v1, 0x100000000L
+    array-length v1, p0
+    return v0
+
+    :array_0
+    .array-data 4
+        0x1
+        0x2
+        0x3
+    .end array-data
+.end method
+`;
+
+describe("instruction sizes", () => {
+  test("count 16-bit code units the way the dex format lays them out", () => {
+    expect(instructionUnits("const/4 v0, 0x0")).toBe(1);
+    expect(instructionUnits("const/16 v0, 0x10")).toBe(2);
+    expect(instructionUnits("const v0, 0x10000")).toBe(3);
+    expect(instructionUnits("const-wide v0, 0x1L")).toBe(5);
+    expect(instructionUnits("invoke-virtual {p0}, Ljava/lang/Object;->hashCode()I")).toBe(3);
+    expect(instructionUnits("add-int/2addr v0, v1")).toBe(1);
+    expect(instructionUnits(".array-data 4\n0x1\n0x2\n0x3\n.end array-data")).toBe(10);
+    expect(instructionUnits(".packed-switch 0x1\n:a\n:b\n.end packed-switch")).toBe(8);
+  });
+});
+
+describe("runtime traces", () => {
+  test("text traces name lines or code offsets and Java-style values", () => {
+    expect(parseTrace('# frida\nL2 v0 = 5, p1 = "a, b"\n@0x1a: v2 = 10L')).toEqual([
+      { line: 2, registers: { v0: int(5), p1: { type: "String", value: "a, b" } } },
+      { offset: 26, registers: { v2: { type: "long", value: "10" } } },
+    ]);
+  });
+
+  test("JSON traces are a list of entries with plain values", () => {
+    expect(parseTrace('{"trace": [{"line": 3, "registers": {"v0": 7, "v1": null, "p0": [1, 2]}}]}')).toEqual([{
+      line: 3,
+      registers: { v0: int(7), v1: { type: "null", value: null }, p0: { type: "array", value: [int(1), int(2)] } },
+    }]);
+  });
+
+  test("malformed traces say where they went wrong", () => {
+    expect(() => parseTrace("")).toThrow("the trace is empty");
+    expect(() => parseTrace("L2 v0 5")).toThrow('line 1: expected reg = value, got "v0 5"');
+    expect(() => parseTrace("here v0 = 1")).toThrow('line 1: "here" is not a line (L12) or an offset (@0x1a)');
+    expect(() => parseTrace('[{"line": 1, "registers": {"x": 1}}]')).toThrow('entry 1: "x" is not a register');
+  });
+
+  test("offsets resolve to smali lines and later entries win", () => {
+    const method = createMethodFromSmali(parseSmaliMethods(SUM)[0]);
+    const entries = parseTrace("@0x0 v0 = 0\n@0x6 v1 = 3\nL3 v1 = 4\n@0x5 v0 = 1");
+    const { lines, summary } = applyTrace(method.lines, entries, false);
+    expect(lines[1].observed).toBeUndefined();
+    expect(lines[2].observed).toEqual({ v1: int(4) });
+    expect(summary).toEqual({ lines: 2, unresolved: ["@0x5"] });
+  });
+
+  test("observed values that differ from the computed snapshot are flagged", () => {
+    const method = createMethodFromSmali(parseSmaliMethods(SUM)[0]);
+    method.lines = applyTrace(method.lines, parseTrace("L1 v0 = 0\nL4 v0 = 1.0"), false).lines;
+    recomputeAllSnapshots(method);
+    expect(method.diagnostics[1]).toBeUndefined();
+    expect(method.diagnostics[4]).toEqual([{ kind: "observed", message: "v0 observed double 1.0, computed int 0" }]);
+  });
+
+  test("replacing drops values observed by an earlier trace", () => {
+    const first = applyTrace([{ id: "a", index: 1 }, { id: "b", index: 2 }], parseTrace("L1 v0 = 1\nL2 v0 = 2"), false).lines;
+    const { lines } = applyTrace(first, parseTrace("L2 v1 = 3"), true);
+    expect(lines[0].observed).toBeUndefined();
+    expect(lines[1].observed).toEqual({ v1: int(3) });
+  });
+});
@@ -0,0 +1,166 @@
+import {
+  createNewClass, createNewMethod, exportNotebook, exportWorkspace, findWorkspaceConflicts, mergeWorkspace, parseNotebookFile,
+  parseWorkspaceFile, recordsToWorkspace, workspaceToRecords,
+} from "./App";
+
+function sampleWorkspace() {
+  const cls = createNewClass({ realName: "com.example.Foo", obfuscatedName: "a", friendlyName: "Foo" });
+  const first = createNewMethod("first");
+  first.lines[0].script = "v0 = 7";
+  const second = createNewMethod("second");
+  cls.methods = [first, second];
+  const other = { ...createNewClass({ realName: "com.example.Bar", obfuscatedName: "b", friendlyName: "Bar" }), methods: [] };
+  return [cls, other];
+}
+
+describe("per-record storage", () => {
+  test("splits classes, methods and lines into records without derived fields", () => {
+    const [cls] = sampleWorkspace();
+    const records = workspaceToRecords([cls]);
+    expect(records.classes).toHaveLength(1);
+    expect(records.classes[0]).toMatchObject({ id: cls.id, position: 0 });
+    expect(records.classes[0].methods).toBeUndefined();
+    expect(records.methods.map((m) => [m.name, m.classId, m.position])).toEqual([["first", cls.id, 0], ["second", cls.id, 1]]);
+    expect(records.methods[0].snapshots).toBeUndefined();
+    expect(records.lines).toHaveLength(16);
+    expect(records.lines[0]).toMatchObject({ methodId: cls.methods[0].id, script: "v0 = 7" });
+  });
+
+  test("rebuilds the workspace in order and recomputes its snapshots", () => {
+    const workspace = sampleWorkspace();
+    const records = workspaceToRecords(workspace);
+    const rebuilt = recordsToWorkspace({
+      classes: [...records.classes].reverse(),
+      methods: [...records.methods].reverse(),
+      lines: [...records.lines].reverse(),
+    });
+    expect(rebuilt.map((c) => c.friendlyName)).toEqual(["Foo", "Bar"]);
+    expect(rebuilt[0].methods.map((m) => m.name)).toEqual(["first", "second"]);
+    expect(rebuilt[0].methods[0].lines.map((l) => l.index)).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+    expect(rebuilt[0].methods[0].snapshots[1].v0).toEqual({ type: "int", value: 7 });
+    expect(rebuilt[0].position).toBeUndefined();
+    expect(rebuilt[0].methods[0].classId).toBeUndefined();
+  });
+});
+
+describe("workspace backups", () => {
+  test("an exported workspace imports back as it was", () => {
+    const workspace = sampleWorkspace();
+    const file = JSON.stringify(exportWorkspace(workspace));
+    expect(JSON.parse(file)).toMatchObject({ format: "register-notebook-workspace", schemaVersion: 1 });
+    expect(JSON.parse(file).classes[0].methods[0].snapshots).toBeUndefined();
+    const imported = parseWorkspaceFile(file);
+    expect(imported.map((c) => c.id)).toEqual(workspace.map((c) => c.id));
+    expect(imported[0].methods[0].snapshots[1].v0).toEqual({ type: "int", value: 7 });
+  });
+
+  test("a bare array of classes is read as schema version 0", () => {
+    const [cls] = sampleWorkspace();
+    expect(parseWorkspaceFile(JSON.stringify([cls]))[0].realName).toBe("com.example.Foo");
+  });
+
+  test("files that are not backups, or are too new, are rejected", () => {
+    expect(() => parseWorkspaceFile("{")).toThrow("not valid JSON");
+    expect(() => parseWorkspaceFile("{}")).toThrow("not a workspace backup");
+    expect(() => parseWorkspaceFile(JSON.stringify({ format: "register-notebook-workspace", schemaVersion: 9, classes: [] })))
+      .toThrow("schemaVersion 9 is newer than this app supports (1)");
+    expect(() => parseWorkspaceFile(JSON.stringify({ format: "register-notebook-workspace", schemaVersion: 1, classes: [{ methods: [] }] })))
+      .toThrow("class 1 has no class path");
+  });
+});
+
+// A method as the single-blob versions saved and exported it, before scripts were expressions
+function legacyMethod() {
+  return {
+    id: "meth_old",
+    name: "check",
+    params: 1,
+    locals: 4,
+    liveState: { p0: null, v0: null, v1: null, v2: null, v3: null },
+    snapshots: {},
+    lines: [
+      { id: "a", index: 1, notes: "", script: "v0 = rooted; v1 = 3" },
+      { id: "b", index: 2, notes: "", script: "v2 = v1" },
+    ],
+    lastSavedAt: 0,
+  };
+}
+
+describe("files from older versions", () => {
+  test("bare words in a version 0 workspace become strings", () => {
+    const cls = { id: "cls_old", realName: "com.example.Old", obfuscatedName: "", friendlyName: "Old", methods: [legacyMethod()] };
+    const [method] = parseWorkspaceFile(JSON.stringify([cls]))[0].methods;
+    expect(method.lines[0].script).toBe('v0 = "rooted"; v1 = 3');
+    expect(method.snapshots[2]).toMatchObject({ v0: { type: "String", value: "rooted" }, v2: { type: "int", value: 3 } });
+    expect(method.diagnostics).toEqual({});
+  });
+
+  test("a notebook exported without a format is migrated the same way", () => {
+    const method = parseNotebookFile(JSON.stringify(legacyMethod()));
+    expect(method.lines.map((l) => l.script)).toEqual(['v0 = "rooted"; v1 = 3', "v2 = v1"]);
+    expect(method.diagnostics).toEqual({});
+  });
+
+  test("current notebooks keep their scripts as written", () => {
+    const method = createNewMethod("names");
+    method.lines[0].script = "v0 = count";
+    const file = JSON.stringify(exportNotebook(method));
+    expect(JSON.parse(file)).toMatchObject({ format: "register-notebook-method", schemaVersion: 1 });
+    expect(JSON.parse(file).snapshots).toBeUndefined();
+    expect(parseNotebookFile(file).lines[0].script).toBe("v0 = count");
+    expect(() => parseNotebookFile(JSON.stringify({ ...exportNotebook(method), schemaVersion: 2 }))).toThrow("newer than this app supports");
+    expect(() => parseNotebookFile("{")).toThrow("not valid JSON");
+  });
+});
+
+describe("merging an imported workspace", () => {
+  function conflicting() {
+    const existing = sampleWorkspace();
+    existing[0].fields = [{ id: "f1", name: "count", type: "int", value: "1", isStatic: true }];
+    const incoming = JSON.parse(JSON.stringify(existing));
+    incoming[0].friendlyName = "Renamed";
+    incoming[0].fields = [{ id: "f2", name: "count", type: "int", value: "2", isStatic: true }, { id: "f3", name: "extra", type: "int", isStatic: true }];
+    incoming[0].methods[0].lines[0].script = "v0 = 8";
+    return { existing, incoming };
+  }
+
+  test("reports the classes, fields and methods that clash", () => {
+    const { existing, incoming } = conflicting();
+    const conflicts = findWorkspaceConflicts(existing, incoming);
+    expect(conflicts.classes).toEqual(["com.example.Foo", "com.example.Bar"]);
+    expect(conflicts.fields).toEqual([{ className: "com.example.Foo", name: "count" }]);
+    expect(conflicts.methods.map((m) => m.name)).toEqual(["first", "second"]);
+  });
+
+  test("keep leaves existing methods and fields and adds new fields", () => {
+    const { existing, incoming } = conflicting();
+    const [foo] = mergeWorkspace(existing, incoming, "keep");
+    expect(foo.friendlyName).toBe("Foo");
+    expect(foo.fields.map((f) => `${f.name}=${f.value || ""}`)).toEqual(["count=1", "extra="]);
+    expect(foo.methods[0].snapshots[1].v0).toEqual({ type: "int", value: 7 });
+  });
+
+  test("replace overwrites methods, fields and names in place", () => {
+    const { existing, incoming } = conflicting();
+    const [foo] = mergeWorkspace(existing, incoming, "replace");
+    expect(foo.friendlyName).toBe("Renamed");
+    expect(foo.fields[0]).toMatchObject({ id: "f1", value: "2" });
+    expect(foo.methods).toHaveLength(2);
+    expect(foo.methods[0].snapshots[1].v0).toEqual({ type: "int", value: 8 });
+  });
+
+  test("copy adds clashing methods under new ids", () => {
+    const { existing, incoming } = conflicting();
+    const [foo] = mergeWorkspace(existing, incoming, "copy");
+    expect(foo.methods).toHaveLength(4);
+    expect(new Set(foo.methods.map((m) => m.id)).size).toBe(4);
+  });
+
+  test("a new class whose id is taken gets a fresh one", () => {
+    const [cls] = sampleWorkspace();
+    const incoming = [{ ...cls, realName: "com.example.Other", methods: [] }];
+    const merged = mergeWorkspace([cls], incoming, "keep");
+    expect(merged).toHaveLength(2);
+    expect(merged[1].id).not.toBe(cls.id);
+  });
+});